@@ -0,0 +1,1000 @@
+/**
+ * ========================================
+ * API ROUTE DEFINITIONS (OPENAPI 3.1)
+ * ========================================
+ *
+ * Every endpoint of irys-router.js is declared here once, with JSON Schema
+ * for its path parameters, query, body and responses. The definitions drive:
+ * - request validation: validateRequest() checks params, query and body
+ *   fields before the handler runs and reports every problem at once,
+ *   like metadata-validator.js:
+ *     400 { success: false, error: 'Invalid request', details: [{ field: 'fileSize', message: 'must be an integer' }] }
+ * - the OpenAPI document at GET /openapi.json (buildOpenApiDocument)
+ * - the endpoint lists of GET /, GET /docs and the 404 handler
+ *
+ * irys-router.js registers its routes through createRouteRegistrar(), which
+ * refuses a route without a definition and a definition without a route,
+ * so the document cannot drift from the code.
+ *
+ * Form fields, query strings and path parameters are text: "12" passes as an
+ * integer and "true" as a boolean. Semantic checks (Metaplex rules, manifest
+ * contents, file content sniffing) stay with the handlers and the service.
+ */
+
+import { METADATA_LIMITS } from "./metadata-validator.js";
+import { WEBHOOK_EVENTS } from "./webhook-manager.js";
+
+const API_VERSION = '2.0.3';
+
+// ========================================
+// SHARED SCHEMAS
+// ========================================
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const file = (description) => ({ type: 'string', format: 'binary', description });
+const files = (description) => ({ type: 'array', items: { type: 'string', format: 'binary' }, description });
+const jsonText = (description) => ({ type: 'string', description: `JSON text: ${description}` });
+
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'error', 'details'],
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: { type: 'string', enum: ['Invalid request', 'Invalid metadata'] },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', examples: ['creators[0].address'] },
+            message: { type: 'string', examples: ['must be a base58 Solana public key'] }
+          }
+        }
+      }
+    }
+  },
+  Wallet: {
+    type: 'object',
+    properties: {
+      address: { type: 'string' },
+      sessionId: { type: 'string' }
+    }
+  },
+  StoredFile: {
+    type: 'object',
+    properties: {
+      transactionId: { type: 'string' },
+      publicURL: { type: 'string', format: 'uri' },
+      fileName: { type: 'string' },
+      fileSize: { type: 'integer' },
+      contentType: { type: 'string' },
+      contentHash: { type: 'string', description: 'SHA-256 hex of the stored bytes' },
+      deduplicated: { type: 'boolean', description: 'true when identical content was already stored (DEDUP_MODE)' },
+      sanitization: { type: 'object', description: 'What SVG sanitization removed (SVG only)' }
+    }
+  },
+  Attribute: {
+    type: 'object',
+    required: ['trait_type', 'value'],
+    properties: {
+      trait_type: { type: 'string', maxLength: METADATA_LIMITS.TRAIT_MAX_LENGTH },
+      value: { type: ['string', 'number', 'boolean'] },
+      display_type: { type: 'string' }
+    }
+  },
+  Creator: {
+    type: 'object',
+    required: ['address', 'share'],
+    properties: {
+      address: { type: 'string', description: 'base58 Solana public key' },
+      share: { type: 'integer', minimum: 0, maximum: 100, description: 'Shares of all creators sum to 100' },
+      verified: { type: 'boolean' }
+    }
+  },
+  TokenMetadata: {
+    type: 'object',
+    description: 'Metaplex token metadata JSON as stored on Irys',
+    properties: {
+      name: { type: 'string' },
+      symbol: { type: 'string' },
+      description: { type: 'string' },
+      image: { type: 'string', format: 'uri' },
+      external_url: { type: 'string' },
+      attributes: { type: 'array', items: ref('Attribute') },
+      properties: {
+        type: 'object',
+        properties: {
+          files: { type: 'array', items: { type: 'object', properties: { uri: { type: 'string' }, type: { type: 'string' } } } },
+          category: { type: 'string' },
+          creators: { type: 'array', items: ref('Creator') }
+        }
+      }
+    }
+  },
+  LogoVariant: {
+    type: 'object',
+    properties: {
+      label: { type: 'string', examples: ['256'] },
+      format: { type: 'string', enum: ['png', 'webp'] },
+      type: { type: 'string' },
+      url: { type: 'string', format: 'uri' },
+      transactionId: { type: 'string' }
+    }
+  },
+  Token: {
+    type: 'object',
+    properties: {
+      tokenId: { type: ['integer', 'null'] },
+      name: { type: 'string' },
+      symbol: { type: 'string' },
+      logoURL: { type: 'string', format: 'uri' },
+      metadataURL: { type: 'string', format: 'uri', description: 'This metadata version' },
+      mutableURL: { type: 'string', format: 'uri', description: 'Always the latest metadata version - set this on-chain' },
+      logoType: { type: 'string' },
+      logoDeduplicated: { type: 'boolean' },
+      logoVariants: { type: 'array', items: ref('LogoVariant') },
+      logoProcessingSkipped: { type: 'string' },
+      logoSanitization: { type: 'object' }
+    }
+  },
+  Price: {
+    type: 'object',
+    properties: {
+      bytes: { type: 'integer' },
+      lamports: { type: 'integer' },
+      sol: { type: 'number' }
+    }
+  },
+  ChunkedUpload: {
+    type: 'object',
+    properties: {
+      uploadId: { type: 'string', format: 'uuid' },
+      status: { type: 'string', enum: ['open', 'completing', 'completed', 'failed', 'aborted'] },
+      fileName: { type: 'string' },
+      fileSize: { type: 'integer' },
+      chunkSize: { type: 'integer' },
+      totalChunks: { type: 'integer' },
+      receivedChunks: { type: 'array', items: { type: 'integer' } },
+      sha256: { type: ['string', 'null'] },
+      createdAt: { type: 'string' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      lastError: { type: 'string' },
+      result: ref('StoredFile')
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      jobId: { type: 'string', format: 'uuid' },
+      type: { type: 'string', enum: ['create-token'] },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      progress: {
+        type: 'object',
+        properties: {
+          stage: { type: 'string' },
+          logoUploaded: { type: 'boolean' },
+          logoURL: { type: ['string', 'null'] },
+          metadataUploaded: { type: 'boolean' }
+        }
+      },
+      attempts: { type: 'integer' },
+      result: { type: ['object', 'null'], description: 'Token assets when completed' },
+      error: { type: ['string', 'null'] },
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' },
+      completedAt: { type: ['string', 'null'] }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      createdAt: { type: 'string' }
+    }
+  }
+};
+
+// Common responses by status code
+const RESPONSES = {
+  400: { description: 'Invalid request', schema: ref('ValidationError') },
+  401: { description: 'Missing or expired session', schema: ref('Error') },
+  403: { description: 'Quota exceeded for the wallet\'s plan', schema: ref('Error') },
+  404: { description: 'Not found (or owned by another wallet)', schema: ref('Error') },
+  408: { description: 'Irys upload timeout', schema: ref('Error') },
+  409: { description: 'Conflicting state', schema: ref('Error') },
+  413: { description: 'File too large', schema: ref('Error') },
+  415: { description: 'Unsupported media type (extension or sniffed content)', schema: ref('Error') },
+  422: { description: 'Unsafe SVG (SVG_SANITIZE_MODE=reject) or checksum mismatch', schema: ref('Error') },
+  429: { description: 'Rate limit exceeded', schema: ref('Error') }
+};
+
+const ok = (description, properties = {}) => ({
+  description,
+  schema: { type: 'object', properties: { success: { type: 'boolean' }, ...properties } }
+});
+
+const TOKEN_FIELDS = {
+  name: { type: 'string', description: `max ${METADATA_LIMITS.NAME_MAX_BYTES} bytes (UTF-8)` },
+  symbol: { type: 'string', description: `max ${METADATA_LIMITS.SYMBOL_MAX_BYTES} bytes (UTF-8), stored upper-case` },
+  description: { type: 'string', maxLength: METADATA_LIMITS.DESCRIPTION_MAX_LENGTH },
+  website: { type: 'string', maxLength: METADATA_LIMITS.URL_MAX_LENGTH, description: 'absolute http(s) URL (external_url)' },
+  attributes: {
+    type: ['array', 'string'],
+    items: ref('Attribute'),
+    maxItems: METADATA_LIMITS.MAX_ATTRIBUTES,
+    description: 'Array, or JSON text in multipart forms'
+  },
+  creators: {
+    type: ['array', 'string'],
+    items: ref('Creator'),
+    maxItems: METADATA_LIMITS.MAX_CREATORS,
+    description: 'Array, or JSON text in multipart forms'
+  }
+};
+
+const IMAGE_FIELDS = {
+  processImage: { type: 'boolean', description: 'Generate square logo variants' },
+  imageSizes: { type: 'string', pattern: '^\\d+(,\\d+)*$', description: 'Comma-separated sizes, default 512,256,64' },
+  imageWebp: { type: 'boolean', description: 'Also generate a WebP variant, default true' },
+  imageFit: { type: 'string', enum: ['cover', 'contain'], description: 'cover (crop) or contain (pad), default cover' }
+};
+
+const ID = { type: 'string' };
+const UUID = { type: 'string', format: 'uuid' };
+
+// ========================================
+// ROUTES
+// ========================================
+
+/*
+ * { method, path (Express syntax), tag, summary, description?, auth?,
+ *   params?, query?, body?: { content: [mime types], schema }, responses: { status: { description, schema } } }
+ * mountedBy: 'auth' marks the routes of wallet-auth.js (documented only with the built-in wallet auth)
+ */
+const ROUTES = [
+  {
+    method: 'get', path: '/', tag: 'Service',
+    summary: 'API information and endpoint list',
+    responses: { 200: ok('Service information', { name: { type: 'string' }, version: { type: 'string' }, endpoints: { type: 'array', items: { type: 'string' } } }) }
+  },
+  {
+    method: 'get', path: '/auth/nonce', tag: 'Auth', mountedBy: 'auth',
+    summary: 'Request a sign-in challenge for a wallet',
+    query: { wallet: { type: 'string', description: 'Solana wallet address (base58)' } },
+    responses: { 200: ok('Challenge to sign', { nonce: { type: 'string' }, message: { type: 'string' }, expiresAt: { type: 'string' } }), 400: RESPONSES[400], 429: { description: 'Too many pending sign-ins (AUTH_MAX_PENDING_NONCES)', schema: ref('Error') } }
+  },
+  {
+    method: 'post', path: '/auth/verify', tag: 'Auth', mountedBy: 'auth',
+    summary: 'Exchange a signed challenge for a session token',
+    body: {
+      content: ['application/json'],
+      schema: {
+        type: 'object',
+        required: ['walletAddress', 'nonce', 'signature'],
+        properties: {
+          walletAddress: { type: 'string' },
+          nonce: { type: 'string' },
+          signature: { type: 'string', description: 'base58 ed25519 signature of the challenge message' }
+        }
+      }
+    },
+    responses: { 200: ok('Session token', { tokenType: { type: 'string', const: 'Bearer' }, token: { type: 'string' }, expiresAt: { type: 'string' } }), 400: RESPONSES[400], 401: RESPONSES[401] }
+  },
+  {
+    method: 'post', path: '/auth/logout', tag: 'Auth', mountedBy: 'auth',
+    summary: 'Revoke the current session token',
+    responses: { 200: ok('Session revoked', { revoked: { type: 'boolean' } }) }
+  },
+  {
+    method: 'post', path: '/upload', tag: 'Uploads', auth: true,
+    summary: 'Upload a single file',
+    body: {
+      content: ['multipart/form-data'],
+      schema: { type: 'object', required: ['file'], properties: { file: file('File to store') } }
+    },
+    responses: {
+      200: ok('File stored', { file: ref('StoredFile'), wallet: ref('Wallet'), performance: { type: 'object' }, network: { type: 'string' } }),
+      400: RESPONSES[400], 403: RESPONSES[403], 408: RESPONSES[408], 413: RESPONSES[413], 415: RESPONSES[415], 422: RESPONSES[422], 429: RESPONSES[429]
+    }
+  },
+  {
+    method: 'post', path: '/upload-folder', tag: 'Uploads', auth: true,
+    summary: 'Upload a folder and publish an Irys path manifest',
+    description: 'Files are served at <gateway>/<manifestId>/<path>.',
+    body: {
+      content: ['multipart/form-data'],
+      schema: {
+        type: 'object',
+        required: ['files'],
+        properties: {
+          files: files('One part per file; the file name is its relative path (e.g. images/0.png)'),
+          paths: jsonText('array of relative paths, one per file, overriding the file names'),
+          indexFile: { type: 'string', description: 'Path served at <gateway>/<manifestId>/' }
+        }
+      }
+    },
+    responses: {
+      200: ok('Manifest published', {
+        manifest: { type: 'object', properties: { manifestId: { type: 'string' }, manifestURL: { type: 'string' }, baseURL: { type: 'string' }, indexPath: { type: ['string', 'null'] } } },
+        files: { type: 'array', items: { type: 'object', properties: { path: { type: 'string' }, transactionId: { type: 'string' }, url: { type: 'string' }, directURL: { type: 'string' } } } }
+      }),
+      400: RESPONSES[400], 403: RESPONSES[403], 413: RESPONSES[413], 415: RESPONSES[415], 422: RESPONSES[422]
+    }
+  },
+  {
+    method: 'get', path: '/upload-folder/:id', tag: 'Uploads', auth: true,
+    summary: 'Stored path manifest with its files',
+    params: { id: { type: 'string', description: 'Manifest transaction ID' } },
+    responses: { 200: ok('Manifest', { manifest: { type: 'object' } }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'post', path: '/uploads', tag: 'Chunked uploads', auth: true,
+    summary: 'Open a resumable chunked upload session for large media',
+    body: {
+      content: ['application/json'],
+      schema: {
+        type: 'object',
+        required: ['fileName', 'fileSize'],
+        properties: {
+          fileName: { type: 'string' },
+          fileSize: { type: 'integer', minimum: 1, description: 'bytes' },
+          sha256: { type: 'string', pattern: '^[a-fA-F0-9]{64}$', description: 'Hex digest of the whole file (or send it on complete)' },
+          chunkSize: { type: 'integer', minimum: 1, description: 'bytes, at most the server chunk size' }
+        }
+      }
+    },
+    responses: { 201: ok('Session opened', { upload: ref('ChunkedUpload') }), 400: RESPONSES[400], 403: RESPONSES[403], 413: RESPONSES[413] }
+  },
+  {
+    method: 'get', path: '/uploads/:id', tag: 'Chunked uploads', auth: true,
+    summary: 'Session status - received chunks, to resume after a disconnect',
+    params: { id: UUID },
+    responses: { 200: ok('Session', { upload: ref('ChunkedUpload') }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'put', path: '/uploads/:id/chunks/:n', tag: 'Chunked uploads', auth: true,
+    summary: 'Upload chunk n (0-based) as a raw body',
+    params: { id: UUID, n: { type: 'integer', minimum: 0 } },
+    headers: { 'X-Chunk-SHA256': { type: 'string', description: 'Optional hex digest of this chunk' } },
+    body: { content: ['application/octet-stream'], schema: { type: 'string', format: 'binary' } },
+    responses: {
+      200: ok('Chunk stored', { chunk: { type: 'object', properties: { chunk: { type: 'integer' }, size: { type: 'integer' }, receivedChunks: { type: 'integer' }, totalChunks: { type: 'integer' } } } }),
+      400: RESPONSES[400], 404: RESPONSES[404], 409: RESPONSES[409], 410: { description: 'Session expired', schema: ref('Error') }, 422: RESPONSES[422]
+    }
+  },
+  {
+    method: 'post', path: '/uploads/:id/complete', tag: 'Chunked uploads', auth: true,
+    summary: 'Assemble the chunks, verify SHA-256 and upload the file',
+    params: { id: UUID },
+    body: {
+      content: ['application/json'],
+      schema: { type: 'object', properties: { sha256: { type: 'string', pattern: '^[a-fA-F0-9]{64}$' } } }
+    },
+    responses: { 200: ok('File stored', { file: ref('StoredFile'), upload: ref('ChunkedUpload'), wallet: ref('Wallet') }), 400: RESPONSES[400], 404: RESPONSES[404], 409: RESPONSES[409], 415: RESPONSES[415], 422: RESPONSES[422] }
+  },
+  {
+    method: 'delete', path: '/uploads/:id', tag: 'Chunked uploads', auth: true,
+    summary: 'Abort a chunked upload session',
+    params: { id: UUID },
+    responses: { 200: ok('Session aborted', { upload: ref('ChunkedUpload') }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'post', path: '/quote', tag: 'Uploads',
+    summary: 'Estimate the cost of an upload or a token bundle',
+    description: 'Send size to price one upload, or logoSize (plus optional token fields) to price logo + generated metadata.',
+    body: {
+      content: ['application/json'],
+      schema: {
+        type: 'object',
+        properties: {
+          size: { type: ['integer', 'string'], description: 'bytes' },
+          logoSize: { type: ['integer', 'string'], description: 'bytes' },
+          logoType: { type: 'string', description: 'Logo MIME type, default image/png' },
+          ...TOKEN_FIELDS
+        }
+      }
+    },
+    responses: {
+      200: ok('Quote', {
+        quote: {
+          type: 'object',
+          properties: {
+            provider: { type: 'string' },
+            items: { type: 'array', items: { type: 'object' } },
+            total: ref('Price')
+          }
+        },
+        network: { type: 'string' }
+      }),
+      400: RESPONSES[400]
+    }
+  },
+  {
+    method: 'post', path: '/create-token', tag: 'Tokens', auth: true,
+    summary: 'Create Solana token assets (logo + Metaplex metadata)',
+    query: { async: { type: 'string', enum: ['true', 'false'], description: 'true runs the work in the background (202 + job)' } },
+    body: {
+      content: ['multipart/form-data'],
+      schema: {
+        type: 'object',
+        required: ['logo', 'name', 'symbol', 'description'],
+        properties: {
+          logo: file('Token logo'),
+          ...TOKEN_FIELDS,
+          ...IMAGE_FIELDS,
+          async: { type: 'string', enum: ['true', 'false'], description: 'Same as ?async=true' }
+        }
+      }
+    },
+    responses: {
+      200: ok('Token assets created', {
+        token: ref('Token'),
+        wallet: ref('Wallet'),
+        irys: { type: 'object', properties: { logoTxId: { type: 'string' }, metadataTxId: { type: 'string' }, network: { type: 'string' } } },
+        performance: { type: 'object' },
+        metadata: ref('TokenMetadata')
+      }),
+      202: ok('Queued (async)', { job: { type: 'object', properties: { jobId: UUID, status: { type: 'string' }, statusURL: { type: 'string' } } } }),
+      400: RESPONSES[400], 403: RESPONSES[403], 408: RESPONSES[408], 413: RESPONSES[413], 415: RESPONSES[415], 422: RESPONSES[422], 429: RESPONSES[429]
+    }
+  },
+  {
+    method: 'post', path: '/create-tokens/batch', tag: 'Tokens', auth: true,
+    summary: 'Create many tokens in one request',
+    description: 'Items run with bounded concurrency and fail independently.',
+    body: {
+      content: ['multipart/form-data'],
+      schema: {
+        type: 'object',
+        required: ['logos', 'manifest'],
+        properties: {
+          logos: files('One logo per token'),
+          manifest: jsonText('array of { name, symbol, description, logo: "<uploaded file name>", website, attributes, creators, processImage, imageSizes, imageWebp, imageFit }')
+        }
+      }
+    },
+    responses: {
+      200: ok('Per-item results; success is true only when every item succeeded', {
+        summary: { type: 'object', properties: { total: { type: 'integer' }, succeeded: { type: 'integer' }, failed: { type: 'integer' } } },
+        results: { type: 'array', items: { type: 'object', properties: { index: { type: 'integer' }, success: { type: 'boolean' }, tokenId: { type: 'integer' }, logoURL: { type: 'string' }, metadataURL: { type: 'string' }, mutableURL: { type: 'string' }, error: { type: 'string' } } } }
+      }),
+      400: RESPONSES[400], 403: RESPONSES[403], 429: RESPONSES[429]
+    }
+  },
+  {
+    method: 'post', path: '/tokens/:id/revisions', tag: 'Tokens', auth: true,
+    summary: 'Publish a new metadata version for a token',
+    description: 'Merges partial changes and uploads new metadata tagged Root-TX, Previous-Version and Token-Version. mutableURL serves it right away.',
+    params: { id: ID },
+    body: {
+      content: ['application/json', 'multipart/form-data'],
+      schema: {
+        type: 'object',
+        properties: {
+          logo: file('New logo (multipart only)'),
+          ...TOKEN_FIELDS
+        }
+      }
+    },
+    responses: {
+      201: ok('Revision published', {
+        tokenId: { type: 'integer' },
+        version: { type: 'integer' },
+        metadataURL: { type: 'string' },
+        mutableURL: { type: 'string' },
+        changes: { type: 'array', items: { type: 'string' } },
+        irys: { type: 'object' },
+        metadata: ref('TokenMetadata')
+      }),
+      400: RESPONSES[400], 404: RESPONSES[404], 409: RESPONSES[409], 415: RESPONSES[415], 429: RESPONSES[429]
+    }
+  },
+  {
+    method: 'get', path: '/tokens/:id/latest', tag: 'Tokens', auth: true,
+    summary: 'Current metadata version of a token (what its mutableURL serves)',
+    params: { id: ID },
+    responses: { 200: ok('Latest version', { token: { type: 'object', properties: { tokenId: { type: 'integer' }, version: { type: 'integer' }, rootTxId: { type: 'string' }, mutableURL: { type: 'string' }, metadataURL: { type: 'string' }, metadata: ref('TokenMetadata') } } }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'get', path: '/tokens/:id/history', tag: 'Tokens', auth: true,
+    summary: 'Every metadata version of a token, oldest first',
+    params: { id: ID },
+    responses: { 200: ok('Version history', { token: { type: 'object', properties: { tokenId: { type: 'integer' }, currentVersion: { type: 'integer' }, revisions: { type: 'array', items: { type: 'object' } } } } }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'post', path: '/collections', tag: 'Collections', auth: true,
+    summary: 'Create an NFT collection with ordered items',
+    body: {
+      content: ['multipart/form-data'],
+      schema: {
+        type: 'object',
+        required: ['image', 'manifest', 'name', 'symbol', 'description'],
+        properties: {
+          image: file('Collection image'),
+          images: files('One image per item, in manifest order or referenced by file name'),
+          manifest: jsonText('array of { name, description, attributes, image: "<uploaded file name>" } in drop order'),
+          name: TOKEN_FIELDS.name,
+          symbol: TOKEN_FIELDS.symbol,
+          description: TOKEN_FIELDS.description,
+          website: TOKEN_FIELDS.website,
+          creators: TOKEN_FIELDS.creators,
+          family: { type: 'string', description: 'Collection family in item metadata, default name' },
+          sellerFeeBasisPoints: { type: 'integer', minimum: 0, maximum: METADATA_LIMITS.MAX_SELLER_FEE_BASIS_POINTS, description: 'Royalty, 500 = 5%' }
+        }
+      }
+    },
+    responses: {
+      200: ok('Collection created', {
+        collectionId: UUID,
+        collection: { type: 'object', properties: { imageURL: { type: 'string' }, metadataURL: { type: 'string' } } },
+        items: { type: 'array', items: { type: 'object', properties: { position: { type: 'integer' }, name: { type: 'string' }, imageURL: { type: 'string' }, metadataURL: { type: 'string' } } } }
+      }),
+      400: RESPONSES[400], 403: RESPONSES[403], 415: RESPONSES[415], 429: RESPONSES[429],
+      500: {
+        description: 'Collection not created; uploads lists files already stored (and kept in the upload history)',
+        schema: {
+          allOf: [ref('Error')],
+          properties: {
+            uploads: { type: 'array', items: { type: 'object', properties: { asset: { type: 'string' }, fileName: { type: 'string' }, transactionId: { type: 'string' }, publicURL: { type: 'string' }, deduplicated: { type: 'boolean' } } } }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'get', path: '/collections/:id', tag: 'Collections', auth: true,
+    summary: 'Stored collection with its items in order',
+    params: { id: UUID },
+    responses: { 200: ok('Collection', { collection: { type: 'object' } }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'post', path: '/webhooks', tag: 'Webhooks', auth: true,
+    summary: 'Register a webhook endpoint',
+    description: 'Deliveries are signed: X-Irys-Signature: sha256=HMAC_SHA256(secret, "<X-Irys-Timestamp>.<raw body>"). The secret is only returned here.',
+    body: {
+      content: ['application/json'],
+      schema: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          url: { type: 'string', description: 'http(s) URL receiving POST requests' },
+          events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS }, description: 'Default: all events' }
+        }
+      }
+    },
+    responses: { 201: ok('Webhook registered', { webhook: { allOf: [ref('Webhook')], properties: { secret: { type: 'string' } } } }), 400: RESPONSES[400] }
+  },
+  {
+    method: 'get', path: '/webhooks', tag: 'Webhooks', auth: true,
+    summary: 'List the wallet\'s webhooks',
+    responses: { 200: ok('Webhooks', { webhooks: { type: 'array', items: ref('Webhook') } }) }
+  },
+  {
+    method: 'delete', path: '/webhooks/:id', tag: 'Webhooks', auth: true,
+    summary: 'Stop sending events to a webhook (pending retries are dropped)',
+    params: { id: UUID },
+    responses: { 200: ok('Webhook removed', { webhook: { type: 'object', properties: { id: UUID, removed: { type: 'boolean' } } } }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'get', path: '/webhooks/:id/deliveries', tag: 'Webhooks', auth: true,
+    summary: 'Delivery history, newest first',
+    params: { id: UUID },
+    query: { limit: { type: 'integer', minimum: 1, maximum: 200, description: 'Default 50' } },
+    responses: { 200: ok('Deliveries', { webhookId: UUID, deliveries: { type: 'array', items: { type: 'object' } } }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'get', path: '/events', tag: 'Account', auth: true,
+    summary: 'Server-Sent Events stream of the wallet\'s upload progress',
+    description: 'Stages: received, validated, uploading, uploaded, metadata_uploaded, recorded, failed. EventSource cannot send headers: pass ?token=<session token>. Send X-Request-ID with an upload to find its events by requestId.',
+    query: { token: { type: 'string', description: 'Session token (instead of the Authorization header)' } },
+    responses: {
+      200: { description: 'text/event-stream', contentType: 'text/event-stream', schema: { type: 'string' } },
+      429: { description: 'Too many open streams for this wallet', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'get', path: '/jobs/:id', tag: 'Jobs', auth: true,
+    summary: 'Status of a background job',
+    params: { id: UUID },
+    responses: { 200: ok('Job', { job: ref('Job') }), 404: RESPONSES[404] }
+  },
+  {
+    method: 'get', path: '/dashboard', tag: 'Account', auth: true,
+    summary: 'Upload totals, quota, recent uploads, tokens and collections',
+    responses: {
+      200: ok('Dashboard', {
+        wallet: { type: 'object', properties: { address: { type: 'string' }, masked: { type: 'string' } } },
+        dashboard: {
+          type: 'object',
+          properties: {
+            totalUploads: { type: 'integer' },
+            totalSizeBytes: { type: 'integer' },
+            totalSizeMB: { type: 'string' },
+            tokenCount: { type: 'integer' },
+            quota: { type: ['object', 'null'] },
+            recentUploads: { type: 'array', items: { type: 'object' } },
+            recentTokens: { type: 'array', items: { type: 'object' } },
+            recentCollections: { type: 'array', items: { type: 'object' } }
+          }
+        }
+      })
+    }
+  },
+  {
+    method: 'get', path: '/gateway/:id', tag: 'Gateway',
+    summary: 'Stored content by transaction ID (STORAGE_PROVIDER=local|memory)',
+    params: { id: ID },
+    responses: { 200: { description: 'Raw content with its stored Content-Type', contentType: '*/*', schema: { type: 'string', format: 'binary' } }, 404: RESPONSES[404] }
+  },
+  {
+    method: 'get', path: '/gateway/mutable/:id', tag: 'Gateway',
+    summary: 'Newest upload of a Root-TX chain (STORAGE_PROVIDER=local|memory)',
+    params: { id: ID },
+    responses: { 200: { description: 'Raw content with its stored Content-Type', contentType: '*/*', schema: { type: 'string', format: 'binary' } }, 404: RESPONSES[404] }
+  },
+  {
+    method: 'get', path: '/gateway/:id/*path', tag: 'Gateway',
+    summary: 'File inside a path manifest (STORAGE_PROVIDER=local|memory)',
+    params: { id: ID, path: { type: 'string', description: 'Relative path inside the manifest' } },
+    responses: { 200: { description: 'Raw content with its stored Content-Type', contentType: '*/*', schema: { type: 'string', format: 'binary' } }, 404: RESPONSES[404] }
+  },
+  {
+    method: 'get', path: '/health', tag: 'Service',
+    summary: 'Service health, performance metrics and Irys node balance',
+    responses: { 200: { description: 'status is degraded while the node balance is low', schema: { type: 'object', properties: { status: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy'] }, funding: { type: 'object' }, features: { type: 'array', items: { type: 'string' } } } } } }
+  },
+  {
+    method: 'get', path: '/openapi.json', tag: 'Service',
+    summary: 'This OpenAPI 3.1 document',
+    responses: { 200: { description: 'OpenAPI document', schema: { type: 'object' } } }
+  },
+  {
+    method: 'get', path: '/docs', tag: 'Service',
+    summary: 'Endpoint index with links to the OpenAPI document and Swagger UI',
+    responses: { 200: ok('Index', { openapi: { type: 'string' }, swaggerUi: { type: ['string', 'null'] }, endpoints: { type: 'object' }, supportedFileTypes: { type: 'array', items: { type: 'string' } } }) }
+  },
+  {
+    method: 'get', path: '/docs/ui', tag: 'Service',
+    summary: 'Swagger UI (SWAGGER_UI=true or the swaggerUi router option)',
+    responses: { 200: { description: 'HTML page', contentType: 'text/html', schema: { type: 'string' } }, 404: { description: 'Swagger UI is disabled', schema: ref('Error') } }
+  }
+];
+
+const routeKey = (method, routePath) => `${method.toUpperCase()} ${routePath}`;
+const ROUTES_BY_KEY = new Map(ROUTES.map(route => [routeKey(route.method, route.path), route]));
+
+// Auth routes are only served with the built-in wallet auth
+const servedRoutes = (walletAuth) => ROUTES.filter(route => walletAuth || route.mountedBy !== 'auth');
+
+// Paths for endpoint lists (GET /, 404)
+const listEndpoints = ({ walletAuth = true } = {}) => [...new Set(servedRoutes(walletAuth).map(route => route.path))];
+
+// { 'POST /upload': 'Upload a single file', ... } for GET /docs
+const summarizeEndpoints = ({ walletAuth = true } = {}) =>
+  Object.fromEntries(servedRoutes(walletAuth).map(route => [routeKey(route.method, route.path), route.summary]));
+
+// ========================================
+// VALIDATION
+// ========================================
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: (value) => value === null
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean (true or false)',
+  array: 'an array',
+  object: 'an object',
+  null: 'null'
+};
+
+const resolveSchema = (schema) => schema.$ref ? COMPONENT_SCHEMAS[schema.$ref.split('/').pop()] : schema;
+const isFileSchema = (schema) => schema.format === 'binary' || schema.items?.format === 'binary';
+const isMissing = (value) => value === undefined || value === null || value === '';
+const fieldName = (prefix, name) => prefix ? `${prefix}.${name}` : name;
+
+// Text sources (form fields, query, path) carry numbers and booleans as strings
+const coerceText = (value, types) => {
+  if (typeof value !== 'string' || types.includes('string')) return value;
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Check a value against the JSON Schema subset used in this file
+ * (type, enum, const, string/number/array bounds, pattern, properties, required, items).
+ * @param {boolean} text - value comes from a form field, query string or path parameter
+ */
+const validateValue = (schema, value, field, errors, text = false) => {
+  schema = resolveSchema(schema);
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (text && types) value = coerceText(value, types);
+
+  if (types && !types.some(type => TYPE_CHECKS[type](value))) {
+    errors.push({ field, message: `must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ field, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} entries` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} entries` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateValue(schema.items, item, `${field}[${i}]`, errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value) && schema.properties) {
+    validateObject(schema, value, field, errors, text);
+  }
+};
+
+// File fields (format: binary) are not in req.body; validateRequest checks them against req.file(s)
+const validateObject = (schema, value, prefix, errors, text = false) => {
+  for (const name of schema.required || []) {
+    if (!isFileSchema(resolveSchema(schema.properties?.[name] || {})) && isMissing(value[name])) {
+      errors.push({ field: fieldName(prefix, name), message: 'is required' });
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    if (isMissing(value[name]) || isFileSchema(resolveSchema(propertySchema))) continue;
+    validateValue(propertySchema, value[name], fieldName(prefix, name), errors, text);
+  }
+};
+
+// Field names of the multer files on this request
+const uploadedFileFields = (req) => new Set([
+  ...(req.file ? [req.file.fieldname] : []),
+  ...(Array.isArray(req.files) ? req.files.map(uploaded => uploaded.fieldname) : Object.keys(req.files || {}))
+]);
+
+/**
+ * Problems with a request against its route definition.
+ * @returns {Array<{ field: string, message: string }>}
+ */
+const validateAgainstRoute = (definition, req) => {
+  const errors = [];
+
+  for (const [name, schema] of Object.entries(definition.params || {})) {
+    // Express 5 wildcards (*path) arrive as segment arrays
+    const value = Array.isArray(req.params[name]) ? req.params[name].join('/') : req.params[name];
+    if (!isMissing(value)) validateValue(schema, value, name, errors, true);
+  }
+  for (const [name, schema] of Object.entries(definition.query || {})) {
+    if (!isMissing(req.query[name])) validateValue(schema, req.query[name], name, errors, true);
+  }
+
+  const body = definition.body;
+  if (body?.schema.type === 'object') {
+    validateObject(body.schema, req.body || {}, '', errors, Boolean(req.is('multipart/form-data')));
+
+    const uploaded = uploadedFileFields(req);
+    for (const name of body.schema.required || []) {
+      if (isFileSchema(body.schema.properties[name]) && !uploaded.has(name)) {
+        errors.push({ field: name, message: 'is required (multipart file)' });
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Express middleware: 400 with every problem, or on to the handler
+const validateRequest = (definition) => (req, res, next) => {
+  const errors = validateAgainstRoute(definition, req);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request',
+      details: errors
+    });
+  }
+  next();
+};
+
+/**
+ * Route registration bound to the definitions: routes.post('/upload', upload.single('file'), handler)
+ * runs validateRequest between the body parsers and the handler.
+ * routes.assertComplete() throws for definitions nobody registered.
+ * @throws {Error} "Undocumented route: ..." for a route missing from ROUTES
+ */
+const createRouteRegistrar = (router) => {
+  const registered = new Set();
+
+  const register = (method) => (routePath, ...handlers) => {
+    const key = routeKey(method, routePath);
+    const definition = ROUTES_BY_KEY.get(key);
+    if (!definition || definition.mountedBy) {
+      throw new Error(`Undocumented route: ${key} (declare it in api-spec.js)`);
+    }
+
+    const handler = handlers.pop();
+    router[method](routePath, ...handlers, validateRequest(definition), handler);
+    registered.add(key);
+  };
+
+  return {
+    get: register('get'),
+    post: register('post'),
+    put: register('put'),
+    delete: register('delete'),
+    assertComplete() {
+      const missing = ROUTES
+        .filter(route => !route.mountedBy && !registered.has(routeKey(route.method, route.path)))
+        .map(route => routeKey(route.method, route.path));
+      if (missing.length > 0) {
+        throw new Error(`Declared but not registered: ${missing.join(', ')}`);
+      }
+    }
+  };
+};
+
+// ========================================
+// OPENAPI DOCUMENT
+// ========================================
+
+// '/gateway/:id/*path' -> '/gateway/{id}/{path}'
+const toOpenApiPath = (routePath) => routePath.replace(/[:*]([A-Za-z_]+)/g, '{$1}');
+
+const toParameters = (location, fields = {}, required = false) =>
+  Object.entries(fields).map(([name, schema]) => ({
+    name,
+    in: location,
+    required,
+    ...(schema.description ? { description: schema.description } : {}),
+    schema
+  }));
+
+const toResponses = (responses) => Object.fromEntries(Object.entries(responses).map(([status, response]) => [status, {
+  description: response.description,
+  content: { [response.contentType || 'application/json']: { schema: response.schema } }
+}]));
+
+// 'post /tokens/:id/revisions' -> 'postTokensIdRevisions'
+const operationId = (route) => route.method + (route.path
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+  .join('') || 'Root');
+
+const toOperation = (route, { maxUploadSize }) => {
+  const operation = {
+    operationId: operationId(route),
+    tags: [route.tag],
+    summary: route.summary,
+    ...(route.description ? { description: route.description } : {}),
+    parameters: [
+      ...toParameters('path', route.params, true),
+      ...toParameters('query', route.query),
+      ...toParameters('header', route.headers),
+      { name: 'X-Request-ID', in: 'header', required: false, description: 'Correlates GET /events progress events with this request', schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{8,64}$' } }
+    ],
+    responses: toResponses(route.auth ? { ...route.responses, 401: RESPONSES[401] } : route.responses)
+  };
+
+  if (route.auth) {
+    operation.security = [{ bearerAuth: [] }];
+  }
+
+  if (route.body) {
+    const uploads = route.body.content.includes('multipart/form-data') ? ` Max ${(maxUploadSize / 1024 / 1024).toFixed(1)}MB per file.` : '';
+    operation.requestBody = {
+      required: Boolean(route.body.schema.required?.length) || route.body.schema.type !== 'object',
+      ...(uploads ? { description: uploads.trim() } : {}),
+      content: Object.fromEntries(route.body.content.map(type => [type, { schema: route.body.schema }]))
+    };
+  }
+
+  return operation;
+};
+
+/**
+ * OpenAPI 3.1 document for the routes a router serves.
+ * @param {{ serverUrl: string, walletAuth?: boolean, supportedTypes?: string[], maxUploadSize: number }} options
+ *   walletAuth: false leaves out /auth/* (the host app signs users in)
+ */
+const buildOpenApiDocument = ({ serverUrl, walletAuth = true, supportedTypes = [], maxUploadSize }) => {
+  const paths = {};
+  for (const route of servedRoutes(walletAuth)) {
+    const openApiPath = toOpenApiPath(route.path);
+    paths[openApiPath] = { ...paths[openApiPath], [route.method]: toOperation(route, { maxUploadSize }) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Irys Upload Service API',
+      version: API_VERSION,
+      description: [
+        'Permanent file storage on Irys with wallet-based accounts, Solana token metadata and NFT collections.',
+        `Supported file types: ${supportedTypes.join(', ')}.`,
+        walletAuth
+          ? 'Sign in: GET /auth/nonce, sign the message with the wallet, POST /auth/verify, then send Authorization: Bearer <token>.'
+          : 'Sign in through the host application.'
+      ].join('\n\n')
+    },
+    servers: [{ url: serverUrl }],
+    tags: [...new Set(ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: walletAuth ? 'Session token from POST /auth/verify' : 'Provided by the host application'
+        }
+      }
+    }
+  };
+};
+
+export {
+  API_VERSION,
+  ROUTES,
+  COMPONENT_SCHEMAS,
+  listEndpoints,
+  summarizeEndpoints,
+  validateValue,
+  validateAgainstRoute,
+  validateRequest,
+  createRouteRegistrar,
+  buildOpenApiDocument
+};
@@ -0,0 +1,420 @@
+/**
+ * ========================================
+ * CHUNKED (RESUMABLE) UPLOAD MANAGER
+ * ========================================
+ *
+ * Large media uploads without buffering whole files in RAM:
+ * 1. Open a session (file name, size, SHA-256)      -> POST /uploads
+ * 2. Send chunks in any order, retry freely         -> PUT /uploads/:id/chunks/:n
+ * 3. Assemble, verify SHA-256, upload to Irys       -> POST /uploads/:id/complete
+ *
+ * Session state and chunks are spooled to CONFIG.TEMP_DIR/chunked/<id>/,
+ * so a client that disconnects can query GET /uploads/:id and resume.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { CONFIG, SUPPORTED_TYPES } from "./irys-upload-service-final.js";
+import { noopProgress } from "./progress-events.js";
+
+const SESSIONS_DIR = path.join(CONFIG.TEMP_DIR, 'chunked');
+const SESSION_FILE = 'session.json';
+// The assembled file keeps its own name (File-Name tag) in a directory no client name can reach
+const ASSEMBLY_DIR = 'assembled';
+const SESSION_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+// ========================================
+// HELPERS
+// ========================================
+
+const chunkFileName = (index) => `chunk_${String(index).padStart(6, '0')}.part`;
+
+// Fails the stream as soon as more than maxBytes pass through
+const createSizeLimiter = (maxBytes) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new Error(`Chunk too large: max ${maxBytes} bytes`));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+};
+
+// ========================================
+// MANAGER
+// ========================================
+
+class ChunkedUploadManager {
+  constructor(irysService, options = {}) {
+    this.irysService = irysService;
+    this.sessionsDir = options.sessionsDir || SESSIONS_DIR;
+    this.chunkSize = options.chunkSize || CONFIG.CHUNK_SIZE;
+    this.maxFileSize = options.maxFileSize || CONFIG.MAX_CHUNKED_UPLOAD_SIZE;
+    this.sessionTTL = options.sessionTTL || CONFIG.CHUNKED_SESSION_TTL;
+    // A 'completing' session older than this was interrupted (crash, restart)
+    this.completionTimeout = options.completionTimeout || CONFIG.CHUNKED_UPLOAD_TIMEOUT * 2;
+
+    fs.mkdirSync(this.sessionsDir, { recursive: true });
+
+    this.cleanupTimer = setInterval(() => this.cleanupExpiredSessions(), 60 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.cleanupTimer);
+  }
+
+  sessionDir(uploadId) {
+    if (!SESSION_ID_PATTERN.test(uploadId)) {
+      throw new Error('Upload session not found');
+    }
+    return path.join(this.sessionsDir, uploadId);
+  }
+
+  readSession(uploadId) {
+    const sessionPath = path.join(this.sessionDir(uploadId), SESSION_FILE);
+    if (!fs.existsSync(sessionPath)) {
+      throw new Error('Upload session not found');
+    }
+    return JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+  }
+
+  writeSession(session) {
+    const sessionPath = path.join(this.sessionDir(session.uploadId), SESSION_FILE);
+    fs.writeFileSync(`${sessionPath}.tmp`, JSON.stringify(session, null, 2));
+    fs.renameSync(`${sessionPath}.tmp`, sessionPath);
+  }
+
+  // Load a session and make sure it belongs to the calling wallet
+  getOwnedSession(uploadId, walletAddress) {
+    const session = this.readSession(uploadId);
+    if (session.walletAddress !== walletAddress) {
+      throw new Error('Upload session not found');
+    }
+    if (session.expiresAt < Date.now() && session.status !== 'completed') {
+      throw new Error('Upload session expired');
+    }
+    if (session.status === 'completing' && Date.now() - (session.completingSince || 0) > this.completionTimeout) {
+      // Nothing is finishing it any more - reopen so the client can retry /complete or abort
+      session.status = 'open';
+      session.completingSince = null;
+      session.error = session.error || 'Interrupted while completing';
+      this.writeSession(session);
+    }
+    return session;
+  }
+
+  getReceivedChunks(session) {
+    const dir = this.sessionDir(session.uploadId);
+    const received = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (fs.existsSync(path.join(dir, chunkFileName(index)))) {
+        received.push(index);
+      }
+    }
+    return received;
+  }
+
+  // Expected byte length of a given chunk (last one may be shorter)
+  expectedChunkSize(session, index) {
+    const isLast = index === session.totalChunks - 1;
+    return isLast ? session.fileSize - session.chunkSize * index : session.chunkSize;
+  }
+
+  // ⚡ Step 1: open an upload session
+  createSession(walletAddress, { fileName, fileSize, sha256, chunkSize }) {
+    const safeName = path.basename(String(fileName || ''));
+    const ext = path.extname(safeName).toLowerCase();
+    const size = parseInt(fileSize);
+    const sessionChunkSize = parseInt(chunkSize) || this.chunkSize;
+
+    if (!safeName || !SUPPORTED_TYPES[ext]) {
+      throw new Error(`Unsupported file type: ${ext || 'none'}`);
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new Error('Invalid fileSize: must be a positive integer');
+    }
+    if (size > this.maxFileSize) {
+      const fileMB = (size / 1024 / 1024).toFixed(2);
+      const maxMB = (this.maxFileSize / 1024 / 1024).toFixed(2);
+      throw new Error(`File too large: ${fileMB}MB (max: ${maxMB}MB)`);
+    }
+    if (sessionChunkSize <= 0 || sessionChunkSize > this.chunkSize) {
+      throw new Error(`Invalid chunkSize: must be between 1 and ${this.chunkSize} bytes`);
+    }
+    if (sha256 && !/^[a-f0-9]{64}$/i.test(sha256)) {
+      throw new Error('Invalid sha256: expected 64 hex characters');
+    }
+
+    const uploadId = crypto.randomUUID();
+    const now = Date.now();
+    const session = {
+      uploadId,
+      walletAddress,
+      fileName: safeName,
+      fileSize: size,
+      chunkSize: sessionChunkSize,
+      totalChunks: Math.ceil(size / sessionChunkSize),
+      sha256: sha256 ? sha256.toLowerCase() : null,
+      status: 'open',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.sessionTTL,
+      result: null
+    };
+
+    fs.mkdirSync(this.sessionDir(uploadId), { recursive: true });
+    this.writeSession(session);
+
+    console.log(`📦 [${walletAddress.slice(0,8)}...] Opened chunked upload ${uploadId} (${safeName}, ${session.totalChunks} chunks)`);
+
+    return this.describe(session);
+  }
+
+  // ⚡ Step 2: store one chunk from a readable stream (request body)
+  async writeChunk(uploadId, walletAddress, index, source, expectedSha256 = null) {
+    const session = this.getOwnedSession(uploadId, walletAddress);
+    const chunkIndex = parseInt(index);
+
+    if (session.status !== 'open') {
+      throw new Error(`Upload session is ${session.status}`);
+    }
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.totalChunks) {
+      throw new Error(`Invalid chunk index: expected 0-${session.totalChunks - 1}`);
+    }
+
+    const expectedSize = this.expectedChunkSize(session, chunkIndex);
+    const dir = this.sessionDir(uploadId);
+    const finalPath = path.join(dir, chunkFileName(chunkIndex));
+    const partialPath = `${finalPath}.${crypto.randomUUID()}.tmp`;
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        bytes += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      // A disconnect mid-chunk rejects here and leaves no partial chunk behind
+      await pipeline(source, createSizeLimiter(expectedSize), hasher, fs.createWriteStream(partialPath));
+
+      if (bytes !== expectedSize) {
+        throw new Error(`Chunk size mismatch: expected ${expectedSize} bytes, received ${bytes}`);
+      }
+
+      const digest = hash.digest('hex');
+      if (expectedSha256 && expectedSha256.toLowerCase() !== digest) {
+        throw new Error('Chunk checksum mismatch');
+      }
+
+      fs.renameSync(partialPath, finalPath);
+
+      return {
+        uploadId,
+        chunk: chunkIndex,
+        size: bytes,
+        sha256: digest,
+        receivedChunks: this.getReceivedChunks(session).length,
+        totalChunks: session.totalChunks
+      };
+    } finally {
+      if (fs.existsSync(partialPath)) {
+        fs.unlinkSync(partialPath);
+      }
+    }
+  }
+
+  // ⚡ Step 3: assemble, verify and hand off to the Irys uploader (progress: GET /events reporter)
+  async complete(uploadId, walletAddress, { sha256 } = {}, customTags = [], progress = noopProgress) {
+    const session = this.getOwnedSession(uploadId, walletAddress);
+
+    if (session.status === 'completed') {
+      return { ...this.describe(session), result: session.result };
+    }
+    if (session.status !== 'open') {
+      throw new Error(`Upload session is ${session.status}`);
+    }
+
+    const expectedHash = (sha256 || session.sha256 || '').toLowerCase();
+    if (!expectedHash) {
+      throw new Error('SHA-256 required: provide sha256 when opening or completing the upload');
+    }
+
+    const received = this.getReceivedChunks(session);
+    if (received.length !== session.totalChunks) {
+      const missing = [];
+      for (let index = 0; index < session.totalChunks; index++) {
+        if (!received.includes(index)) missing.push(index);
+      }
+      throw new Error(`Upload incomplete: missing chunks ${missing.join(', ')}`);
+    }
+
+    session.status = 'completing';
+    session.completingSince = Date.now();
+    this.writeSession(session);
+
+    const dir = this.sessionDir(uploadId);
+    const assemblyDir = path.join(dir, ASSEMBLY_DIR);
+    const assembledPath = path.join(assemblyDir, session.fileName);
+    let quota = null;
+
+    try {
+      fs.mkdirSync(assemblyDir, { recursive: true });
+      // Concatenate chunks in order while hashing the final file
+      const hash = crypto.createHash('sha256');
+      const output = fs.createWriteStream(assembledPath);
+      for (let index = 0; index < session.totalChunks; index++) {
+        const chunkPath = path.join(dir, chunkFileName(index));
+        await pipeline(fs.createReadStream(chunkPath), new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          }
+        }), output, { end: false });
+      }
+      await new Promise((resolve, reject) => output.end((err) => err ? reject(err) : resolve()));
+
+      const digest = hash.digest('hex');
+      if (digest !== expectedHash) {
+        session.status = 'failed';
+        throw new Error(`SHA-256 mismatch: expected ${expectedHash}, got ${digest}`);
+      }
+
+      // Held until recorded so concurrent uploads of this wallet cannot overshoot the plan
+      quota = await this.irysService.reserveQuota(walletAddress);
+      const result = await this.irysService.uploadFile(assembledPath, walletAddress, [
+        { name: 'Upload-Method', value: 'chunked' },
+        ...customTags
+      ], uploadId, {
+        maxSize: this.maxFileSize,
+        timeout: CONFIG.CHUNKED_UPLOAD_TIMEOUT,
+        progress,
+        quota
+      });
+
+      await this.irysService.db.createOrUpdateUser(walletAddress);
+      await this.irysService.db.recordUpload(walletAddress, result, null, result.tags);
+      progress('recorded', { transactionId: result.transactionId, publicURL: result.publicURL });
+
+      session.status = 'completed';
+      session.completingSince = null;
+      session.sha256 = digest;
+      session.error = null;
+      session.result = {
+        transactionId: result.transactionId,
+        publicURL: result.publicURL,
+        fileName: result.fileName,
+        fileSize: result.fileSize,
+        contentType: result.contentType,
+        category: result.category,
+        uploadTime: result.uploadTime,
+        throughput: result.throughput,
+        sanitization: result.sanitization,
+        deduplicated: result.deduplicated
+      };
+      this.writeSession(session);
+
+      // Chunks are only released once the file is safely on Irys
+      this.removeChunks(session);
+
+      return { ...this.describe(session), result: session.result };
+    } catch (error) {
+      // Corrupt data cannot be resumed; anything else (e.g. Irys timeout)
+      // reopens the session so the client can simply retry /complete
+      if (session.status === 'failed') {
+        this.removeChunks(session);
+      } else {
+        session.status = 'open';
+      }
+      session.completingSince = null;
+      session.error = error.message;
+      this.writeSession(session);
+      throw error;
+    } finally {
+      quota?.release();
+      fs.rmSync(assemblyDir, { recursive: true, force: true });
+    }
+  }
+
+  removeChunks(session) {
+    const dir = this.sessionDir(session.uploadId);
+    for (let index = 0; index < session.totalChunks; index++) {
+      fs.rmSync(path.join(dir, chunkFileName(index)), { force: true });
+    }
+  }
+
+  getStatus(uploadId, walletAddress) {
+    return this.describe(this.getOwnedSession(uploadId, walletAddress));
+  }
+
+  abort(uploadId, walletAddress) {
+    const session = this.getOwnedSession(uploadId, walletAddress);
+    fs.rmSync(this.sessionDir(session.uploadId), { recursive: true, force: true });
+    return { uploadId, status: 'aborted' };
+  }
+
+  describe(session) {
+    const received = session.status === 'open' ? this.getReceivedChunks(session) : [];
+    return {
+      uploadId: session.uploadId,
+      status: session.status,
+      fileName: session.fileName,
+      fileSize: session.fileSize,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      receivedChunks: received,
+      sha256: session.sha256,
+      createdAt: session.createdAt,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      ...(session.error ? { lastError: session.error } : {}),
+      ...(session.result ? { result: session.result } : {})
+    };
+  }
+
+  cleanupExpiredSessions() {
+    try {
+      const now = Date.now();
+      for (const uploadId of fs.readdirSync(this.sessionsDir)) {
+        try {
+          const session = this.readSession(uploadId);
+          if (session.expiresAt < now) {
+            fs.rmSync(this.sessionDir(uploadId), { recursive: true, force: true });
+          }
+        } catch {
+          // Unreadable/foreign entry - leave it for manual inspection
+        }
+      }
+    } catch (error) {
+      console.error('Chunked upload cleanup error:', error.message);
+    }
+  }
+
+  getStats() {
+    let openSessions = 0;
+    try {
+      openSessions = fs.readdirSync(this.sessionsDir).length;
+    } catch {
+      // Directory missing - nothing open
+    }
+    return {
+      sessions: openSessions,
+      chunkSize: this.chunkSize,
+      maxFileSize: `${(this.maxFileSize / 1024 / 1024).toFixed(1)}MB`
+    };
+  }
+}
+
+export {
+  ChunkedUploadManager,
+  SESSIONS_DIR
+};
@@ -0,0 +1,199 @@
+/**
+ * ========================================
+ * CONTENT-SNIFFING FILE TYPE DETECTION
+ * ========================================
+ *
+ * Detects the real type of an upload from its bytes (magic numbers),
+ * instead of trusting the file extension. A renamed executable uploaded
+ * as ".png" is rejected before it reaches permanent storage.
+ *
+ * Covers every type in SUPPORTED_TYPES:
+ * JPEG, PNG, GIF, WebP, AVIF, MP4/MOV, WebM, MP3, WAV, FLAC, PDF, JSON, SVG
+ */
+
+import fs from "fs";
+
+// Bytes needed to identify binary formats (ftyp brands, EBML doctype, ...)
+const SNIFF_BYTES = 4100;
+
+// Extensions whose content is text and must be inspected in full
+const TEXT_EXTENSIONS = ['.json', '.svg'];
+
+// MP4 and MOV share the ISO-BMFF container; either extension may hold either brand
+const ISO_VIDEO_MIMES = ['video/mp4', 'video/quicktime'];
+
+const MIME_CATEGORIES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'image/avif': 'image',
+  'image/svg+xml': 'image',
+  'video/mp4': 'video',
+  'video/quicktime': 'video',
+  'video/webm': 'video',
+  'audio/mpeg': 'audio',
+  'audio/wav': 'audio',
+  'audio/flac': 'audio',
+  'application/pdf': 'document',
+  'application/json': 'document'
+};
+
+// ========================================
+// BYTE HELPERS
+// ========================================
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) =>
+  buffer.length >= end ? buffer.toString('latin1', start, end) : '';
+
+// ISO base media file format (MP4, MOV, AVIF): [size]['ftyp'][major brand]...[compatible brands]
+const detectIsoBmff = (buffer) => {
+  if (ascii(buffer, 4, 8) !== 'ftyp') {
+    // Older QuickTime files start directly with a movie atom
+    const atom = ascii(buffer, 4, 8);
+    return ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'].includes(atom) ? 'video/quicktime' : null;
+  }
+
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [ascii(buffer, 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(buffer, offset, offset + 4));
+  }
+
+  if (brands.includes('avif') || brands.includes('avis')) return 'image/avif';
+  if (brands[0] === 'qt  ') return 'video/quicktime';
+  return 'video/mp4';
+};
+
+// EBML container (WebM / Matroska): look for the DocType string
+const detectEbml = (buffer) => {
+  if (!startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) return null;
+  const header = buffer.toString('latin1', 0, Math.min(buffer.length, 64));
+  return header.includes('webm') ? 'video/webm' : null;
+};
+
+const detectMp3 = (buffer) => {
+  if (ascii(buffer, 0, 3) === 'ID3') return 'audio/mpeg';
+  // MPEG audio frame sync: 11 set bits, layer != reserved
+  if (buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0) {
+    return 'audio/mpeg';
+  }
+  return null;
+};
+
+// ========================================
+// TEXT FORMATS
+// ========================================
+
+const decodeUtf8 = (buffer) => {
+  if (buffer.includes(0x00)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    return null;
+  }
+};
+
+const detectText = (buffer) => {
+  const text = decodeUtf8(buffer);
+  if (text === null) return null;
+
+  const trimmed = text.trimStart();
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      JSON.parse(text);
+      return 'application/json';
+    } catch {
+      return null;
+    }
+  }
+
+  // SVG: optional XML declaration / comments / doctype, then an <svg> root
+  const prolog = trimmed
+    .replace(/^<\?xml[\s\S]*?\?>\s*/i, '')
+    .replace(/^(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*/i, '');
+  if (/^<svg[\s>]/i.test(prolog)) return 'image/svg+xml';
+
+  return null;
+};
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Detect the MIME type of a buffer from its content.
+ * @param {Buffer} buffer - file content (at least the first SNIFF_BYTES; text types need all of it)
+ * @returns {{ mime: string, category: string } | null}
+ */
+const detectFileType = (buffer) => {
+  let mime = null;
+
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) mime = 'image/jpeg';
+  else if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) mime = 'image/png';
+  else if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) mime = 'image/gif';
+  else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') mime = 'image/webp';
+  else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') mime = 'audio/wav';
+  else if (ascii(buffer, 0, 4) === 'fLaC') mime = 'audio/flac';
+  else if (ascii(buffer, 0, 5) === '%PDF-') mime = 'application/pdf';
+  else mime = detectIsoBmff(buffer) || detectEbml(buffer) || detectMp3(buffer) || detectText(buffer);
+
+  return mime ? { mime, category: MIME_CATEGORIES[mime] } : null;
+};
+
+/**
+ * Check that content matches what its extension claims.
+ * @param {Buffer} buffer - file content
+ * @param {string} ext - lowercase extension including the dot
+ * @param {object} supportedTypes - extension registry ({ ".png": { mime, category, ... } })
+ * @returns {{ mime: string, category: string }} the detected type
+ * @throws {Error} "Unsupported media type: ..." when the content does not match
+ */
+const verifyFileContent = (buffer, ext, supportedTypes) => {
+  const expected = supportedTypes[ext];
+  if (!expected) {
+    throw new Error(`Unsupported file type: ${ext}`);
+  }
+
+  const detected = detectFileType(buffer);
+  if (!detected) {
+    throw new Error(`Unsupported media type: content of ${ext} file is not a recognized ${expected.mime} file`);
+  }
+
+  const matches = detected.mime === expected.mime ||
+    (ISO_VIDEO_MIMES.includes(detected.mime) && ISO_VIDEO_MIMES.includes(expected.mime));
+
+  if (!matches) {
+    throw new Error(`Unsupported media type: ${ext} file contains ${detected.mime} data (expected ${expected.mime})`);
+  }
+
+  return detected;
+};
+
+// Read just enough of a file on disk to sniff it
+const readSniffBuffer = (filePath, ext) => {
+  if (TEXT_EXTENSIONS.includes(ext)) {
+    return fs.readFileSync(filePath);
+  }
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+export {
+  detectFileType,
+  verifyFileContent,
+  readSniffBuffer,
+  MIME_CATEGORIES
+};
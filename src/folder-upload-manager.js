@@ -0,0 +1,243 @@
+/**
+ * ========================================
+ * FOLDER UPLOADS (PATH MANIFESTS)
+ * ========================================
+ *
+ * Uploads every file of a directory, then publishes an Irys path manifest
+ * so the files share one base URL instead of N unrelated links:
+ *   <gateway>/<manifestId>/0.json, <gateway>/<manifestId>/images/0.png, ...
+ *
+ * Manifest format (Type: manifest, Content-Type: application/x.irys-manifest+json):
+ *   { manifest: 'irys/paths', version: '0.1.0', index?: { path }, paths: { '<path>': { id } } }
+ *
+ * The manifest ID and the path -> transaction mapping are stored in the
+ * SQLite manifests / manifest_files tables.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { CONFIG } from "./irys-upload-service-final.js";
+import { MANIFEST_CONTENT_TYPE } from "./storage-providers.js";
+import { noopProgress } from "./progress-events.js";
+
+const MANIFEST_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Normalize a client-supplied relative path ('images\\1.png' -> 'images/1.png').
+ * @throws {Error} "Invalid path: ..." for absolute paths or '..' segments
+ */
+const normalizeManifestPath = (filePath) => {
+  const normalized = typeof filePath === 'string' ? filePath.replace(/\\/g, '/').replace(/^\.\//, '') : '';
+  const segments = normalized.split('/');
+
+  if (!normalized || normalized.startsWith('/') || segments.some(segment => !segment || segment === '.' || segment === '..')) {
+    throw new Error(`Invalid path: ${filePath}`);
+  }
+  return normalized;
+};
+
+// Relative paths of all files below dir, '/'-separated, numeric-aware order (2.json before 10.json)
+const listFiles = (dir, prefix = '') => fs.readdirSync(dir, { withFileTypes: true })
+  .flatMap(entry => entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : entry.isFile() ? [`${prefix}${entry.name}`] : [])
+  .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+const buildPathManifest = (files, indexPath = null) => ({
+  manifest: 'irys/paths',
+  version: '0.1.0',
+  ...(indexPath ? { index: { path: indexPath } } : {}),
+  paths: Object.fromEntries(files.map(file => [file.path, { id: file.transactionId }]))
+});
+
+// ========================================
+// MANAGER
+// ========================================
+
+class FolderUploadManager {
+  constructor(irysService, options = {}) {
+    this.irysService = irysService;
+    this.db = irysService.db;
+    this.maxFiles = options.maxFiles || CONFIG.MAX_FOLDER_FILES;
+    this.concurrency = options.concurrency || CONFIG.BATCH_CONCURRENCY;
+    this.stats = { folders: 0, files: 0 };
+  }
+
+  /**
+   * Upload a directory and publish its path manifest.
+   * @param {string} folderPath - directory on disk (files in subdirectories keep their relative path)
+   * @param {string} walletAddress
+   * @param {{ indexFile?: string, progress?: Function, tags?: Array<{ name, value }> }} options
+   *   indexFile: path served at <gateway>/<manifestId>/ (must be one of the files)
+   */
+  async upload(folderPath, walletAddress, options = {}) {
+    const progress = options.progress || noopProgress;
+    const sessionId = `folder_${walletAddress.slice(0,8)}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const startTime = performance.now();
+    this.irysService.assertStoreSupports('recordManifest', 'Folder uploads');
+
+    if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+      throw new Error(`Folder not found: ${folderPath}`);
+    }
+
+    const paths = listFiles(folderPath);
+    if (paths.length === 0) {
+      throw new Error('Invalid folder: no files to upload');
+    }
+    if (paths.length > this.maxFiles) {
+      throw new Error(`Invalid folder: ${paths.length} files (max ${this.maxFiles})`);
+    }
+
+    const indexPath = options.indexFile ? normalizeManifestPath(options.indexFile) : null;
+    if (indexPath && !paths.includes(indexPath)) {
+      throw new Error(`Invalid indexFile: ${indexPath} is not in the folder`);
+    }
+
+    // Every file must be a supported type and the folder must fit the plan (held until recorded)
+    const infos = paths.map(filePath => this.irysService.validateFile(path.join(folderPath, filePath)));
+    const sizes = infos.map(info => info.size);
+    const quota = await this.irysService.reserveQuota(walletAddress, {
+      bytes: sizes.reduce((sum, size) => sum + size, 0),
+      fileBytes: Math.max(...sizes)
+    });
+
+    try {
+      console.log(`📁 [${walletAddress.slice(0,8)}...] Uploading folder with ${paths.length} files`);
+
+      // Bounded concurrency; the first failure stops scheduling new files
+      const results = new Array(paths.length);
+      let next = 0;
+      let failure = null;
+
+      const worker = async () => {
+        while (next < paths.length && !failure) {
+          const index = next++;
+          const filePath = paths[index];
+
+          try {
+            results[index] = await this.irysService.uploadFile(path.join(folderPath, filePath), walletAddress, [
+              { name: 'Asset-Type', value: 'folder-file' },
+              { name: 'Folder-Path', value: filePath },
+              ...(options.tags || [])
+            ], sessionId, { progress, asset: filePath, enforceQuota: false });
+          } catch (error) {
+            failure = failure || new Error(`${filePath} failed: ${error.message}`);
+          }
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, paths.length) }, worker));
+      if (failure) throw failure;
+
+      const files = paths.map((filePath, index) => ({
+        path: filePath,
+        transactionId: results[index].transactionId,
+        fileSize: results[index].fileSize,
+        contentType: results[index].contentType,
+        deduplicated: results[index].deduplicated
+      }));
+
+      const manifest = buildPathManifest(files, indexPath);
+      const manifestResult = await this.publishManifest(manifest, walletAddress, options.tags);
+
+      await this.db.createOrUpdateUser(walletAddress);
+      await Promise.all(results.map(result => this.db.recordUpload(walletAddress, result, null, result.tags)));
+      await this.db.recordManifest(walletAddress, {
+        id: manifestResult.id,
+        indexPath,
+        totalSize: sizes.reduce((sum, size) => sum + size, 0),
+        sessionId
+      }, files);
+
+      const totalTime = Math.round(performance.now() - startTime);
+      this.stats.folders++;
+      this.stats.files += files.length;
+      console.log(`📁 [${walletAddress.slice(0,8)}...] Manifest ${manifestResult.id} published (${files.length} files, ${totalTime}ms)`);
+      progress('recorded', { manifestId: manifestResult.id, files: files.length, totalTimeMs: totalTime });
+
+      return {
+        manifestId: manifestResult.id,
+        manifestURL: this.irysService.storage.getPublicUrl(manifestResult.id),
+        baseURL: `${this.irysService.storage.getPublicUrl(manifestResult.id)}/`,
+        indexPath,
+        files: files.map(file => ({
+          ...file,
+          url: this.irysService.storage.getPathUrl(manifestResult.id, file.path),
+          directURL: this.irysService.storage.getPublicUrl(file.transactionId)
+        })),
+        sessionId,
+        performance: {
+          totalTime,
+          concurrency: Math.min(this.concurrency, paths.length)
+        }
+      };
+    } finally {
+      quota.release();
+    }
+  }
+
+  // The manifest is not a user file: it bypasses uploadFile's type checks and dedup
+  async publishManifest(manifest, walletAddress, extraTags = []) {
+    const connection = await this.irysService.connectionPool.getConnection();
+
+    try {
+      const uploadPromise = connection.upload(Buffer.from(JSON.stringify(manifest)), {
+        tags: [
+          { name: 'Type', value: 'manifest' },
+          { name: 'Content-Type', value: MANIFEST_CONTENT_TYPE },
+          { name: this.irysService.identity.tagName, value: walletAddress },
+          { name: 'Upload-Time', value: Date.now().toString() },
+          ...extraTags
+        ]
+      });
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Manifest upload timeout')), CONFIG.UPLOAD_TIMEOUT).unref()
+      );
+
+      return await Promise.race([uploadPromise, timeoutPromise]);
+    } finally {
+      this.irysService.connectionPool.releaseConnection(connection);
+    }
+  }
+
+  // Stored manifest with its files (owner only)
+  async getManifest(manifestId, walletAddress) {
+    this.irysService.assertStoreSupports('recordManifest', 'Folder uploads');
+    const manifest = MANIFEST_ID_PATTERN.test(manifestId) ? await this.db.getManifest(manifestId) : null;
+
+    if (!manifest || manifest.wallet_address !== walletAddress) {
+      throw new Error('Manifest not found');
+    }
+
+    const files = await this.db.getManifestFiles(manifestId);
+    return {
+      manifestId: manifest.id,
+      manifestURL: this.irysService.storage.getPublicUrl(manifest.id),
+      indexPath: manifest.index_path,
+      fileCount: manifest.file_count,
+      totalSize: manifest.total_size,
+      createdAt: manifest.created_at,
+      files: files.map(file => ({
+        path: file.path,
+        transactionId: file.transaction_id,
+        fileSize: file.file_size,
+        contentType: file.content_type,
+        url: this.irysService.storage.getPathUrl(manifest.id, file.path)
+      }))
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      maxFiles: this.maxFiles
+    };
+  }
+}
+
+export {
+  FolderUploadManager,
+  buildPathManifest,
+  normalizeManifestPath
+};
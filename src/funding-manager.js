@@ -0,0 +1,181 @@
+/**
+ * ========================================
+ * IRYS BALANCE MONITORING & AUTO-FUNDING
+ * ========================================
+ *
+ * Every upload is paid from the service wallet's balance on the Irys node.
+ * This module checks that balance periodically instead of waiting for
+ * uploads to start failing:
+ * - balance + low-balance flag exposed on GET /health
+ * - warning logged while the balance is below FUNDING_LOW_BALANCE
+ * - optional top-up of FUNDING_AMOUNT (FUNDING_AUTO_FUND=true), limited to
+ *   FUNDING_DAILY_CAP per UTC day
+ *
+ * Every fund attempt is recorded in the SQLite funding_events table.
+ * Manual funding with the Irys CLI is described in docs/Readme-Fund.md.
+ */
+
+import { CONFIG } from "./irys-upload-service-final.js";
+import { LAMPORTS_PER_SOL, toLamports } from "./storage-providers.js";
+
+const startOfUtcDay = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+// ========================================
+// MANAGER
+// ========================================
+
+class FundingManager {
+  constructor(irysService, options = {}) {
+    this.irysService = irysService;
+    this.checkInterval = options.checkInterval ?? CONFIG.FUNDING_CHECK_INTERVAL;
+    this.lowBalance = options.lowBalance ?? CONFIG.FUNDING_LOW_BALANCE;
+    this.autoFund = options.autoFund ?? CONFIG.FUNDING_AUTO_FUND;
+    this.fundAmount = options.fundAmount ?? CONFIG.FUNDING_AMOUNT;
+    this.dailyCap = options.dailyCap ?? CONFIG.FUNDING_DAILY_CAP;
+
+    this.client = null;
+    this.timer = null;
+    this.pendingCheck = null;
+    this.state = {
+      balance: null,
+      lastCheckedAt: null,
+      lastError: null,
+      lastFunding: null
+    };
+  }
+
+  async getClient() {
+    if (!this.client) {
+      this.client = await this.irysService.storage.createClient();
+    }
+    return this.client;
+  }
+
+  // Periodic checks; the timer never keeps the process alive on its own
+  start() {
+    if (this.timer || this.checkInterval <= 0) return;
+
+    this.checkBalance().catch(() => {});
+    this.timer = setInterval(() => this.checkBalance().catch(() => {}), this.checkInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Concurrent callers share one in-flight check
+  async checkBalance() {
+    if (!this.pendingCheck) {
+      this.pendingCheck = this.runCheck().finally(() => {
+        this.pendingCheck = null;
+      });
+    }
+    return this.pendingCheck;
+  }
+
+  async runCheck() {
+    try {
+      const client = await this.getClient();
+      const balance = toLamports(await client.getLoadedBalance());
+
+      this.state.balance = balance;
+      this.state.lastCheckedAt = new Date().toISOString();
+      this.state.lastError = null;
+
+      if (balance < this.lowBalance) {
+        console.warn(`⚠️ Irys balance low: ${balance / LAMPORTS_PER_SOL} SOL (threshold ${this.lowBalance / LAMPORTS_PER_SOL} SOL)`);
+
+        if (this.autoFund) {
+          await this.autoTopUp(balance);
+        }
+      }
+
+      return this.getStatus();
+    } catch (error) {
+      this.state.lastError = error.message;
+      console.error('❌ Irys balance check failed:', error.message);
+      throw error;
+    }
+  }
+
+  async autoTopUp(balance) {
+    const fundedToday = await this.irysService.db.getFundedAmountSince(startOfUtcDay());
+
+    if (fundedToday + this.fundAmount > this.dailyCap) {
+      console.warn(`⚠️ Auto-funding skipped: daily cap reached (${fundedToday}/${this.dailyCap} lamports)`);
+      return null;
+    }
+
+    return this.fund(this.fundAmount, 'auto', balance);
+  }
+
+  /**
+   * Move lamports from the service wallet to the Irys node and record it.
+   * @param {number} amount - lamports
+   * @param {'auto'|'manual'} source
+   * @param {number|null} balanceBefore - node balance when the top-up started
+   */
+  async fund(amount, source = 'manual', balanceBefore = this.state.balance) {
+    const client = await this.getClient();
+
+    try {
+      console.log(`💰 Funding Irys node with ${amount / LAMPORTS_PER_SOL} SOL (${source})...`);
+      const response = await client.fund(amount);
+
+      const event = {
+        transactionId: response.id,
+        amount: toLamports(response.quantity),
+        fee: toLamports(response.reward),
+        balanceBefore,
+        status: 'success',
+        source
+      };
+      await this.irysService.db.recordFundingEvent(event);
+
+      this.state.lastFunding = { ...event, createdAt: new Date().toISOString() };
+      this.state.balance = toLamports(await client.getLoadedBalance());
+      console.log(`✅ Irys node funded: ${response.id}`);
+
+      return event;
+    } catch (error) {
+      const event = { amount, balanceBefore, status: 'failed', source, error: error.message };
+      await this.irysService.db.recordFundingEvent(event).catch(() => {});
+
+      this.state.lastFunding = { ...event, createdAt: new Date().toISOString() };
+      console.error('❌ Irys funding failed:', error.message);
+      throw error;
+    }
+  }
+
+  // Snapshot for /health (no network calls)
+  getStatus() {
+    const { balance } = this.state;
+
+    return {
+      provider: this.irysService.storage.name,
+      balance: balance,
+      balanceSOL: balance === null ? null : balance / LAMPORTS_PER_SOL,
+      lowBalanceThreshold: this.lowBalance,
+      low: balance === null ? null : balance < this.lowBalance,
+      lastCheckedAt: this.state.lastCheckedAt,
+      lastError: this.state.lastError,
+      autoFund: {
+        enabled: this.autoFund,
+        amount: this.fundAmount,
+        dailyCap: this.dailyCap,
+        lastFunding: this.state.lastFunding
+      }
+    };
+  }
+}
+
+export {
+  FundingManager
+};
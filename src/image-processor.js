@@ -0,0 +1,172 @@
+/**
+ * ========================================
+ * TOKEN LOGO IMAGE PROCESSING
+ * ========================================
+ *
+ * Optional step before metadata creation: normalizes the logo to a square
+ * and produces standard sizes plus a WebP variant, so wallets and explorers
+ * fetch a 64px icon instead of a multi-megabyte original.
+ *
+ * Per-request options (POST /create-token form fields):
+ *   processImage=true        enable processing
+ *   imageSizes=512,256,64    square sizes to generate (PNG)
+ *   imageWebp=true|false     also generate a WebP of the largest size
+ *   imageFit=cover|contain   crop to square, or pad with transparency
+ */
+
+import sharp from "sharp";
+import fs from "fs";
+import path from "path";
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const IMAGE_CONFIG = {
+  DEFAULT_SIZES: [512, 256, 64],
+  MIN_SIZE: 16,
+  MAX_SIZE: 2048,
+  MAX_VARIANTS: 6,
+  WEBP_QUALITY: 85,
+  // Formats sharp can decode; video/audio logos are uploaded as-is
+  PROCESSABLE_MIMES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/svg+xml']
+};
+
+// ========================================
+// OPTIONS
+// ========================================
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
+/**
+ * Normalize processing options from a request body or service caller.
+ * @returns {{ enabled: boolean, sizes: number[], webp: boolean, fit: 'cover'|'contain' }}
+ */
+const parseImageOptions = (input = {}) => {
+  const enabled = parseBoolean(input.processImage ?? input.enabled, false);
+
+  let sizes = input.imageSizes ?? input.sizes ?? IMAGE_CONFIG.DEFAULT_SIZES;
+  if (typeof sizes === 'string') {
+    sizes = sizes.split(',').map(size => size.trim()).filter(Boolean);
+  }
+  sizes = [...new Set(sizes.map(size => parseInt(size)))].sort((a, b) => b - a);
+
+  if (sizes.length === 0 || sizes.length > IMAGE_CONFIG.MAX_VARIANTS ||
+      sizes.some(size => !Number.isInteger(size) || size < IMAGE_CONFIG.MIN_SIZE || size > IMAGE_CONFIG.MAX_SIZE)) {
+    throw new Error(`Invalid imageSizes: up to ${IMAGE_CONFIG.MAX_VARIANTS} sizes between ${IMAGE_CONFIG.MIN_SIZE} and ${IMAGE_CONFIG.MAX_SIZE}`);
+  }
+
+  const fit = (input.imageFit ?? input.fit ?? 'cover').toLowerCase();
+  if (!['cover', 'contain'].includes(fit)) {
+    throw new Error('Invalid imageFit: expected cover or contain');
+  }
+
+  return {
+    enabled,
+    sizes,
+    webp: parseBoolean(input.imageWebp ?? input.webp, true),
+    fit
+  };
+};
+
+// ========================================
+// PROCESSING
+// ========================================
+
+/**
+ * Generate square logo variants as files in the output directory.
+ * @param {string} inputPath - original logo on disk
+ * @param {string} mime - sniffed MIME type of the original
+ * @param {object} options - output of parseImageOptions
+ * @param {{ outputDir: string, baseName: string }} output - where variant files are written (unique per session)
+ * @returns {Promise<{ skipped?: string, variants: Array<{ label, width, height, format, mime, path }> }>}
+ */
+const generateLogoVariants = async (inputPath, mime, options, { outputDir, baseName }) => {
+  if (!IMAGE_CONFIG.PROCESSABLE_MIMES.includes(mime)) {
+    return { skipped: `${mime} logos are not processed`, variants: [] };
+  }
+
+  const source = sharp(inputPath, { animated: false }).rotate(); // honour EXIF orientation
+  const resizeOptions = {
+    fit: options.fit,
+    position: 'centre',
+    background: { r: 0, g: 0, b: 0, alpha: 0 }
+  };
+
+  const variants = [];
+
+  for (const size of options.sizes) {
+    const outputPath = path.join(outputDir, `${baseName}_${size}.png`);
+    await source.clone()
+      .resize(size, size, resizeOptions)
+      .png({ compressionLevel: 9 })
+      .toFile(outputPath);
+
+    variants.push({ label: `${size}x${size}`, width: size, height: size, format: 'png', mime: 'image/png', path: outputPath });
+  }
+
+  if (options.webp) {
+    const size = options.sizes[0];
+    const outputPath = path.join(outputDir, `${baseName}_${size}.webp`);
+    await source.clone()
+      .resize(size, size, resizeOptions)
+      .webp({ quality: IMAGE_CONFIG.WEBP_QUALITY })
+      .toFile(outputPath);
+
+    variants.push({ label: `${size}x${size}`, width: size, height: size, format: 'webp', mime: 'image/webp', path: outputPath });
+  }
+
+  return { variants };
+};
+
+/**
+ * Generate variants and upload each one.
+ * @param {string} logoPath - original logo on disk
+ * @param {string} mime - sniffed MIME type of the original
+ * @param {object} options - output of parseImageOptions
+ * @param {{ outputDir: string, baseName: string }} output - scratch location for variant files
+ * @param {(filePath: string, variant: object) => Promise<object>} uploadVariant - uploads one file, returns upload result
+ * @returns {Promise<{ skipped?: string, variants: Array }>} variants with their upload results
+ */
+const processAndUploadLogo = async (logoPath, mime, options, output, uploadVariant) => {
+  const { skipped, variants } = await generateLogoVariants(logoPath, mime, options, output);
+
+  try {
+    const uploaded = await Promise.all(variants.map(async (variant) => {
+      const result = await uploadVariant(variant.path, variant);
+      return { ...variant, result };
+    }));
+
+    return { skipped, variants: uploaded };
+  } finally {
+    for (const variant of variants) {
+      if (fs.existsSync(variant.path)) {
+        fs.unlinkSync(variant.path);
+      }
+    }
+  }
+};
+
+// Largest PNG variant becomes the metadata "image" when processing is on
+const pickPrimaryVariant = (variants) => variants.find(variant => variant.format === 'png') || null;
+
+// Variant entries for metadata properties.files
+const toMetadataFiles = (variants) => variants.map(variant => ({
+  uri: variant.result.publicURL,
+  type: variant.mime,
+  width: variant.width,
+  height: variant.height
+}));
+
+export {
+  parseImageOptions,
+  generateLogoVariants,
+  processAndUploadLogo,
+  pickPrimaryVariant,
+  toMetadataFiles,
+  IMAGE_CONFIG
+};
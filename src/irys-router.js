@@ -0,0 +1,1492 @@
+/**
+ * ========================================
+ * IRYS API ROUTER
+ * ========================================
+ *
+ * Every endpoint of the Irys API as a mountable Express router, so it can
+ * run inside another Express app or in-process for integration tests:
+ *
+ *   import { createIrysRouter } from './irys-router.js';
+ *   app.use('/irys', createIrysRouter({ cors: false, auth: async (req) => req.user?.wallet }));
+ *
+ * Options (all optional):
+ *   irysService - IrysUploadService instance (default: the shared one from irys-upload-service-final.js)
+ *   auth        - WalletAuthManager (default: a new one, with /auth routes) or
+ *                 async (req) => walletAddress | null to reuse the host app's sign-in (no /auth routes)
+ *   limits      - { maxUploadSize, rateLimitPerMinute (0 = off), maxBatchSize, maxCollectionSize,
+ *                 maxFolderFiles, eventsMaxStreamsPerWallet } for the HTTP layer; the service's
+ *                 own per-type size limits still apply
+ *   cors        - cors() options merged over the defaults (CORS_ORIGINS), or false
+ *   workers     - false skips the startup work: resuming queued jobs, webhook retries and
+ *                 balance checks (jobs queued through this router still run)
+ *   notFound    - false leaves unmatched requests to the host app instead of answering 404
+ *   swaggerUi   - true serves Swagger UI at /docs/ui from the local swagger-ui-dist assets
+ *                 (default: SWAGGER_UI=true)
+ *
+ * Routes are declared in api-spec.js; their schemas validate requests and
+ * generate GET /openapi.json.
+ *
+ * Mounted under a prefix, local gateway URLs need LOCAL_GATEWAY_URL to include it.
+ * api-production-final.js is the standalone server built on this router.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import rateLimit from 'express-rate-limit';
+import cors from 'cors';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { createRequire } from 'module';
+import defaultIrysService, { SUPPORTED_TYPES, CONFIG as CORE_CONFIG } from './irys-upload-service-final.js';
+import { WalletAuthManager, createAuthRouter, extractBearerToken, isValidWalletAddress } from './wallet-auth.js';
+import { ChunkedUploadManager } from './chunked-upload-manager.js';
+import { FolderUploadManager, normalizeManifestPath } from './folder-upload-manager.js';
+import { FundingManager } from './funding-manager.js';
+import { JobQueue } from './job-queue.js';
+import { WebhookManager } from './webhook-manager.js';
+import { createProgressReporter, subscribe, subscriberCount } from './progress-events.js';
+import { parseImageOptions } from './image-processor.js';
+import { validateTokenMetadata, validateCollectionMetadata, formatErrors } from './metadata-validator.js';
+import { API_VERSION, createRouteRegistrar, buildOpenApiDocument, listEndpoints, summarizeEndpoints } from './api-spec.js';
+
+dotenv.config();
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const CONFIG = {
+  MAX_UPLOAD_SIZE: parseInt(process.env.MAX_UPLOAD_SIZE) || 2097152, // 2MB
+  RATE_LIMIT_PER_MINUTE: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 100,
+  UPLOAD_TIMEOUT: parseInt(process.env.UPLOAD_TIMEOUT) || 25000,
+  PRIVATE_KEY: process.env.SOLANA_PRIVATE_KEY,
+  NETWORK: process.env.IRYS_NETWORK || 'mainnet',
+  SVG_SANITIZE_MODE: process.env.SVG_SANITIZE_MODE === 'reject' ? 'reject' : 'clean',
+  DEDUP_MODE: ['global', 'wallet', 'off'].includes(process.env.DEDUP_MODE) ? process.env.DEDUP_MODE : 'wallet', // same default as the upload core
+  MAX_BATCH_SIZE: parseInt(process.env.MAX_BATCH_SIZE) || 50,
+  MAX_COLLECTION_SIZE: parseInt(process.env.MAX_COLLECTION_SIZE) || 100,
+  MAX_FOLDER_FILES: parseInt(process.env.MAX_FOLDER_FILES) || 1000,
+  EVENTS_HEARTBEAT_INTERVAL: parseInt(process.env.EVENTS_HEARTBEAT_INTERVAL) || 15000,
+  EVENTS_MAX_STREAMS_PER_WALLET: parseInt(process.env.EVENTS_MAX_STREAMS_PER_WALLET) || 5,
+  // ALLOWED_ORIGINS is the older name, still read for existing .env files
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || process.env.ALLOWED_ORIGINS || 'http://localhost:3000,http://localhost:3001,https://yourdomain.com')
+    .split(',').map(origin => origin.trim()).filter(Boolean),
+  SWAGGER_UI: process.env.SWAGGER_UI === 'true',
+  TEMP_DIR: CORE_CONFIG.TEMP_DIR // created by IrysUploadService
+};
+
+const DEFAULT_CORS = {
+  origin: CONFIG.CORS_ORIGINS,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'X-API-Key', 'Authorization', 'X-Chunk-SHA256', 'X-Request-ID'],
+  exposedHeaders: ['X-Request-ID']
+};
+
+// Swagger UI assets ship with swagger-ui-dist; null when it is not installed
+const swaggerUiAssetsDir = () => {
+  try {
+    return path.dirname(createRequire(import.meta.url).resolve('swagger-ui-dist/package.json'));
+  } catch {
+    return null;
+  }
+};
+
+const swaggerUiPage = (assetsUrl, specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Irys Upload Service API</title>
+  <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// options.limits (camelCase) over the environment defaults
+const resolveConfig = (limits = {}) => ({
+  ...CONFIG,
+  MAX_UPLOAD_SIZE: limits.maxUploadSize ?? CONFIG.MAX_UPLOAD_SIZE,
+  RATE_LIMIT_PER_MINUTE: limits.rateLimitPerMinute ?? CONFIG.RATE_LIMIT_PER_MINUTE,
+  MAX_BATCH_SIZE: limits.maxBatchSize ?? CONFIG.MAX_BATCH_SIZE,
+  MAX_COLLECTION_SIZE: limits.maxCollectionSize ?? CONFIG.MAX_COLLECTION_SIZE,
+  MAX_FOLDER_FILES: limits.maxFolderFiles ?? CONFIG.MAX_FOLDER_FILES,
+  EVENTS_MAX_STREAMS_PER_WALLET: limits.eventsMaxStreamsPerWallet ?? CONFIG.EVENTS_MAX_STREAMS_PER_WALLET
+});
+
+// ========================================
+// ROUTER FACTORY
+// ========================================
+
+/**
+ * Build the API router (see the options above).
+ * One router per service: each starts its own job queue and webhook workers.
+ * @returns {express.Router} with router.irys = { service, config, walletAuth, jobQueue, webhooks, funding }
+ *   and router.stop() to end its background work (tests, graceful shutdown): timers, the job queue and
+ *   open event streams. The service and a WalletAuthManager passed as options.auth are left running.
+ */
+const createIrysRouter = (options = {}) => {
+  const router = express.Router();
+  const routes = createRouteRegistrar(router);
+  const irysService = options.irysService || defaultIrysService;
+  const config = resolveConfig(options.limits);
+
+  // ========================================
+  // ✅ FIXED: EXPRESS 5 COMPATIBLE MIDDLEWARE
+  // ========================================
+
+  // CORS (false: the host app handles it)
+  if (options.cors !== false) {
+    router.use(cors({ ...DEFAULT_CORS, ...options.cors }));
+  }
+
+  // ✅ FIXED: Express 5 compatible rate limiting (no custom keyGenerator); 0 turns it off
+  if (config.RATE_LIMIT_PER_MINUTE > 0) {
+    router.use(rateLimit({
+      windowMs: 60 * 1000, // 1 minute
+      max: config.RATE_LIMIT_PER_MINUTE,
+      message: { 
+        error: 'Rate limit exceeded', 
+        message: 'Too many requests, please try again later'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+      // ✅ NO custom keyGenerator - uses default IPv6-safe implementation
+    }));
+  }
+
+  router.use(express.json({ limit: '1mb' }));
+
+  // Wallet signature authentication (nonce -> signature -> session token),
+  // or the host app's own: options.auth = async (req) => walletAddress | null
+  const walletAuth = typeof options.auth === 'function' ? null : (options.auth || new WalletAuthManager());
+  const ownsWalletAuth = !options.auth;
+
+  // Client-chosen request IDs tie GET /events progress events to a request
+  const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+  // Wallet address extraction from a verified session
+  const resolveWallet = walletAuth
+    ? (req) => {
+      // EventSource cannot send headers, so GET /events also accepts ?token=
+      const queryToken = req.path === '/events' && typeof req.query.token === 'string' ? req.query.token : null;
+      return walletAuth.getSessionWallet(extractBearerToken(req) || queryToken);
+    }
+    : options.auth;
+
+  const extractWalletAddress = async (req, res, next) => {
+    const walletAddress = await resolveWallet(req);
+    req.walletAddress = isValidWalletAddress(walletAddress) ? walletAddress : null;
+
+    req.userIP = req.ip || 'unknown';
+    req.sessionId = crypto.randomUUID();
+
+    const requestId = req.headers['x-request-id'];
+    req.requestId = typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId) ? requestId : req.sessionId;
+    res.setHeader('X-Request-ID', req.requestId);
+
+    // Require an authenticated wallet for protected endpoints
+    const protectedPaths = ['/upload', '/create-token', '/create-tokens', '/dashboard', '/jobs', '/webhooks', '/events', '/collections', '/tokens'];
+    if (protectedPaths.some(path => req.path.startsWith(path)) && !req.walletAddress) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: walletAuth
+          ? 'Sign the nonce from GET /auth/nonce, exchange it at POST /auth/verify and send the session token'
+          : 'Sign in to the host application first',
+        ...(walletAuth ? { example: 'Authorization: Bearer <token>' } : {})
+      });
+    }
+
+    next();
+  };
+
+  router.use(extractWalletAddress);
+  if (walletAuth) {
+    router.use(createAuthRouter(walletAuth));
+  }
+
+  // Request logging
+  router.use((req, res, next) => {
+    const start = Date.now();
+    res.on('finish', () => {
+      const duration = Date.now() - start;
+      const wallet = req.walletAddress?.slice(0,8) || 'anon';
+      console.log(`${req.method} ${req.path} [${wallet}...] ${res.statusCode} ${duration}ms`);
+    });
+    next();
+  });
+
+  // ========================================
+  // FILE UPLOAD CONFIGURATION
+  // ========================================
+
+  const fileFilter = (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const allowed = Object.keys(SUPPORTED_TYPES); // same registry the upload core validates against
+
+    if (allowed.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported media type: ${ext}. Supported: ${allowed.join(', ')}`));
+    }
+  };
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { 
+      fileSize: config.MAX_UPLOAD_SIZE,
+      fieldSize: 1024 * 1024,
+      files: 1
+    },
+    fileFilter
+  });
+
+  // Batch token creation: many logos + one JSON manifest field
+  const batchUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.MAX_UPLOAD_SIZE,
+      fieldSize: 1024 * 1024,
+      files: config.MAX_BATCH_SIZE
+    },
+    fileFilter
+  });
+
+  // Folder uploads: keep the client's relative paths (e.g. "images/1.png")
+  const folderUpload = multer({
+    storage: multer.memoryStorage(),
+    preservePath: true,
+    limits: {
+      fileSize: config.MAX_UPLOAD_SIZE,
+      fieldSize: 1024 * 1024,
+      files: config.MAX_FOLDER_FILES
+    },
+    fileFilter
+  });
+
+  // NFT collections: collection image + one image per item
+  const collectionUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.MAX_UPLOAD_SIZE,
+      fieldSize: 1024 * 1024,
+      files: config.MAX_COLLECTION_SIZE + 1
+    },
+    fileFilter
+  });
+
+  // ========================================
+  // IRYS SERVICE IMPLEMENTATION
+  // ========================================
+
+  // Persistence (shared with IrysUploadService)
+  const db = irysService.db;
+  const startWorkers = options.workers !== false;
+
+  // Resumable chunked uploads for large media (spooled to disk, not RAM)
+  const chunkedUploads = new ChunkedUploadManager(irysService);
+
+  // Folder uploads published as one path manifest
+  const folderUploads = new FolderUploadManager(irysService);
+
+  // Signed webhook notifications (retries survive restarts)
+  const webhooks = new WebhookManager(irysService);
+  if (startWorkers) webhooks.start();
+
+  // Payload for token.assets.created
+  const tokenCreatedEvent = (tokenData, result, extra = {}) => ({
+    name: tokenData.name,
+    symbol: tokenData.symbol,
+    logoURL: result.logoURL,
+    metadataURL: result.metadataURL,
+    logoTxId: result.logoTxId,
+    metadataTxId: result.metadataTxId,
+    ...extra
+  });
+
+  // Background token creation (POST /create-token?async=true), resumed after restarts
+  const jobQueue = new JobQueue(irysService);
+  if (startWorkers) {
+    jobQueue.start().catch(error => console.error('❌ Job queue start failed:', error.message));
+  }
+  jobQueue.on('completed', (job) => {
+    if (job.type === 'create-token') {
+      webhooks.notify(job.walletAddress, 'token.assets.created',
+        tokenCreatedEvent({ name: job.result.metadata.name, symbol: job.result.metadata.symbol }, job.result, { jobId: job.jobId }));
+    }
+  });
+
+  // Irys node balance monitoring (+ optional auto-funding)
+  const funding = new FundingManager(irysService);
+  if (startWorkers) funding.start();
+
+  const chunkedErrorStatus = (error) =>
+    error.message.includes('not found') ? 404 :
+    error.message.includes('Quota exceeded') ? 403 :
+    error.message.includes('expired') ? 410 :
+    error.message.includes('too large') ? 413 :
+    error.message.includes('Unsupported media type') ? 415 :
+    error.message.includes('mismatch') || error.message.includes('Unsafe SVG') ? 422 :
+    error.message.includes('incomplete') || error.message.includes('Upload session is') ? 409 :
+    error.message.includes('timeout') ? 408 :
+    error.message.includes('Invalid') || error.message.includes('Unsupported') || error.message.includes('required') ? 400 : 500;
+
+  const sendChunkedError = (req, res, error) => {
+    console.error('Chunked upload error:', error.message);
+    res.status(chunkedErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      uploadId: req.params.id,
+      wallet: req.walletAddress
+    });
+  };
+
+  // ========================================
+  // API ENDPOINTS
+  // ========================================
+
+  // Root endpoint
+  routes.get('/', (req, res) => {
+    res.json({
+      name: 'Irys Upload Service API',
+      version: '2.0.3-EXPRESS5',
+      status: 'running',
+      endpoints: listEndpoints({ walletAuth: Boolean(walletAuth) }),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Single file upload
+  routes.post('/upload', upload.single('file'), async (req, res) => {
+    const progress = createProgressReporter(req.walletAddress, { requestId: req.requestId, operation: 'upload' });
+    let tempFilePath = null;
+
+    try {
+      progress('received', { fileName: req.file.originalname, bytes: req.file.size });
+
+      // Save to unique temp file
+      tempFilePath = path.join(config.TEMP_DIR, `${req.sessionId}_${req.file.originalname}`);
+      fs.writeFileSync(tempFilePath, req.file.buffer);
+
+      // Upload to Irys and persist upload history for the dashboard
+      const result = await irysService.uploadAndRecord(tempFilePath, req.walletAddress, {
+        ipAddress: req.userIP,
+        tags: [
+          { name: 'Upload-Method', value: 'API' },
+          { name: 'Session-ID', value: req.sessionId }
+        ],
+        sessionId: req.sessionId,
+        progress
+      });
+
+      webhooks.notify(req.walletAddress, 'upload.completed', {
+        method: 'single',
+        transactionId: result.transactionId,
+        publicURL: result.publicURL,
+        fileName: result.fileName,
+        fileSize: result.fileSize,
+        contentType: result.contentType,
+        deduplicated: result.deduplicated,
+        sessionId: req.sessionId
+      });
+
+      res.json({
+        success: true,
+        file: {
+          transactionId: result.transactionId,
+          publicURL: result.publicURL,
+          fileName: result.fileName,
+          fileSize: result.fileSize,
+          contentType: result.contentType,
+          contentHash: result.contentHash,
+          deduplicated: result.deduplicated,
+          ...(result.sanitization ? { sanitization: result.sanitization } : {})
+        },
+        wallet: {
+          address: req.walletAddress,
+          sessionId: req.sessionId
+        },
+        performance: {
+          uploadTime: result.uploadTime
+        },
+        network: config.NETWORK
+      });
+
+    } catch (error) {
+      console.error('Upload API error:', error.message);
+      progress('failed', { error: error.message });
+
+      if (req.file && req.walletAddress) {
+        webhooks.notify(req.walletAddress, 'upload.failed', {
+          method: 'single',
+          fileName: req.file.originalname,
+          error: error.message,
+          sessionId: req.sessionId
+        });
+      }
+
+      const statusCode = error.message.includes('Unsupported media type') ? 415 :
+                        error.message.includes('Unsafe SVG') ? 422 :
+                        error.message.includes('Quota exceeded') ? 403 :
+                        error.message.includes('too large') ? 413 :
+                        error.message.includes('timeout') ? 408 :
+                        error.message.includes('Rate limit') ? 429 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        wallet: req.walletAddress
+      });
+    } finally {
+      if (tempFilePath && fs.existsSync(tempFilePath)) {
+        fs.unlinkSync(tempFilePath);
+      }
+    }
+  });
+
+  // Folder upload: many "files" (relative paths kept, or given as a JSON "paths" array) -> one path manifest
+  routes.post('/upload-folder', folderUpload.array('files', config.MAX_FOLDER_FILES), async (req, res) => {
+    const progress = createProgressReporter(req.walletAddress, { requestId: req.requestId, operation: 'upload-folder' });
+    const folderPath = path.join(config.TEMP_DIR, 'folders', req.sessionId);
+
+    try {
+      const files = req.files;
+      let paths = files.map(file => file.originalname);
+      if (req.body.paths !== undefined) {
+        try {
+          paths = JSON.parse(req.body.paths);
+        } catch {
+          paths = null;
+        }
+        if (!Array.isArray(paths) || paths.length !== files.length) {
+          return res.status(400).json({
+            error: 'Invalid paths',
+            message: `"paths" must be a JSON array with one relative path per file (${files.length})`
+          });
+        }
+      }
+
+      // Recreate the folder on disk; paths may not escape it or collide
+      const seen = new Set();
+      files.forEach((file, i) => {
+        const relativePath = normalizeManifestPath(paths[i]);
+        if (seen.has(relativePath)) {
+          throw new Error(`Invalid path: ${relativePath} is used twice`);
+        }
+        seen.add(relativePath);
+
+        const target = path.join(folderPath, ...relativePath.split('/'));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.buffer);
+      });
+
+      progress('received', { files: files.length, bytes: files.reduce((sum, file) => sum + file.size, 0) });
+
+      const result = await folderUploads.upload(folderPath, req.walletAddress, {
+        indexFile: req.body.indexFile,
+        progress,
+        tags: [
+          { name: 'Upload-Method', value: 'API' },
+          { name: 'Session-ID', value: req.sessionId }
+        ]
+      });
+
+      res.json({
+        success: true,
+        manifest: {
+          manifestId: result.manifestId,
+          manifestURL: result.manifestURL,
+          baseURL: result.baseURL,
+          indexPath: result.indexPath
+        },
+        files: result.files,
+        wallet: {
+          address: req.walletAddress,
+          sessionId: req.sessionId
+        },
+        performance: result.performance,
+        network: config.NETWORK
+      });
+
+    } catch (error) {
+      console.error('Folder upload error:', error.message);
+      progress('failed', { error: error.message });
+
+      const statusCode = error.message.includes('Unsupported media type') ? 415 :
+                        error.message.includes('Unsafe SVG') ? 422 :
+                        error.message.startsWith('Invalid') ? 400 :
+                        error.message.includes('Quota exceeded') ? 403 :
+                        error.message.includes('too large') ? 413 :
+                        error.message.includes('timeout') ? 408 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        wallet: req.walletAddress
+      });
+    } finally {
+      fs.rmSync(folderPath, { recursive: true, force: true });
+    }
+  });
+
+  routes.get('/upload-folder/:id', async (req, res) => {
+    try {
+      res.json({ success: true, manifest: await folderUploads.getManifest(req.params.id, req.walletAddress) });
+    } catch (error) {
+      res.status(error.message === 'Manifest not found' ? 404 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Chunked upload: open a session
+  routes.post('/uploads', async (req, res) => {
+    try {
+      // Refuse early instead of after the client has sent every chunk
+      await irysService.assertWithinQuota(req.walletAddress, { bytes: Number(req.body?.fileSize) || 0 });
+
+      const session = chunkedUploads.createSession(req.walletAddress, req.body || {});
+      res.status(201).json({ success: true, upload: session });
+    } catch (error) {
+      sendChunkedError(req, res, error);
+    }
+  });
+
+  // Chunked upload: session status (which chunks arrived - used to resume)
+  routes.get('/uploads/:id', (req, res) => {
+    try {
+      res.json({ success: true, upload: chunkedUploads.getStatus(req.params.id, req.walletAddress) });
+    } catch (error) {
+      sendChunkedError(req, res, error);
+    }
+  });
+
+  // Chunked upload: store one chunk (raw request body, streamed to disk)
+  routes.put('/uploads/:id/chunks/:n', async (req, res) => {
+    try {
+      const chunk = await chunkedUploads.writeChunk(
+        req.params.id,
+        req.walletAddress,
+        req.params.n,
+        req,
+        req.headers['x-chunk-sha256']
+      );
+      res.json({ success: true, chunk });
+    } catch (error) {
+      sendChunkedError(req, res, error);
+    }
+  });
+
+  // Chunked upload: assemble, verify SHA-256 and upload to Irys
+  routes.post('/uploads/:id/complete', async (req, res) => {
+    const progress = createProgressReporter(req.walletAddress, { requestId: req.requestId, operation: 'chunked-upload' });
+
+    try {
+      progress('received', { uploadId: req.params.id });
+      const upload = await chunkedUploads.complete(req.params.id, req.walletAddress, req.body || {}, [
+        { name: 'Upload-Method', value: 'API' },
+        { name: 'Session-ID', value: req.params.id }
+      ], progress);
+
+      webhooks.notify(req.walletAddress, 'upload.completed', {
+        method: 'chunked',
+        uploadId: req.params.id,
+        ...upload.result
+      });
+
+      res.json({
+        success: true,
+        file: upload.result,
+        upload: upload,
+        wallet: {
+          address: req.walletAddress,
+          sessionId: req.params.id
+        },
+        network: config.NETWORK
+      });
+    } catch (error) {
+      progress('failed', { uploadId: req.params.id, error: error.message });
+      if (chunkedErrorStatus(error) !== 404) {
+        webhooks.notify(req.walletAddress, 'upload.failed', {
+          method: 'chunked',
+          uploadId: req.params.id,
+          error: error.message
+        });
+      }
+      sendChunkedError(req, res, error);
+    }
+  });
+
+  // Chunked upload: abandon a session and free its disk space
+  routes.delete('/uploads/:id', (req, res) => {
+    try {
+      res.json({ success: true, upload: chunkedUploads.abort(req.params.id, req.walletAddress) });
+    } catch (error) {
+      sendChunkedError(req, res, error);
+    }
+  });
+
+  // Upload cost estimate - a raw byte size, or a token bundle (logo + generated metadata)
+  routes.post('/quote', async (req, res) => {
+    try {
+      const { size, logoSize, logoType, ...tokenData } = req.body || {};
+
+      if (size === undefined && logoSize === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'size or logoSize is required'
+        });
+      }
+
+      const quote = size !== undefined
+        ? await irysService.quoteUpload(size)
+        : await irysService.quoteTokenAssets(tokenData, logoSize, logoType);
+
+      res.json({
+        success: true,
+        quote,
+        network: config.NETWORK,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Quote error:', error.message);
+      res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Token creation (main feature)
+  routes.post('/create-token', upload.single('logo'), async (req, res) => {
+    const progress = createProgressReporter(req.walletAddress, { requestId: req.requestId, operation: 'create-token' });
+    let logoPath = null;
+
+    try {
+      // Metaplex metadata rules - every problem at once, before anything is uploaded
+      const { errors: metadataErrors, tokenData } = validateTokenMetadata(req.body);
+      if (metadataErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid metadata',
+          details: metadataErrors
+        });
+      }
+
+      // Optional logo processing (processImage, imageSizes, imageWebp, imageFit)
+      const imageOptions = parseImageOptions(req.body);
+
+      // Async mode: queue the work and answer right away (poll GET /jobs/:id)
+      if (req.query.async === 'true' || req.body.async === 'true') {
+        const job = await jobQueue.enqueue('create-token', req.walletAddress, {
+          tokenData: {
+            ...tokenData,
+            imageProcessing: imageOptions
+          },
+          ipAddress: req.userIP
+        }, {
+          logo: { fileName: `logo${path.extname(req.file.originalname).toLowerCase()}`, data: req.file.buffer }
+        });
+
+        return res.status(202).json({
+          success: true,
+          job: {
+            jobId: job.jobId,
+            status: job.status,
+            statusURL: `${req.baseUrl}/jobs/${job.jobId}`
+          },
+          wallet: {
+            address: req.walletAddress,
+            sessionId: req.sessionId
+          }
+        });
+      }
+
+      progress('received', { fileName: req.file.originalname, bytes: req.file.size, symbol: tokenData.symbol });
+
+      // Save logo to unique temp file
+      logoPath = path.join(config.TEMP_DIR, `logo_${req.sessionId}_${req.file.originalname}`);
+      fs.writeFileSync(logoPath, req.file.buffer);
+
+      // Same pipeline as batch items and queued jobs: quota, logo (+ variants), metadata, dashboard records
+      const result = await irysService.createTokenAssets({
+        ...tokenData,
+        logoPath,
+        imageProcessing: imageOptions
+      }, req.walletAddress, req.userIP, { progress });
+
+      webhooks.notify(req.walletAddress, 'token.assets.created', tokenCreatedEvent(tokenData, {
+        logoURL: result.logoURL,
+        metadataURL: result.metadataURL,
+        logoTxId: result.logoTxId,
+        metadataTxId: result.metadataTxId
+      }));
+
+      res.json({
+        success: true,
+        token: {
+          tokenId: result.tokenId,
+          name: tokenData.name,
+          symbol: tokenData.symbol,
+          logoURL: result.logoURL,
+          metadataURL: result.metadataURL,
+          mutableURL: result.mutableURL,
+          logoType: result.logoType,
+          logoDeduplicated: result.logoDeduplicated,
+          logoVariants: result.logoVariants,
+          ...(result.logoProcessingSkipped ? { logoProcessingSkipped: result.logoProcessingSkipped } : {}),
+          ...(result.logoSanitization ? { logoSanitization: result.logoSanitization } : {})
+        },
+        wallet: {
+          address: req.walletAddress,
+          sessionId: req.sessionId
+        },
+        irys: {
+          logoTxId: result.logoTxId,
+          metadataTxId: result.metadataTxId,
+          network: config.NETWORK
+        },
+        performance: result.performance,
+        metadata: result.metadata
+      });
+
+    } catch (error) {
+      console.error('Token creation error:', error.message);
+
+      const statusCode = error.message.includes('Unsupported media type') ? 415 :
+                        error.message.includes('Unsafe SVG') ? 422 :
+                        error.message.startsWith('Invalid image') ? 400 :
+                        error.message.includes('timeout') ? 408 :
+                        error.message.includes('too large') ? 413 :
+                        error.message.includes('Quota exceeded') ? 403 :
+                        error.message.includes('Rate limit') ? 429 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        wallet: req.walletAddress,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      // Cleanup temp files
+      if (logoPath && fs.existsSync(logoPath)) {
+        fs.unlinkSync(logoPath);
+      }
+    }
+  });
+
+  // Batch token creation - logos as "logos" files, token list as a JSON "manifest" field
+  routes.post('/create-tokens/batch', batchUpload.array('logos', config.MAX_BATCH_SIZE), async (req, res) => {
+    const progress = createProgressReporter(req.walletAddress, { requestId: req.requestId, operation: 'create-tokens-batch' });
+    const logoPaths = [];
+
+    try {
+      let manifest;
+      try {
+        manifest = JSON.parse(req.body.manifest || '');
+      } catch {
+        manifest = null;
+      }
+
+      if (!Array.isArray(manifest) || manifest.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid manifest',
+          message: 'Send a "manifest" field with a JSON array of { name, symbol, description, logo } objects'
+        });
+      }
+      if (manifest.length > config.MAX_BATCH_SIZE) {
+        return res.status(400).json({
+          error: 'Batch too large',
+          message: `${manifest.length} tokens (max ${config.MAX_BATCH_SIZE})`
+        });
+      }
+
+      // Save each logo once; manifest items refer to them by original file name
+      const files = req.files || [];
+      const logosByName = new Map();
+      files.forEach((file, i) => {
+        const logoPath = path.join(config.TEMP_DIR, `batch_${req.sessionId}_${i}_${path.basename(file.originalname)}`);
+        fs.writeFileSync(logoPath, file.buffer);
+        logoPaths.push(logoPath);
+        logosByName.set(file.originalname, logoPath);
+      });
+
+      // Items that cannot start are reported without touching Irys
+      const prepared = manifest.map((item, index) => {
+        const missing = ['name', 'symbol', 'description'].filter(field => typeof item?.[field] !== 'string' || !item[field].trim());
+        if (missing.length > 0) {
+          return { index, symbol: item?.symbol, error: `Missing required fields: ${missing.join(', ')}` };
+        }
+
+        const { errors: metadataErrors, tokenData } = validateTokenMetadata(item);
+        if (metadataErrors.length > 0) {
+          return { index, symbol: item.symbol, error: `Invalid metadata: ${formatErrors(metadataErrors)}`, details: metadataErrors };
+        }
+
+        // "logo" names an uploaded file; without it the file at the same position is used
+        const logoPath = item.logo ? logosByName.get(item.logo) : logoPaths[index];
+        if (!logoPath) {
+          return { index, symbol: item.symbol, error: `Logo not found: ${item.logo || `file #${index}`}` };
+        }
+
+        return {
+          index,
+          tokenData: {
+            ...tokenData,
+            logoPath,
+            imageProcessing: {
+              processImage: item.processImage,
+              imageSizes: item.imageSizes,
+              imageWebp: item.imageWebp,
+              imageFit: item.imageFit
+            }
+          }
+        };
+      });
+
+      const runnable = prepared.filter(item => item.tokenData);
+      progress('received', { total: manifest.length, runnable: runnable.length });
+      console.log(`📦 Batch of ${manifest.length} tokens for ${req.walletAddress.slice(0,8)}... (${runnable.length} valid)`);
+
+      const batch = runnable.length > 0
+        ? await irysService.createTokenAssetsBatch(runnable.map(item => item.tokenData), req.walletAddress, req.userIP, {
+            // batchIndex in events refers to the manifest position
+            progress: (stage, data) => progress(stage, { ...data, batchIndex: runnable[data.batchIndex].index })
+          })
+        : { results: [], performance: { totalTime: 0, concurrency: 0 } };
+
+      // Back to manifest order
+      let next = 0;
+      const results = prepared.map(item => {
+        if (item.error) {
+          return { index: item.index, success: false, symbol: item.symbol, error: item.error, ...(item.details ? { details: item.details } : {}) };
+        }
+
+        const result = batch.results[next++];
+        return result.success ? {
+          index: item.index,
+          success: true,
+          tokenId: result.tokenId,
+          symbol: item.tokenData.symbol,
+          name: item.tokenData.name,
+          logoURL: result.logoURL,
+          metadataURL: result.metadataURL,
+          mutableURL: result.mutableURL,
+          logoTxId: result.logoTxId,
+          metadataTxId: result.metadataTxId,
+          logoVariants: result.logoVariants
+        } : {
+          index: item.index,
+          success: false,
+          symbol: item.tokenData.symbol,
+          error: result.error
+        };
+      });
+
+      const succeeded = results.filter(result => result.success).length;
+
+      results.filter(result => result.success).forEach(result => {
+        webhooks.notify(req.walletAddress, 'token.assets.created', tokenCreatedEvent(result, result, { batchIndex: result.index }));
+      });
+
+      res.json({
+        success: succeeded === results.length,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded
+        },
+        results,
+        wallet: {
+          address: req.walletAddress,
+          sessionId: req.sessionId
+        },
+        performance: batch.performance,
+        network: config.NETWORK
+      });
+
+    } catch (error) {
+      console.error('Batch token creation error:', error.message);
+      res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+        success: false,
+        error: error.message,
+        wallet: req.walletAddress
+      });
+    } finally {
+      for (const logoPath of logoPaths) {
+        if (fs.existsSync(logoPath)) {
+          fs.unlinkSync(logoPath);
+        }
+      }
+    }
+  });
+
+  // Token metadata revision: partial changes (JSON or form fields) + optional new "logo" file
+  routes.post('/tokens/:id/revisions', upload.single('logo'), async (req, res) => {
+    const progress = createProgressReporter(req.walletAddress, { requestId: req.requestId, operation: 'token-revision' });
+    let logoPath = null;
+
+    try {
+      progress('received', { tokenId: req.params.id, ...(req.file ? { fileName: req.file.originalname, bytes: req.file.size } : {}) });
+
+      if (req.file) {
+        logoPath = path.join(config.TEMP_DIR, `logo_${req.sessionId}_${path.basename(req.file.originalname)}`);
+        fs.writeFileSync(logoPath, req.file.buffer);
+      }
+
+      const result = await irysService.createTokenRevision(req.params.id, req.body || {}, req.walletAddress, req.userIP, {
+        logoPath,
+        progress
+      });
+
+      res.status(201).json({
+        success: true,
+        tokenId: result.tokenId,
+        version: result.version,
+        metadataURL: result.metadataURL,
+        mutableURL: result.mutableURL,
+        changes: result.changes,
+        irys: {
+          metadataTxId: result.metadataTxId,
+          previousMetadataTxId: result.previousMetadataTxId,
+          logoTxId: result.logoTxId,
+          network: config.NETWORK
+        },
+        metadata: result.metadata,
+        performance: result.performance
+      });
+
+    } catch (error) {
+      console.error('Token revision error:', error.message);
+
+      const statusCode = error.message === 'Token not found' ? 404 :
+                        error.message.startsWith('Revision conflict') ? 409 :
+                        error.message.includes('Unsupported media type') ? 415 :
+                        error.message.includes('Unsafe SVG') ? 422 :
+                        error.message.startsWith('Invalid') ? 400 :
+                        error.message.includes('timeout') ? 408 :
+                        error.message.includes('too large') ? 413 :
+                        error.message.includes('Quota exceeded') ? 403 :
+                        error.message.includes('Rate limit') ? 429 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        error: error.details ? 'Invalid metadata' : error.message,
+        ...(error.details ? { details: error.details } : {}),
+        wallet: req.walletAddress
+      });
+    } finally {
+      if (logoPath && fs.existsSync(logoPath)) {
+        fs.unlinkSync(logoPath);
+      }
+    }
+  });
+
+  // Current metadata version of a token (what its mutable URL serves)
+  routes.get('/tokens/:id/latest', async (req, res) => {
+    try {
+      res.json({ success: true, token: await irysService.getLatestTokenMetadata(req.params.id, req.walletAddress) });
+    } catch (error) {
+      res.status(error.message === 'Token not found' ? 404 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Every metadata version of a token, oldest first
+  routes.get('/tokens/:id/history', async (req, res) => {
+    try {
+      res.json({ success: true, token: await irysService.getTokenHistory(req.params.id, req.walletAddress) });
+    } catch (error) {
+      res.status(error.message === 'Token not found' ? 404 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // NFT collection: "image" (collection image) + "images" (items) files, item list as a JSON "manifest" field
+  routes.post('/collections', collectionUpload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'images', maxCount: config.MAX_COLLECTION_SIZE }
+  ]), async (req, res) => {
+    const progress = createProgressReporter(req.walletAddress, { requestId: req.requestId, operation: 'create-collection' });
+    const imagePaths = [];
+
+    try {
+      const collectionImage = req.files.image[0];
+
+      let manifest;
+      try {
+        manifest = JSON.parse(req.body.manifest || '');
+      } catch {
+        manifest = null;
+      }
+      if (!Array.isArray(manifest) || manifest.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid manifest',
+          message: 'Send a "manifest" field with a JSON array of { name, description, attributes, image } objects'
+        });
+      }
+      if (manifest.length > config.MAX_COLLECTION_SIZE) {
+        return res.status(400).json({
+          error: 'Collection too large',
+          message: `${manifest.length} items (max ${config.MAX_COLLECTION_SIZE})`
+        });
+      }
+
+      const saveImage = (file, label) => {
+        const imagePath = path.join(config.TEMP_DIR, `collection_${req.sessionId}_${label}_${path.basename(file.originalname)}`);
+        fs.writeFileSync(imagePath, file.buffer);
+        imagePaths.push(imagePath);
+        return imagePath;
+      };
+
+      // Items refer to their image by original file name, or use the file at the same position
+      const itemFiles = req.files?.images || [];
+      const itemImagePaths = itemFiles.map((file, i) => saveImage(file, i));
+      const imagesByName = new Map(itemFiles.map((file, i) => [file.originalname, itemImagePaths[i]]));
+
+      const missingImages = [];
+      const items = manifest.map((item, index) => {
+        const imagePath = item?.image ? imagesByName.get(item.image) : itemImagePaths[index];
+        if (!imagePath) {
+          missingImages.push({ field: `items[${index}].image`, message: `not found: ${item?.image || `file #${index}`}` });
+        }
+        return { ...item, imagePath };
+      });
+
+      const { errors, collectionData } = validateCollectionMetadata({ ...req.body, items });
+      errors.push(...missingImages);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid metadata',
+          details: errors
+        });
+      }
+
+      progress('received', { items: items.length, symbol: collectionData.symbol });
+
+      const result = await irysService.createCollectionAssets({
+        ...collectionData,
+        imagePath: saveImage(collectionImage, 'collection')
+      }, req.walletAddress, req.userIP, { progress });
+
+      res.json({
+        success: true,
+        collectionId: result.collectionId,
+        collection: result.collection,
+        items: result.items,
+        wallet: {
+          address: req.walletAddress,
+          sessionId: result.sessionId
+        },
+        performance: result.performance,
+        network: config.NETWORK
+      });
+
+    } catch (error) {
+      console.error('Collection creation error:', error.message);
+
+      const statusCode = error.message.includes('Unsupported media type') ? 415 :
+                        error.message.includes('Unsafe SVG') ? 422 :
+                        error.message.startsWith('Invalid') ? 400 :
+                        error.message.includes('timeout') ? 408 :
+                        error.message.includes('too large') ? 413 :
+                        error.message.includes('Quota exceeded') ? 403 :
+                        error.message.includes('Rate limit') ? 429 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details ? { details: error.details } : {}),
+        ...(error.uploads?.length ? { uploads: error.uploads } : {}),
+        wallet: req.walletAddress
+      });
+    } finally {
+      for (const imagePath of imagePaths) {
+        if (fs.existsSync(imagePath)) {
+          fs.unlinkSync(imagePath);
+        }
+      }
+    }
+  });
+
+  routes.get('/collections/:id', async (req, res) => {
+    try {
+      res.json({ success: true, collection: await irysService.getCollection(req.params.id, req.walletAddress) });
+    } catch (error) {
+      res.status(error.message === 'Collection not found' ? 404 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Webhooks: register an endpoint (the signing secret is returned only here)
+  routes.post('/webhooks', async (req, res) => {
+    try {
+      const webhook = await webhooks.register(req.walletAddress, req.body || {});
+      res.status(201).json({ success: true, webhook });
+    } catch (error) {
+      res.status(error.message.startsWith('Invalid') || error.message.includes('required') ? 400 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  routes.get('/webhooks', async (req, res) => {
+    try {
+      res.json({ success: true, webhooks: await webhooks.list(req.walletAddress) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  routes.delete('/webhooks/:id', async (req, res) => {
+    try {
+      res.json({ success: true, webhook: await webhooks.remove(req.params.id, req.walletAddress) });
+    } catch (error) {
+      res.status(error.message.includes('not found') ? 404 : 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Webhooks: delivery history (newest first)
+  routes.get('/webhooks/:id/deliveries', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const deliveries = await webhooks.getDeliveries(req.params.id, req.walletAddress, limit);
+      res.json({ success: true, webhookId: req.params.id, deliveries });
+    } catch (error) {
+      res.status(error.message.includes('not found') ? 404 : 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Live progress of this wallet's uploads (Server-Sent Events)
+  const eventStreams = new Set(); // open responses, ended by router.stop()
+
+  routes.get('/events', (req, res) => {
+    if (subscriberCount(req.walletAddress) >= config.EVENTS_MAX_STREAMS_PER_WALLET) {
+      return res.status(429).json({
+        error: 'Too many event streams',
+        message: `At most ${config.EVENTS_MAX_STREAMS_PER_WALLET} open streams per wallet`
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx: do not buffer the stream
+    });
+    res.write(`retry: 3000\nevent: connected\ndata: ${JSON.stringify({ wallet: req.walletAddress, timestamp: new Date().toISOString() })}\n\n`);
+
+    const unsubscribe = subscribe(req.walletAddress, (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.EVENTS_HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    eventStreams.add(res);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      eventStreams.delete(res);
+    });
+  });
+
+  // Background job status (owner only)
+  routes.get('/jobs/:id', async (req, res) => {
+    try {
+      const job = await jobQueue.getJob(req.params.id, req.walletAddress);
+      res.json({ success: true, job });
+    } catch (error) {
+      res.status(error.message.includes('not found') ? 404 : 500).json({
+        success: false,
+        error: error.message,
+        jobId: req.params.id
+      });
+    }
+  });
+
+  // Dashboard endpoint
+  routes.get('/dashboard', async (req, res) => {
+    try {
+      const dashboard = await irysService.getUserDashboard(req.walletAddress);
+
+      res.json({
+        success: true,
+        wallet: {
+          address: req.walletAddress,
+          masked: req.walletAddress.slice(0,8) + '...' + req.walletAddress.slice(-4)
+        },
+        dashboard: {
+          totalUploads: dashboard.totalUploads,
+          totalSizeBytes: dashboard.totalSizeBytes,
+          totalSizeMB: dashboard.totalSizeMB,
+          tokenCount: dashboard.tokenCount,
+          quota: dashboard.quota,
+          createdAt: dashboard.createdAt,
+          lastActivity: dashboard.lastActivity,
+          recentUploads: dashboard.recentUploads,
+          recentTokens: dashboard.recentTokens,
+          recentCollections: dashboard.recentCollections
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        wallet: req.walletAddress
+      });
+    }
+  });
+
+  // Local gateway (STORAGE_PROVIDER=local|memory) - serves stored content by transaction ID
+  routes.get('/gateway/:id', (req, res) => {
+    if (typeof irysService.storage.read !== 'function') {
+      return res.status(404).json({
+        error: 'Local gateway disabled',
+        message: `Content is served by the ${irysService.storage.name} gateway`
+      });
+    }
+
+    // A manifest with an index serves the index file, like the Irys gateway
+    const item = irysService.storage.resolvePath(req.params.id) || irysService.storage.read(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Transaction not found', transactionId: req.params.id });
+    }
+
+    res.set('Content-Type', item.contentType);
+    res.send(item.data);
+  });
+
+  // Local gateway: newest upload of a Root-TX chain (mutable/<rootId>), like the Irys gateway
+  routes.get('/gateway/mutable/:id', (req, res) => {
+    if (typeof irysService.storage.resolveMutable !== 'function') {
+      return res.status(404).json({
+        error: 'Local gateway disabled',
+        message: `Content is served by the ${irysService.storage.name} gateway`
+      });
+    }
+
+    const item = irysService.storage.resolveMutable(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Transaction not found', transactionId: req.params.id });
+    }
+
+    res.set('Content-Type', item.contentType);
+    res.send(item.data);
+  });
+
+  // Local gateway: files inside a path manifest (<manifestId>/<path>), like the Irys gateway
+  routes.get('/gateway/:id/*path', (req, res) => {
+    if (typeof irysService.storage.resolvePath !== 'function') {
+      return res.status(404).json({
+        error: 'Local gateway disabled',
+        message: `Content is served by the ${irysService.storage.name} gateway`
+      });
+    }
+
+    const filePath = req.params.path.join('/');
+    const item = irysService.storage.resolvePath(req.params.id, filePath);
+    if (!item) {
+      return res.status(404).json({ error: 'Path not found', manifestId: req.params.id, path: filePath });
+    }
+
+    res.set('Content-Type', item.contentType);
+    res.send(item.data);
+  });
+
+  // Health check
+  routes.get('/health', async (req, res) => {
+    try {
+      const fundingStatus = funding.getStatus();
+
+      res.json({
+        status: fundingStatus.low ? 'degraded' : 'healthy',
+        timestamp: new Date().toISOString(),
+        version: '2.0.3-EXPRESS5-COMPATIBLE',
+        network: config.NETWORK,
+        storageProvider: irysService.storage.name,
+        database: irysService.db.name,
+        compatibility: 'Express 5.x',
+        performance: {
+          connectionPool: irysService.connectionPool.getStats(),
+          maxUploadSize: `${(config.MAX_UPLOAD_SIZE / 1024 / 1024).toFixed(1)}MB`,
+          rateLimitPerMinute: config.RATE_LIMIT_PER_MINUTE,
+          uploadTimeout: `${config.UPLOAD_TIMEOUT / 1000}s`,
+          dedupMode: config.DEDUP_MODE
+        },
+        auth: walletAuth ? walletAuth.getStats() : { strategy: 'host' },
+        chunkedUploads: chunkedUploads.getStats(),
+        folderUploads: folderUploads.getStats(),
+        jobs: jobQueue.getStats(),
+        webhooks: webhooks.getStats(),
+        eventStreams: eventStreams.size,
+        funding: {
+          ...fundingStatus,
+          recentEvents: await db.getRecentFundingEvents(5)
+        },
+        features: [
+          'Single file upload (/upload)',
+          'Resumable chunked uploads (/uploads)',
+          'Folder uploads with a path manifest (/upload-folder)',
+          'Token creation (/create-token)', 
+          'Batch token creation (/create-tokens/batch)',
+          'Token metadata revisions with version history (/tokens)',
+          'Stable mutable metadata URLs (Irys Root-TX chains)',
+          'NFT collections with ordered items (/collections)',
+          'Async token creation jobs (/jobs)',
+          'Signed webhook notifications (/webhooks)',
+          'Live upload progress via Server-Sent Events (/events)',
+          'Wallet signature authentication (/auth)',
+          'Wallet address tracking',
+          'Persistent upload history (/dashboard)',
+          'Connection pooling',
+          'Rate limiting (Express 5 compatible)',
+          'Content-sniffing file type detection',
+          'SVG sanitization before upload',
+          'Logo resizing, thumbnails and WebP variants',
+          'Content-addressed deduplication',
+          'Upload cost quotes (/quote)',
+          'Irys balance monitoring and auto-funding',
+          'Per-wallet quotas and plans',
+          'Automatic cleanup'
+        ]
+      });
+    } catch (error) {
+      res.status(503).json({
+        status: 'unhealthy',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // API documentation - generated from the route definitions in api-spec.js
+  const publicBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  const swaggerUiDir = (options.swaggerUi ?? config.SWAGGER_UI) ? swaggerUiAssetsDir() : null;
+  if ((options.swaggerUi ?? config.SWAGGER_UI) && !swaggerUiDir) {
+    console.warn('⚠️ Swagger UI requested but swagger-ui-dist is not installed - /docs/ui is disabled');
+  }
+
+  routes.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument({
+      serverUrl: publicBaseUrl(req),
+      walletAuth: Boolean(walletAuth),
+      supportedTypes: Object.keys(SUPPORTED_TYPES),
+      maxUploadSize: config.MAX_UPLOAD_SIZE
+    }));
+  });
+
+  routes.get('/docs', (req, res) => {
+    res.json({
+      name: 'Irys Upload Service API Documentation',
+      version: API_VERSION,
+      baseURL: publicBaseUrl(req),
+      openapi: `${publicBaseUrl(req)}/openapi.json`,
+      swaggerUi: swaggerUiDir ? `${publicBaseUrl(req)}/docs/ui` : null,
+      endpoints: summarizeEndpoints({ walletAuth: Boolean(walletAuth) }),
+      supportedFileTypes: Object.keys(SUPPORTED_TYPES)
+    });
+  });
+
+  // Swagger UI page + its assets, served locally (no CDN)
+  routes.get('/docs/ui', (req, res) => {
+    if (!swaggerUiDir) {
+      return res.status(404).json({
+        error: 'Swagger UI is disabled',
+        message: 'Start with SWAGGER_UI=true (or createIrysRouter({ swaggerUi: true })) - the spec is at /openapi.json'
+      });
+    }
+
+    res.type('html').send(swaggerUiPage(`${req.baseUrl}/docs/ui`, `${req.baseUrl}/openapi.json`));
+  });
+
+  if (swaggerUiDir) {
+    router.use('/docs/ui', express.static(swaggerUiDir, { index: false }));
+  }
+
+  // Every declared route must be registered above
+  routes.assertComplete();
+
+  // ✅ FIXED: Express 5 compatible 404 handler (no wildcard) - off when the host app has routes after the router
+  if (options.notFound !== false) {
+    router.use((req, res) => {
+      res.status(404).json({
+        error: 'Endpoint not found',
+        path: req.originalUrl,
+        method: req.method,
+        available: listEndpoints({ walletAuth: Boolean(walletAuth) }),
+        message: 'Check /openapi.json for complete API documentation'
+      });
+    });
+  }
+
+  // Error handling middleware
+  router.use((error, req, res, next) => {
+    console.error('API Error:', error.message);
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: 'File too large',
+          maxSize: `${(config.MAX_UPLOAD_SIZE / 1024 / 1024).toFixed(1)}MB`
+        });
+      }
+      if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          error: 'Too many files or unexpected file field',
+          message: error.message,
+          maxBatchSize: config.MAX_BATCH_SIZE,
+          maxCollectionSize: config.MAX_COLLECTION_SIZE,
+          maxFolderFiles: config.MAX_FOLDER_FILES
+        });
+      }
+    }
+
+    if (error.message.includes('Unsupported media type')) {
+      return res.status(415).json({
+        error: 'Unsupported media type',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
+      timestamp: new Date().toISOString()
+    });
+  });
+  router.irys = { service: irysService, config, walletAuth, jobQueue, webhooks, funding };
+  router.stop = () => {
+    webhooks.stop();
+    funding.stop();
+    jobQueue.stop();
+    chunkedUploads.stop();
+    if (ownsWalletAuth) walletAuth.stop();
+    // EventSource reconnects after `retry:`; otherwise server.close() would wait for these
+    for (const res of eventStreams) res.end();
+  };
+
+  return router;
+};
+
+export {
+  createIrysRouter,
+  CONFIG
+};
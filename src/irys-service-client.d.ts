@@ -0,0 +1,274 @@
+/**
+ * Types for irys-service-client.js
+ */
+
+export type FileInput = Blob | ArrayBuffer | ArrayBufferView;
+
+export interface IrysServiceClientOptions {
+  /** API root, including any mount prefix. Default http://localhost:3000 */
+  baseUrl?: string;
+  /** Session token from POST /auth/verify */
+  token?: string;
+  /** Called per request instead of using `token` */
+  getToken?: () => string | null | Promise<string | null>;
+  headers?: Record<string, string>;
+  /** ms per attempt, 0 = none. Default 60000 */
+  timeout?: number;
+  /** Extra attempts for 408/429/503, and for network failures and timeouts on GET. Default 2 */
+  retries?: number;
+  /** First backoff in ms, doubled per attempt. Default 500 */
+  retryDelay?: number;
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  query?: Record<string, string | number | boolean | undefined | null>;
+  json?: unknown;
+  /** Rebuilt for every attempt */
+  form?: () => FormData;
+  headers?: Record<string, string>;
+  requestId?: string;
+  /** false: send no Authorization header */
+  auth?: boolean;
+  signal?: AbortSignal;
+}
+
+export interface UploadOptions {
+  /** Required unless the file is a File; the extension picks the file type */
+  fileName?: string;
+  /** X-Request-ID: find this upload's GET /events progress events */
+  requestId?: string;
+  signal?: AbortSignal;
+}
+
+export interface CreateTokenOptions extends UploadOptions {
+  /** Resolve with { job } right away (202), then poll getJob */
+  async?: boolean;
+}
+
+export interface Attribute {
+  trait_type: string;
+  value: string | number;
+}
+
+export interface Creator {
+  address: string;
+  share: number;
+}
+
+export interface TokenData {
+  name: string;
+  symbol: string;
+  description: string;
+  website?: string;
+  attributes?: Attribute[];
+  creators?: Creator[];
+  processImage?: boolean;
+  imageSizes?: number[];
+  imageWebp?: boolean;
+  imageFit?: 'cover' | 'contain';
+}
+
+export interface ValidationDetail {
+  field: string;
+  message: string;
+}
+
+export interface Session {
+  success: true;
+  tokenType: 'Bearer';
+  token: string;
+  walletAddress: string;
+  expiresAt: string;
+}
+
+export interface Wallet {
+  address: string;
+  sessionId: string;
+}
+
+export interface StoredFile {
+  transactionId: string;
+  publicURL: string;
+  fileName: string;
+  fileSize: number;
+  contentType: string;
+  contentHash: string;
+  deduplicated: boolean;
+  sanitization?: Record<string, unknown>;
+}
+
+export interface UploadResponse {
+  success: true;
+  file: StoredFile;
+  wallet: Wallet;
+  performance: { uploadTime: number };
+  network: string;
+}
+
+export interface Token {
+  tokenId: number | null;
+  name: string;
+  symbol: string;
+  logoURL: string;
+  metadataURL: string;
+  mutableURL: string;
+  [key: string]: unknown;
+}
+
+export interface Job {
+  jobId: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  statusURL?: string;
+  progress?: Record<string, unknown>;
+  result?: unknown;
+  error?: string | null;
+  [key: string]: unknown;
+}
+
+export interface CreateTokenResponse {
+  success: true;
+  token: Token;
+  wallet: Wallet;
+  irys: { logoTxId: string; metadataTxId: string; network: string };
+  performance: Record<string, number>;
+  metadata: Record<string, unknown>;
+}
+
+export interface QueuedTokenResponse {
+  success: true;
+  job: Job;
+}
+
+export interface JobResponse {
+  success: true;
+  job: Job;
+}
+
+export interface DashboardResponse {
+  success: true;
+  wallet: { address: string; masked: string };
+  dashboard: {
+    totalUploads: number;
+    totalSizeBytes: number;
+    tokenCount: number;
+    quota?: Record<string, unknown>;
+    [key: string]: unknown;
+  };
+  timestamp: string;
+}
+
+export interface HealthResponse {
+  status: 'healthy' | 'unhealthy';
+  storageProvider: string;
+  database: string;
+  performance: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+export interface QuoteParams {
+  /** Price one upload of this many bytes */
+  size?: number;
+  /** Price logo + generated metadata */
+  logoSize?: number;
+  logoType?: string;
+  name?: string;
+  symbol?: string;
+  description?: string;
+  website?: string;
+  attributes?: Attribute[];
+  creators?: Creator[];
+}
+
+export interface Price {
+  bytes: number;
+  lamports: number;
+  sol: number;
+}
+
+export interface QuoteResponse {
+  success: true;
+  /** { provider, ...Price } for size; { provider, items, total } for logoSize */
+  quote: { provider: string } & (Price | {
+    items: Array<Price & { asset: 'logo' | 'metadata'; estimated?: boolean }>;
+    total: Price;
+  });
+  network: string;
+  timestamp: string;
+}
+
+export interface ErrorInfo {
+  status?: number | null;
+  body?: unknown;
+  requestId?: string | null;
+  retryAfter?: number | null;
+  cause?: Error;
+}
+
+export class IrysApiError extends Error {
+  constructor(message: string, info?: ErrorInfo);
+  /** HTTP status, null when no response arrived */
+  status: number | null;
+  /** Parsed response body */
+  body: any;
+  details: ValidationDetail[];
+  /** X-Request-ID of the failed request */
+  requestId: string | null;
+}
+
+/** 400 */
+export class ValidationError extends IrysApiError {}
+/** 401 */
+export class AuthenticationError extends IrysApiError {}
+/** 403 */
+export class QuotaExceededError extends IrysApiError {}
+/** 404 */
+export class NotFoundError extends IrysApiError {}
+/** 408, or no response within the client timeout */
+export class RequestTimeoutError extends IrysApiError {}
+/** 413 */
+export class PayloadTooLargeError extends IrysApiError {}
+/** 415 */
+export class UnsupportedMediaTypeError extends IrysApiError {}
+/** 422 */
+export class UnprocessableContentError extends IrysApiError {}
+/** 429 */
+export class RateLimitError extends IrysApiError {
+  /** Seconds, from Retry-After / RateLimit-Reset */
+  retryAfter: number | null;
+}
+/** 503 */
+export class ServiceUnavailableError extends IrysApiError {}
+/** No response (DNS, refused connection, CORS, aborted) */
+export class NetworkError extends IrysApiError {}
+
+export const CLIENT_CONFIG: {
+  BASE_URL: string;
+  TIMEOUT: number;
+  RETRIES: number;
+  RETRY_DELAY: number;
+  MAX_RETRY_DELAY: number;
+  RETRY_STATUSES: number[];
+  IDEMPOTENT_METHODS: string[];
+};
+
+export class IrysServiceClient {
+  constructor(options?: IrysServiceClientOptions);
+  baseUrl: string;
+  token: string | null;
+
+  setToken(token: string | null): void;
+  request<T = any>(method: string, path: string, options?: RequestOptions): Promise<T>;
+
+  /** GET /auth/nonce -> signMessage -> POST /auth/verify; stores the session token */
+  signIn(walletAddress: string, signMessage: (message: string) => string | Promise<string>): Promise<Session>;
+  signOut(): Promise<{ success: true; revoked: boolean }>;
+
+  upload(file: FileInput, options?: UploadOptions): Promise<UploadResponse>;
+  createToken(tokenData: TokenData, logo: FileInput, options: CreateTokenOptions & { async: true }): Promise<QueuedTokenResponse>;
+  createToken(tokenData: TokenData, logo: FileInput, options?: CreateTokenOptions): Promise<CreateTokenResponse>;
+  getJob(jobId: string): Promise<JobResponse>;
+  dashboard(): Promise<DashboardResponse>;
+  health(): Promise<HealthResponse>;
+  quote(params: QuoteParams): Promise<QuoteResponse>;
+}
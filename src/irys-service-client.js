@@ -0,0 +1,401 @@
+/**
+ * ========================================
+ * IRYS SERVICE CLIENT (NODE + BROWSER)
+ * ========================================
+ *
+ * Client for the upload API (api-production-final.js / createIrysRouter):
+ *   const client = new IrysServiceClient({ baseUrl: 'https://api.example', token });
+ *   const { token } = await client.createToken({ name, symbol, description }, logoFile);
+ *
+ * Only uses fetch, FormData and Blob, so it runs in browsers and Node 18+.
+ * Types: irys-service-client.d.ts
+ *
+ * Failed requests throw an IrysApiError subclass chosen by status code
+ * (ValidationError, AuthenticationError, RateLimitError, ...). 408, 429
+ * and 503 responses are retried with exponential backoff, honouring
+ * Retry-After. Network failures and client timeouts are only retried for
+ * GET: a POST may have reached the server, and /upload is paid.
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const CLIENT_CONFIG = {
+  BASE_URL: 'http://localhost:3000',
+  TIMEOUT: 60 * 1000, // per attempt; uploads include Irys confirmation
+  RETRIES: 2,
+  RETRY_DELAY: 500, // doubled per attempt
+  MAX_RETRY_DELAY: 30 * 1000,
+  RETRY_STATUSES: [408, 429, 503],
+  // No response may still mean the server acted on it: only these are resent then
+  IDEMPOTENT_METHODS: ['GET', 'HEAD', 'OPTIONS']
+};
+
+// ========================================
+// ERRORS
+// ========================================
+
+class IrysApiError extends Error {
+  /**
+   * @param {string} message - the API's "error" field when it sent one
+   * @param {{ status?: number|null, body?: any, requestId?: string|null, cause?: Error }} info
+   */
+  constructor(message, info = {}) {
+    super(message, info.cause ? { cause: info.cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = info.status ?? null;
+    this.body = info.body ?? null;
+    this.details = Array.isArray(info.body?.details) ? info.body.details : [];
+    this.requestId = info.requestId ?? null;
+  }
+}
+
+// 400: "Invalid request" / "Invalid metadata" with details: [{ field, message }]
+class ValidationError extends IrysApiError {}
+// 401: missing or expired session token
+class AuthenticationError extends IrysApiError {}
+// 403: plan quota used up
+class QuotaExceededError extends IrysApiError {}
+class NotFoundError extends IrysApiError {}
+// 408 from the API (Irys upload timeout) or no response within the client timeout
+class RequestTimeoutError extends IrysApiError {}
+class PayloadTooLargeError extends IrysApiError {}
+class UnsupportedMediaTypeError extends IrysApiError {}
+// 422: content does not match its type, or an SVG failed sanitization
+class UnprocessableContentError extends IrysApiError {}
+class RateLimitError extends IrysApiError {
+  constructor(message, info = {}) {
+    super(message, info);
+    this.retryAfter = info.retryAfter ?? null; // seconds
+  }
+}
+class ServiceUnavailableError extends IrysApiError {}
+// No response at all (DNS, refused connection, CORS, aborted)
+class NetworkError extends IrysApiError {}
+
+const ERROR_CLASSES = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: QuotaExceededError,
+  404: NotFoundError,
+  408: RequestTimeoutError,
+  413: PayloadTooLargeError,
+  415: UnsupportedMediaTypeError,
+  422: UnprocessableContentError,
+  429: RateLimitError,
+  503: ServiceUnavailableError
+};
+
+// ========================================
+// HELPERS
+// ========================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After (seconds or an HTTP date), else the draft RateLimit-Reset header from express-rate-limit
+const parseRetryAfter = (headers) => {
+  const value = headers.get('retry-after') ?? headers.get('ratelimit-reset');
+  if (value === null) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+};
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+
+  if ((response.headers.get('content-type') || '').includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+};
+
+const toApiError = (status, body, headers) => {
+  const ErrorClass = ERROR_CLASSES[status] || IrysApiError;
+  const message = (typeof body === 'object' && body && (body.error || body.message)) ||
+    (typeof body === 'string' && body) ||
+    `Request failed with status ${status}`;
+
+  return new ErrorClass(message, {
+    status,
+    body,
+    requestId: headers.get('x-request-id'),
+    retryAfter: parseRetryAfter(headers)
+  });
+};
+
+// Form fields are strings: arrays/objects (attributes, creators, imageSizes) go as JSON
+const appendFields = (formData, fields) => {
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    formData.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+};
+
+/**
+ * @param {Blob|ArrayBuffer|ArrayBufferView} file - a File/Blob, or bytes (e.g. a Node Buffer)
+ * @param {string} [fileName] - required unless file is a File; the extension picks the file type
+ */
+const toBlob = (file, fileName) => {
+  const isBlob = typeof Blob !== 'undefined' && file instanceof Blob;
+  const isBytes = file instanceof ArrayBuffer || ArrayBuffer.isView(file);
+
+  if (!isBlob && !isBytes) {
+    throw new Error('Invalid file: expected a File, Blob, ArrayBuffer or Uint8Array');
+  }
+
+  const name = fileName || (isBlob ? file.name : undefined);
+  if (!name) {
+    throw new Error('fileName is required when uploading a Blob or raw bytes');
+  }
+
+  return { blob: isBlob ? file : new Blob([file]), name };
+};
+
+// ========================================
+// CLIENT
+// ========================================
+
+class IrysServiceClient {
+  /**
+   * @param {object} options
+   * @param {string} [options.baseUrl] - API root, including any mount prefix (default http://localhost:3000)
+   * @param {string} [options.token] - session token from POST /auth/verify (see signIn)
+   * @param {Function} [options.getToken] - async () => token, called per request (host-managed sessions)
+   * @param {object} [options.headers] - extra headers for every request
+   * @param {number} [options.timeout] - ms per attempt, 0 = none
+   * @param {number} [options.retries] - extra attempts for 408/429/503, and for network failures on GET
+   * @param {number} [options.retryDelay] - first backoff in ms
+   * @param {Function} [options.fetch] - fetch implementation (default globalThis.fetch)
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || CLIENT_CONFIG.BASE_URL).replace(/\/+$/, '');
+    this.token = options.token || null;
+    this.getToken = options.getToken || null;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout ?? CLIENT_CONFIG.TIMEOUT;
+    this.retries = options.retries ?? CLIENT_CONFIG.RETRIES;
+    this.retryDelay = options.retryDelay ?? CLIENT_CONFIG.RETRY_DELAY;
+    this.fetch = options.fetch || globalThis.fetch?.bind(globalThis);
+
+    if (!this.fetch) {
+      throw new Error('fetch is not available: pass options.fetch (Node 18+ and browsers have it built in)');
+    }
+  }
+
+  setToken(token) {
+    this.token = token || null;
+  }
+
+  /**
+   * Send a request and return the parsed JSON body.
+   * @param {string} method
+   * @param {string} path - e.g. '/upload'
+   * @param {{ query?: object, json?: any, form?: Function, headers?: object, requestId?: string, auth?: boolean, signal?: AbortSignal }} options
+   *   form: () => FormData, rebuilt for every attempt
+   * @throws {IrysApiError} subclass by status; NetworkError when no response arrived
+   */
+  async request(method, path, options = {}) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    for (const [name, value] of Object.entries(options.query || {})) {
+      if (value !== undefined && value !== null) url.searchParams.set(name, String(value));
+    }
+
+    const headers = { Accept: 'application/json', ...this.headers, ...options.headers };
+    if (options.requestId) headers['X-Request-ID'] = options.requestId;
+    if (options.json !== undefined) headers['Content-Type'] = 'application/json';
+
+    if (options.auth !== false) {
+      const token = this.getToken ? await this.getToken() : this.token;
+      if (token) headers.Authorization = `Bearer ${token}`;
+    }
+
+    const verb = method.toUpperCase();
+    const idempotent = CLIENT_CONFIG.IDEMPOTENT_METHODS.includes(verb);
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+
+      try {
+        const response = await this.send(url, {
+          method: verb,
+          headers,
+          body: options.form ? options.form() : options.json !== undefined ? JSON.stringify(options.json) : undefined
+        }, options.signal);
+        const body = await readBody(response);
+
+        if (response.ok) return body;
+        error = toApiError(response.status, body, response.headers);
+      } catch (requestError) {
+        if (options.signal?.aborted) throw new NetworkError('Request aborted', { cause: requestError });
+        // send() turns the client timeout into a RequestTimeoutError
+        error = requestError instanceof RequestTimeoutError ? requestError
+          : new NetworkError(`Network error: ${requestError.message}`, { cause: requestError });
+      }
+
+      // status null: no response (network failure or client timeout)
+      const retryable = CLIENT_CONFIG.RETRY_STATUSES.includes(error.status) ||
+        (idempotent && error.status === null);
+      if (!retryable || attempt >= this.retries) throw error;
+
+      const delay = error.retryAfter != null ? error.retryAfter * 1000 : this.retryDelay * 2 ** attempt;
+      await sleep(Math.min(delay, CLIENT_CONFIG.MAX_RETRY_DELAY));
+    }
+  }
+
+  // One attempt with the client timeout; a timeout surfaces as RequestTimeoutError
+  async send(url, init, signal) {
+    if (!this.timeout && !signal) return this.fetch(url, init);
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) controller.abort();
+
+    let timedOut = false;
+    const timer = this.timeout ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout) : null;
+
+    try {
+      return await this.fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new RequestTimeoutError(`No response within ${this.timeout}ms`, { cause: error });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // ========================================
+  // AUTH
+  // ========================================
+
+  /**
+   * Wallet sign-in: GET /auth/nonce -> sign the message -> POST /auth/verify.
+   * Stores the session token on the client.
+   * @param {string} walletAddress
+   * @param {Function} signMessage - async (message: string) => base58 signature,
+   *   e.g. (message) => bs58.encode(await wallet.signMessage(new TextEncoder().encode(message)))
+   * @returns {Promise<{ token: string, expiresAt: string, walletAddress: string }>}
+   */
+  async signIn(walletAddress, signMessage) {
+    const challenge = await this.request('get', '/auth/nonce', { query: { wallet: walletAddress }, auth: false });
+    const signature = await signMessage(challenge.message);
+
+    const session = await this.request('post', '/auth/verify', {
+      json: { walletAddress, nonce: challenge.nonce, signature },
+      auth: false
+    });
+
+    this.setToken(session.token);
+    return session;
+  }
+
+  async signOut() {
+    const result = await this.request('post', '/auth/logout');
+    this.setToken(null);
+    return result;
+  }
+
+  // ========================================
+  // API
+  // ========================================
+
+  /**
+   * POST /upload
+   * @param {Blob|ArrayBuffer|ArrayBufferView} file
+   * @param {{ fileName?: string, requestId?: string, signal?: AbortSignal }} options
+   */
+  async upload(file, options = {}) {
+    const { blob, name } = toBlob(file, options.fileName);
+
+    return this.request('post', '/upload', {
+      form: () => {
+        const formData = new FormData();
+        formData.append('file', blob, name);
+        return formData;
+      },
+      requestId: options.requestId,
+      signal: options.signal
+    });
+  }
+
+  /**
+   * POST /create-token
+   * @param {object} tokenData - name, symbol, description, website, attributes, creators,
+   *   processImage, imageSizes, imageWebp, imageFit
+   * @param {Blob|ArrayBuffer|ArrayBufferView} logo
+   * @param {{ fileName?: string, async?: boolean, requestId?: string, signal?: AbortSignal }} options
+   *   async: resolve with { job } right away (202) and poll getJob(jobId)
+   */
+  async createToken(tokenData, logo, options = {}) {
+    const { blob, name } = toBlob(logo, options.fileName);
+
+    return this.request('post', '/create-token', {
+      query: options.async ? { async: 'true' } : undefined,
+      form: () => {
+        const formData = new FormData();
+        formData.append('logo', blob, name);
+        appendFields(formData, tokenData);
+        return formData;
+      },
+      requestId: options.requestId,
+      signal: options.signal
+    });
+  }
+
+  // GET /jobs/:id
+  async getJob(jobId) {
+    return this.request('get', `/jobs/${encodeURIComponent(jobId)}`);
+  }
+
+  // GET /dashboard
+  async dashboard() {
+    return this.request('get', '/dashboard');
+  }
+
+  // GET /health (an unhealthy service throws ServiceUnavailableError)
+  async health() {
+    return this.request('get', '/health', { auth: false });
+  }
+
+  /**
+   * POST /quote
+   * @param {{ size?: number, logoSize?: number, logoType?: string }} params - size prices one upload;
+   *   logoSize (plus optional token fields) prices logo + metadata
+   */
+  async quote(params) {
+    return this.request('post', '/quote', { json: params, auth: false });
+  }
+}
+
+export {
+  IrysServiceClient,
+  IrysApiError,
+  ValidationError,
+  AuthenticationError,
+  QuotaExceededError,
+  NotFoundError,
+  RequestTimeoutError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  UnprocessableContentError,
+  RateLimitError,
+  ServiceUnavailableError,
+  NetworkError,
+  CLIENT_CONFIG
+};
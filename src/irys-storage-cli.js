@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * IRYS-STORAGE CLI
+ * ========================================
+ *
+ * Ops tool on the upload core (IrysUploadService): same validation, quotas,
+ * deduplication and SQLite records as the API.
+ *   irys-storage upload <file> [--wallet <address>] [--tag Name=Value]...
+ *   irys-storage create-token --name <name> --symbol <symbol> --logo <file> --description <text>
+ *   irys-storage batch <manifest.json>
+ *   irys-storage dashboard <wallet>
+ *   irys-storage health
+ *   irys-storage quote --size <bytes> | --file <path> | --logo <file> [token options]
+ *
+ * --json prints the result as JSON on stdout, --dry-run checks files,
+ * metadata and quota without uploading. Service logs go to stderr.
+ * Exit codes: 0 ok, 1 failed (or a batch item failed), 2 usage error.
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+
+// Results own stdout; everything the service logs (and dotenv) goes to stderr
+const print = (text = '') => process.stdout.write(`${text}\n`);
+console.log = console.error;
+console.info = console.error;
+
+const USAGE = `Usage: irys-storage <command> [options]
+
+Commands:
+  upload <file>                 Upload one file
+  create-token                  Upload a token logo + Metaplex metadata
+  batch <manifest.json>         Create many tokens from a JSON manifest
+  dashboard <wallet>            Uploads, tokens and quota of a wallet
+  health                        Service health
+  quote                         Estimate the cost of an upload or a token
+
+Options:
+  --wallet <address>            Owner wallet (default: the address of SOLANA_PRIVATE_KEY)
+  --dry-run                     Validate without uploading (upload, create-token, batch)
+  --json                        Print the result as JSON
+  -h, --help                    Show help for a command
+
+Run "irys-storage <command> --help" for command options.`;
+
+const TOKEN_HELP = `  --name <name>                 Token name (max 32 bytes)
+  --symbol <symbol>             Token symbol (max 10 bytes)
+  --description <text>          Token description
+  --website <url>               Project website
+  --attributes <json|@file>     [{ "trait_type", "value" }, ...]
+  --creators <json|@file>       [{ "address", "share" }, ...] (shares sum to 100)`;
+
+// ========================================
+// OPTIONS
+// ========================================
+
+const COMMON_OPTIONS = {
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const OWNER_OPTIONS = {
+  wallet: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false }
+};
+
+const TOKEN_OPTIONS = {
+  name: { type: 'string' },
+  symbol: { type: 'string' },
+  description: { type: 'string' },
+  website: { type: 'string' },
+  attributes: { type: 'string' },
+  creators: { type: 'string' }
+};
+
+const IMAGE_OPTIONS = {
+  'process-image': { type: 'boolean', default: false },
+  'image-sizes': { type: 'string' },
+  'no-webp': { type: 'boolean', default: false },
+  'image-fit': { type: 'string' }
+};
+
+// Usage problems exit with 2, everything else with 1
+class UsageError extends Error {}
+
+// JSON text, or @path to a JSON file (kept as text: the metadata validator parses it)
+const readJsonOption = (value) => value?.startsWith('@') ? fs.readFileSync(value.slice(1), 'utf8') : value;
+
+const toTokenData = (values) => ({
+  name: values.name,
+  symbol: values.symbol,
+  description: values.description,
+  website: values.website,
+  attributes: readJsonOption(values.attributes),
+  creators: readJsonOption(values.creators)
+});
+
+const toImageProcessing = (values) => ({
+  processImage: values['process-image'],
+  imageSizes: values['image-sizes'],
+  imageWebp: !values['no-webp'],
+  imageFit: values['image-fit']
+});
+
+const parseTags = (tags = []) => tags.map(tag => {
+  const separator = tag.indexOf('=');
+  if (separator < 1) {
+    throw new UsageError(`Invalid --tag "${tag}": expected Name=Value`);
+  }
+  return { name: tag.slice(0, separator), value: tag.slice(separator + 1) };
+});
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(2)}MB`
+  : `${(bytes / 1024).toFixed(1)}KB`;
+
+// ========================================
+// SERVICE
+// ========================================
+
+// Loaded on demand: --help and unknown commands or options never open the database
+const loadService = async () => {
+  const [core, auth, metadata, images] = await Promise.all([
+    import('./irys-upload-service-final.js'),
+    import('./wallet-auth.js'),
+    import('./metadata-validator.js'),
+    import('./image-processor.js')
+  ]);
+
+  return {
+    irysService: core.default,
+    CONFIG: core.CONFIG,
+    isValidWalletAddress: auth.isValidWalletAddress,
+    validateTokenMetadata: metadata.validateTokenMetadata,
+    assertValidTokenMetadata: metadata.assertValidTokenMetadata,
+    formatErrors: metadata.formatErrors,
+    parseImageOptions: images.parseImageOptions
+  };
+};
+
+// --wallet, else the uploader's own address (Irys client of SOLANA_PRIVATE_KEY)
+const resolveWallet = async (service, wallet) => {
+  if (wallet) {
+    if (!service.isValidWalletAddress(wallet)) {
+      throw new UsageError(`Invalid wallet address: ${wallet}`);
+    }
+    return wallet;
+  }
+
+  const connection = await service.irysService.connectionPool.getConnection();
+  service.irysService.connectionPool.releaseConnection(connection);
+
+  if (!service.isValidWalletAddress(connection.address)) {
+    throw new UsageError(`--wallet is required (the ${service.irysService.storage.name} storage provider has no wallet address)`);
+  }
+  return connection.address;
+};
+
+// Same checks createTokenAssets runs before the first upload
+const checkToken = async (service, tokenData, walletAddress) => {
+  const validated = { ...tokenData, ...service.assertValidTokenMetadata(tokenData) };
+  service.parseImageOptions(tokenData.imageProcessing || {});
+
+  const logo = service.irysService.validateFile(tokenData.logoPath);
+  const quota = await service.irysService.assertWithinQuota(walletAddress, { bytes: logo.size, tokens: 1 });
+
+  return { tokenData: validated, logo, quota };
+};
+
+// ========================================
+// COMMANDS
+// ========================================
+
+const COMMANDS = {
+  upload: {
+    usage: `Usage: irys-storage upload <file> [--wallet <address>] [--tag Name=Value]... [--dry-run] [--json]`,
+    options: { ...OWNER_OPTIONS, tag: { type: 'string', multiple: true } },
+    async run(service, values, [filePath]) {
+      if (!filePath) throw new UsageError('Missing <file>');
+      const tags = parseTags(values.tag);
+      const walletAddress = await resolveWallet(service, values.wallet);
+
+      if (values['dry-run']) {
+        const info = service.irysService.validateFile(filePath);
+        const quota = await service.irysService.assertWithinQuota(walletAddress, { bytes: info.size });
+
+        return {
+          result: { success: true, dryRun: true, walletAddress, file: { fileName: info.fileName, fileSize: info.size, contentType: info.type.mime, category: info.type.category }, tags, quota },
+          lines: [`✅ ${info.fileName} is valid (${info.type.mime}, ${formatBytes(info.size)}) - nothing uploaded`]
+        };
+      }
+
+      const result = await service.irysService.uploadAndRecord(filePath, walletAddress, { ipAddress: 'cli', tags });
+      return {
+        result: { success: true, walletAddress, file: result },
+        lines: [
+          `✅ Uploaded ${result.fileName}${result.deduplicated ? ' (already stored, reused)' : ''}`,
+          `   Transaction: ${result.transactionId}`,
+          `   URL:         ${result.publicURL}`,
+          `   Size:        ${formatBytes(result.fileSize)} (${result.contentType})`
+        ]
+      };
+    }
+  },
+
+  'create-token': {
+    usage: `Usage: irys-storage create-token --name <name> --symbol <symbol> --logo <file> --description <text> [options]
+
+${TOKEN_HELP}
+  --logo <file>                 Logo image
+  --process-image               Resize the logo into square variants
+  --image-sizes <list>          Variant sizes, e.g. 512,256,64
+  --no-webp                     Skip WebP variants
+  --image-fit <cover|contain>   How variants are cropped
+  --wallet <address>            Owner wallet
+  --dry-run                     Validate without uploading
+  --json                        Print the result as JSON`,
+    options: { ...OWNER_OPTIONS, ...TOKEN_OPTIONS, ...IMAGE_OPTIONS, logo: { type: 'string' } },
+    async run(service, values) {
+      const missing = ['name', 'symbol', 'logo'].filter(option => !values[option]);
+      if (missing.length > 0) throw new UsageError(`Missing ${missing.map(option => `--${option}`).join(', ')}`);
+
+      const tokenData = { ...toTokenData(values), logoPath: values.logo, imageProcessing: toImageProcessing(values) };
+      const walletAddress = await resolveWallet(service, values.wallet);
+
+      if (values['dry-run']) {
+        const checked = await checkToken(service, tokenData, walletAddress);
+        const { logoPath, imageProcessing, ...metadata } = checked.tokenData;
+
+        return {
+          result: { success: true, dryRun: true, walletAddress, token: metadata, logo: { fileName: checked.logo.fileName, fileSize: checked.logo.size, contentType: checked.logo.type.mime }, quota: checked.quota },
+          lines: [`✅ ${metadata.symbol} is valid (logo ${checked.logo.type.mime}, ${formatBytes(checked.logo.size)}) - nothing uploaded`]
+        };
+      }
+
+      const result = await service.irysService.createTokenAssets(tokenData, walletAddress, 'cli');
+      return {
+        result: { ...result, walletAddress },
+        lines: [
+          `✅ Token assets created for ${tokenData.symbol}`,
+          `   Token ID:     ${result.tokenId ?? '-'}`,
+          `   Logo:         ${result.logoURL}`,
+          `   Metadata:     ${result.metadataURL}`,
+          `   Mutable URL:  ${result.mutableURL}`
+        ]
+      };
+    }
+  },
+
+  batch: {
+    usage: `Usage: irys-storage batch <manifest.json> [--wallet <address>] [--dry-run] [--json]
+
+manifest.json is an array of { name, symbol, description, logo, website?, attributes?, creators?,
+processImage?, imageSizes?, imageWebp?, imageFit? }; "logo" is a path relative to the manifest.`,
+    options: OWNER_OPTIONS,
+    async run(service, values, [manifestPath]) {
+      if (!manifestPath) throw new UsageError('Missing <manifest.json>');
+
+      let manifest;
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid manifest: ${error.message}`);
+      }
+      if (!Array.isArray(manifest) || manifest.length === 0) {
+        throw new Error('Invalid manifest: expected a non-empty JSON array of tokens');
+      }
+      if (manifest.length > service.CONFIG.MAX_BATCH_SIZE) {
+        throw new Error(`Invalid manifest: ${manifest.length} tokens (max ${service.CONFIG.MAX_BATCH_SIZE})`);
+      }
+
+      const walletAddress = await resolveWallet(service, values.wallet);
+      const baseDir = path.dirname(path.resolve(manifestPath));
+
+      // Items that cannot start are reported without touching Irys (as POST /create-tokens/batch does)
+      const prepared = manifest.map((item, index) => {
+        const { errors, tokenData } = service.validateTokenMetadata(item || {});
+        if (errors.length > 0) {
+          return { index, symbol: item?.symbol, error: `Invalid metadata: ${service.formatErrors(errors)}`, details: errors };
+        }
+        if (typeof item.logo !== 'string' || !item.logo) {
+          return { index, symbol: item.symbol, error: 'Missing logo' };
+        }
+
+        try {
+          const logoPath = path.resolve(baseDir, item.logo);
+          const imageProcessing = {
+            processImage: item.processImage,
+            imageSizes: item.imageSizes,
+            imageWebp: item.imageWebp,
+            imageFit: item.imageFit
+          };
+          service.parseImageOptions(imageProcessing);
+          service.irysService.validateFile(logoPath);
+          return { index, tokenData: { ...tokenData, logoPath, imageProcessing } };
+        } catch (error) {
+          return { index, symbol: item.symbol, error: error.message };
+        }
+      });
+
+      const runnable = prepared.filter(item => item.tokenData);
+
+      let batch = { results: [], performance: { totalTime: 0, concurrency: 0 } };
+      if (values['dry-run']) {
+        // One quota check for the whole batch
+        const sizes = runnable.map(item => fs.statSync(item.tokenData.logoPath).size);
+        await service.irysService.assertWithinQuota(walletAddress, {
+          bytes: sizes.reduce((sum, size) => sum + size, 0),
+          fileBytes: Math.max(0, ...sizes),
+          tokens: runnable.length
+        });
+      } else if (runnable.length > 0) {
+        batch = await service.irysService.createTokenAssetsBatch(runnable.map(item => item.tokenData), walletAddress, 'cli');
+      }
+
+      // Back to manifest order
+      let next = 0;
+      const results = prepared.map(item => {
+        if (item.error) {
+          return { index: item.index, success: false, symbol: item.symbol, error: item.error, ...(item.details ? { details: item.details } : {}) };
+        }
+        if (values['dry-run']) {
+          return { index: item.index, success: true, symbol: item.tokenData.symbol, valid: true };
+        }
+        return { ...batch.results[next++], index: item.index };
+      });
+
+      const succeeded = results.filter(result => result.success).length;
+      return {
+        result: {
+          success: succeeded === manifest.length,
+          ...(values['dry-run'] ? { dryRun: true } : {}),
+          walletAddress,
+          summary: { total: manifest.length, succeeded, failed: manifest.length - succeeded },
+          results,
+          performance: batch.performance
+        },
+        lines: [
+          ...results.map(result => result.success
+            ? `✅ #${result.index} ${result.symbol}${values['dry-run'] ? ' is valid' : `: ${result.metadataURL}`}`
+            : `❌ #${result.index} ${result.symbol ?? '?'}: ${result.error}`),
+          `${values['dry-run'] ? '🔍 Dry run' : '📦 Batch'}: ${succeeded}/${manifest.length} ${values['dry-run'] ? 'valid - nothing uploaded' : 'created'}`
+        ]
+      };
+    }
+  },
+
+  dashboard: {
+    usage: `Usage: irys-storage dashboard <wallet> [--json]`,
+    options: {},
+    async run(service, values, [walletAddress]) {
+      if (!walletAddress) throw new UsageError('Missing <wallet>');
+      if (!service.isValidWalletAddress(walletAddress)) throw new UsageError(`Invalid wallet address: ${walletAddress}`);
+
+      const dashboard = await service.irysService.getUserDashboard(walletAddress);
+      const quota = dashboard.quota;
+
+      return {
+        result: { success: true, dashboard },
+        lines: [
+          `📊 ${walletAddress}`,
+          `   Uploads: ${dashboard.totalUploads} (${dashboard.totalSizeMB}MB)`,
+          `   Tokens:  ${dashboard.tokenCount}`,
+          ...(quota ? [`   Plan:    ${quota.plan}`] : []),
+          ...dashboard.recentUploads.slice(0, 5).map(upload => `   - ${upload.file_name} ${upload.public_url}`)
+        ]
+      };
+    }
+  },
+
+  health: {
+    usage: `Usage: irys-storage health [--json]`,
+    options: {},
+    async run(service) {
+      const health = await service.irysService.getServiceHealth();
+      const pool = health.performance.connectionPool;
+
+      return {
+        result: health,
+        lines: [
+          `❤️  ${health.status} (${health.storageProvider}, ${health.network})`,
+          `   Database:        ${health.database}`,
+          `   Connection pool: ${pool.activeConnections}/${pool.poolSize} active, ${pool.waitingRequests} waiting`
+        ]
+      };
+    }
+  },
+
+  quote: {
+    usage: `Usage: irys-storage quote (--size <bytes> | --file <path> | --logo <file> [token options]) [--json]
+
+  --size <bytes>                Price one upload of this size
+  --file <path>                 Price uploading this file
+  --logo <file>                 Price a token: the logo plus its generated metadata
+${TOKEN_HELP}`,
+    options: { ...TOKEN_OPTIONS, size: { type: 'string' }, file: { type: 'string' }, logo: { type: 'string' } },
+    async run(service, values) {
+      const modes = ['size', 'file', 'logo'].filter(option => values[option] !== undefined);
+      if (modes.length !== 1) throw new UsageError('Pass exactly one of --size, --file or --logo');
+
+      let quote;
+      if (values.logo) {
+        const logo = service.irysService.validateFile(values.logo);
+        quote = await service.irysService.quoteTokenAssets(toTokenData(values), logo.size, logo.type.mime);
+      } else {
+        const size = values.file ? service.irysService.validateFile(values.file).size : values.size;
+        quote = await service.irysService.quoteUpload(size);
+      }
+
+      const total = quote.total || quote;
+      return {
+        result: { success: true, quote, network: service.CONFIG.NETWORK },
+        lines: [
+          ...(quote.items || []).map(item => `   ${item.asset}: ${formatBytes(item.bytes)} -> ${item.sol} SOL${item.estimated ? ' (estimated)' : ''}`),
+          `💰 ${formatBytes(total.bytes)} -> ${total.sol} SOL (${total.lamports} lamports, ${quote.provider})`
+        ]
+      };
+    }
+  }
+};
+
+// ========================================
+// MAIN
+// ========================================
+
+const main = async (argv) => {
+  const [commandName, ...args] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    print(USAGE);
+    return 0;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Unknown command: ${commandName}\n\n${USAGE}`);
+    return 2;
+  }
+
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args, options: { ...COMMON_OPTIONS, ...command.options }, allowPositionals: true }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${command.usage}`);
+    return 2;
+  }
+
+  if (values.help) {
+    print(command.usage);
+    return 0;
+  }
+
+  try {
+    const service = await loadService();
+    await service.irysService.db.ready;
+
+    const { result, lines } = await command.run(service, values, positionals);
+    print(values.json ? JSON.stringify(result, null, 2) : lines.join('\n'));
+    return result.success === false ? 1 : 0;
+  } catch (error) {
+    if (values.json) {
+      print(JSON.stringify({ success: false, error: error.message, ...(error.details ? { details: error.details } : {}) }, null, 2));
+    } else {
+      console.error(`❌ ${error.message}`);
+      if (error instanceof UsageError) console.error(`\n${command.usage}`);
+    }
+    return error instanceof UsageError ? 2 : 1;
+  }
+};
+
+process.exitCode = await main(process.argv.slice(2));
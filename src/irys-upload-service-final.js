@@ -5,6 +5,12 @@
  * 
  * Ultra-optimized, wallet-address based multi-user file upload service
  * Combines token creation + multi-user features with enhanced performance
+ *
+ * This is the upload core: api-production-final.js (wallets, irys_production.db)
+ * and irys-multiuser-service.js (user IDs, users.db / JSON) both run on
+ * IrysUploadService, so uploads, token assets and dashboards behave the same:
+ *   new IrysUploadService({ store, identity: 'wallet' | 'user', storageProvider })
+ * `store` defaults to ProductionDatabase; see user-stores.js for the interface.
  * 
  * Features:
  * - ⚡ Connection pooling for minimal latency (10 concurrent uploaders)
@@ -18,14 +24,19 @@
  * @author Production Ready
  */
 
-import { Uploader } from "@irys/upload";
-import { Solana } from "@irys/upload-solana";
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
 import sqlite3 from "sqlite3";
 import { fileURLToPath } from 'url';
 import dotenv from "dotenv";
+import defaultStorageProvider, { LAMPORTS_PER_SOL, ROOT_TX_TAG, toLamports } from "./storage-providers.js";
+import { verifyFileContent, readSniffBuffer, MIME_CATEGORIES } from "./file-type-detector.js";
+import { applySvgPolicy } from "./svg-sanitizer.js";
+import { noopProgress, throughputKBps } from "./progress-events.js";
+import { assertValidTokenMetadata, assertValidCollectionMetadata } from "./metadata-validator.js";
+import { DEFAULT_PLANS, QUOTA_CONFIG, buildQuotaStatus, checkQuota } from "./quota-manager.js";
+import { parseImageOptions, processAndUploadLogo, pickPrimaryVariant, toMetadataFiles } from "./image-processor.js";
 
 dotenv.config();
 
@@ -52,9 +63,57 @@ const CONFIG = {
   NETWORK: process.env.IRYS_NETWORK || 'mainnet',
   
   // Database & cleanup
-  DATABASE_PATH: path.join(__dirname, '..', 'data', 'irys_production.db'),
-  TEMP_DIR: path.join(__dirname, '..', 'temp'),
+  DATABASE_PATH: process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'irys_production.db'),
+  TEMP_DIR: process.env.TEMP_DIR || path.join(__dirname, '..', 'temp'),
   CLEANUP_INTERVAL: 24 * 60 * 60 * 1000, // 24 hours
+
+  // Chunked (resumable) uploads for large media
+  CHUNK_SIZE: parseInt(process.env.CHUNK_SIZE) || 5242880, // 5MB
+  MAX_CHUNKED_UPLOAD_SIZE: parseInt(process.env.MAX_CHUNKED_UPLOAD_SIZE) || 104857600, // 100MB
+  CHUNKED_UPLOAD_TIMEOUT: parseInt(process.env.CHUNKED_UPLOAD_TIMEOUT) || 300000, // 5 minutes
+  CHUNKED_SESSION_TTL: parseInt(process.env.CHUNKED_SESSION_TTL) || 24 * 60 * 60 * 1000, // 24 hours
+  STREAM_THRESHOLD: 10485760, // Stream files above 10MB instead of buffering
+
+  // SVG handling: 'clean' strips active content, 'reject' refuses unsafe files
+  SVG_SANITIZE_MODE: process.env.SVG_SANITIZE_MODE === 'reject' ? 'reject' : 'clean',
+
+  // Content-addressed dedup: 'global' (any wallet), 'wallet' (same wallet only) or 'off'
+  // wallet (default): a wallet's own earlier upload is reused, so it is always in its history
+  DEDUP_MODE: ['global', 'wallet', 'off'].includes(process.env.DEDUP_MODE) ? process.env.DEDUP_MODE : 'wallet',
+
+  // Async token creation jobs (POST /create-token?async=true)
+  JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  JOB_MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3, // runs interrupted by restarts count as attempts
+
+  // Webhooks (signed event notifications)
+  WEBHOOK_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000, // per delivery attempt
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  WEBHOOK_RETRY_BASE: parseInt(process.env.WEBHOOK_RETRY_BASE) || 2000, // 2s, 4s, 8s, ... between attempts
+  WEBHOOK_MAX_PER_WALLET: parseInt(process.env.WEBHOOK_MAX_PER_WALLET) || 10,
+  WEBHOOK_ALLOW_PRIVATE: process.env.WEBHOOK_ALLOW_PRIVATE === 'true', // loopback/private/link-local targets (dev only)
+
+  // Batch token creation (POST /create-tokens/batch)
+  MAX_BATCH_SIZE: parseInt(process.env.MAX_BATCH_SIZE) || 50,
+  BATCH_CONCURRENCY: parseInt(process.env.BATCH_CONCURRENCY) || 3, // tokens in flight (each uses pool connections)
+
+  // NFT collections (POST /collections) - items are uploaded BATCH_CONCURRENCY at a time
+  MAX_COLLECTION_SIZE: parseInt(process.env.MAX_COLLECTION_SIZE) || 100,
+
+  // Folder uploads published as one path manifest (POST /upload-folder)
+  MAX_FOLDER_FILES: parseInt(process.env.MAX_FOLDER_FILES) || 1000,
+
+  // Irys node balance monitoring / auto-funding (amounts in lamports)
+  FUNDING_CHECK_INTERVAL: parseInt(process.env.FUNDING_CHECK_INTERVAL) || 5 * 60 * 1000, // 5 minutes
+  FUNDING_LOW_BALANCE: parseInt(process.env.FUNDING_LOW_BALANCE) || 10000000, // 0.01 SOL
+  FUNDING_AUTO_FUND: process.env.FUNDING_AUTO_FUND === 'true',
+  FUNDING_AMOUNT: parseInt(process.env.FUNDING_AMOUNT) || 10000000, // 0.01 SOL per top-up
+  FUNDING_DAILY_CAP: parseInt(process.env.FUNDING_DAILY_CAP) || 50000000, // 0.05 SOL per UTC day
+};
+
+// Owner of an upload: its ID is written to this tag on every transaction
+const IDENTITIES = {
+  wallet: { name: 'wallet', tagName: 'Wallet-Address' },
+  user: { name: 'user', tagName: 'User-ID' }
 };
 
 // ========================================
@@ -86,13 +145,106 @@ const SUPPORTED_TYPES = {
   ".json": { mime: "application/json", category: "document", maxSize: CONFIG.MAX_UPLOAD_SIZE }
 };
 
+// SHA-256 of a file on disk without loading it into memory
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+// SQLite CURRENT_TIMESTAMP format (UTC 'YYYY-MM-DD HH:MM:SS'): ISO strings do not compare with it
+const toSqliteTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// Token metadata JSON (Metaplex-style) - shared by createTokenAssets and quotes
+const buildTokenMetadata = (tokenData, { logoResult, logoType, variants = [], primaryVariant = null, walletAddress, sessionId }) => ({
+  name: tokenData.name,
+  symbol: tokenData.symbol,
+  description: tokenData.description,
+  image: primaryVariant ? primaryVariant.result.publicURL : logoResult.publicURL,
+  external_url: tokenData.website || "",
+  attributes: tokenData.attributes || [],
+  properties: {
+    files: [{
+      uri: logoResult.publicURL,
+      type: logoType.mime // ✅ Dynamic type detection
+    }, ...toMetadataFiles(variants)],
+    category: logoType.category,
+    creators: tokenData.creators || []
+  },
+  // ⚡ Enhanced metadata
+  upload_details: {
+    wallet_address: walletAddress,
+    session_id: sessionId,
+    logo_transaction_id: logoResult.transactionId,
+    created_at: new Date().toISOString(),
+    file_size: logoResult.fileSize,
+    content_type: logoType.mime
+  }
+});
+
+// NFT collection metadata (Metaplex) - the collection itself
+const buildCollectionMetadata = (collectionData, { imageResult, imageType }) => ({
+  name: collectionData.name,
+  symbol: collectionData.symbol,
+  description: collectionData.description,
+  image: imageResult.publicURL,
+  external_url: collectionData.website || "",
+  seller_fee_basis_points: collectionData.sellerFeeBasisPoints,
+  properties: {
+    files: [{ uri: imageResult.publicURL, type: imageType.mime }],
+    category: imageType.category,
+    creators: collectionData.creators
+  }
+});
+
+// One item of a collection; `collection` links it to the collection by name/family
+const buildCollectionItemMetadata = (collectionData, item, { imageResult, imageType }) => ({
+  name: item.name,
+  symbol: collectionData.symbol,
+  description: item.description || collectionData.description,
+  image: imageResult.publicURL,
+  external_url: collectionData.website || "",
+  seller_fee_basis_points: collectionData.sellerFeeBasisPoints,
+  attributes: item.attributes,
+  collection: {
+    name: collectionData.name,
+    family: collectionData.family
+  },
+  properties: {
+    files: [{ uri: imageResult.publicURL, type: imageType.mime }],
+    category: imageType.category,
+    creators: collectionData.creators
+  }
+});
+
+const formatPrice = (bytes, lamports) => ({
+  bytes,
+  lamports,
+  sol: lamports / LAMPORTS_PER_SOL
+});
+
+const parseByteSize = (value, field) => {
+  const bytes = Number(value);
+  if (!Number.isInteger(bytes) || bytes <= 0) {
+    throw new Error(`Invalid ${field}: expected a positive integer byte count`);
+  }
+  return bytes;
+};
+
 // ========================================
 // ENHANCED DATABASE MANAGER
 // ========================================
 
 class ProductionDatabase {
   constructor() {
+    this.name = 'SQLite Production';
     this.dbPath = CONFIG.DATABASE_PATH;
+    // Resolves once schema + migrations ran (startup work that reads tables waits on it)
+    this.ready = new Promise(resolve => { this.markReady = resolve; });
+    // Transactions share this connection, so they run one after another
+    this.transactionQueue = Promise.resolve();
     this.ensureDirectories();
     this.initializeDatabase();
   }
@@ -102,15 +254,13 @@ class ProductionDatabase {
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
     }
-    if (!fs.existsSync(CONFIG.TEMP_DIR)) {
-      fs.mkdirSync(CONFIG.TEMP_DIR, { recursive: true });
-    }
   }
 
   initializeDatabase() {
     this.db = new sqlite3.Database(this.dbPath, (err) => {
       if (err) {
         console.error('❌ Database connection failed:', err.message);
+        this.markReady();
       } else {
         console.log('✅ Production database connected');
         this.createTables();
@@ -128,7 +278,18 @@ class ProductionDatabase {
         last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
         total_uploads INTEGER DEFAULT 0,
         total_size_bytes INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'active'
+        status TEXT DEFAULT 'active',
+        plan TEXT -- NULL = DEFAULT_PLAN
+      );
+
+      -- Named quota plans (NULL limit = unlimited)
+      CREATE TABLE IF NOT EXISTS plans (
+        name TEXT PRIMARY KEY,
+        daily_bytes INTEGER,
+        monthly_bytes INTEGER,
+        monthly_tokens INTEGER,
+        max_file_size INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );
 
       -- Complete upload records with metadata
@@ -146,6 +307,7 @@ class ProductionDatabase {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         tags_json TEXT, -- Store custom tags
         session_id TEXT,
+        content_hash TEXT, -- ⚡ SHA-256 of the stored payload (dedup)
         FOREIGN KEY (wallet_address) REFERENCES users (wallet_address)
       );
 
@@ -160,6 +322,7 @@ class ProductionDatabase {
         metadata_transaction_id TEXT NOT NULL,
         metadata_url TEXT NOT NULL,
         metadata_json TEXT NOT NULL, -- ⚡ Full token metadata
+        root_transaction_id TEXT, -- first metadata upload: Root-TX of every revision, key of the mutable URL
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         session_id TEXT,
         FOREIGN KEY (wallet_address) REFERENCES users (wallet_address),
@@ -167,6 +330,138 @@ class ProductionDatabase {
         FOREIGN KEY (metadata_transaction_id) REFERENCES uploads (transaction_id)
       );
 
+      -- Metadata versions of a token (version 1 = metadata from token creation);
+      -- token_assets always holds the latest one
+      CREATE TABLE IF NOT EXISTS token_asset_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        metadata_transaction_id TEXT NOT NULL,
+        metadata_url TEXT NOT NULL,
+        previous_transaction_id TEXT, -- metadata of version - 1
+        logo_transaction_id TEXT NOT NULL,
+        logo_url TEXT NOT NULL,
+        changes_json TEXT, -- changed fields
+        metadata_json TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (token_id, version),
+        FOREIGN KEY (token_id) REFERENCES token_assets (id)
+      );
+
+      -- NFT collections (collection image + metadata)
+      CREATE TABLE IF NOT EXISTS collections (
+        id TEXT PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        name TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        seller_fee_basis_points INTEGER DEFAULT 0,
+        image_transaction_id TEXT NOT NULL,
+        image_url TEXT NOT NULL,
+        metadata_transaction_id TEXT NOT NULL,
+        metadata_url TEXT NOT NULL,
+        metadata_json TEXT NOT NULL,
+        item_count INTEGER NOT NULL,
+        session_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (wallet_address) REFERENCES users (wallet_address)
+      );
+
+      -- Items of a collection, in drop order
+      CREATE TABLE IF NOT EXISTS collection_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection_id TEXT NOT NULL,
+        position INTEGER NOT NULL, -- 0-based index in the collection
+        name TEXT NOT NULL,
+        image_transaction_id TEXT NOT NULL,
+        image_url TEXT NOT NULL,
+        metadata_transaction_id TEXT NOT NULL,
+        metadata_url TEXT NOT NULL,
+        metadata_json TEXT NOT NULL,
+        UNIQUE (collection_id, position),
+        FOREIGN KEY (collection_id) REFERENCES collections (id)
+      );
+
+      -- Folder uploads: one path manifest per folder
+      CREATE TABLE IF NOT EXISTS manifests (
+        id TEXT PRIMARY KEY, -- manifest transaction ID
+        wallet_address TEXT NOT NULL,
+        index_path TEXT,
+        file_count INTEGER NOT NULL,
+        total_size INTEGER NOT NULL,
+        session_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (wallet_address) REFERENCES users (wallet_address)
+      );
+
+      -- Path -> transaction mapping of a manifest
+      CREATE TABLE IF NOT EXISTS manifest_files (
+        manifest_id TEXT NOT NULL,
+        path TEXT NOT NULL,
+        transaction_id TEXT NOT NULL,
+        file_size INTEGER,
+        content_type TEXT,
+        PRIMARY KEY (manifest_id, path),
+        FOREIGN KEY (manifest_id) REFERENCES manifests (id)
+      );
+
+      -- Background jobs (async token creation), resumed after restarts
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued', -- queued | running | completed | failed
+        payload_json TEXT NOT NULL,
+        progress_json TEXT,
+        result_json TEXT,
+        error TEXT,
+        attempts INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (wallet_address) REFERENCES users (wallet_address)
+      );
+
+      -- Webhook endpoints registered by wallets
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL, -- HMAC key, shown once at registration
+        events_json TEXT NOT NULL,
+        active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (wallet_address) REFERENCES users (wallet_address)
+      );
+
+      -- One row per event sent to a webhook, updated on every attempt
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload_json TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending', -- pending | delivered | failed
+        attempts INTEGER DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at INTEGER, -- epoch ms, NULL once final
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks (id)
+      );
+
+      -- Irys node top-ups made by the service wallet
+      CREATE TABLE IF NOT EXISTS funding_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id TEXT, -- NULL when the fund call failed
+        amount INTEGER NOT NULL, -- lamports requested
+        fee INTEGER DEFAULT 0, -- network reward reported by Irys
+        balance_before INTEGER,
+        status TEXT NOT NULL, -- 'success' | 'failed'
+        source TEXT NOT NULL, -- 'auto' | 'manual'
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
       -- Rate limiting per wallet
       CREATE TABLE IF NOT EXISTS rate_limits (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -182,18 +477,64 @@ class ProductionDatabase {
       CREATE INDEX IF NOT EXISTS idx_uploads_wallet ON uploads(wallet_address);
       CREATE INDEX IF NOT EXISTS idx_uploads_txid ON uploads(transaction_id);
       CREATE INDEX IF NOT EXISTS idx_tokens_wallet ON token_assets(wallet_address);
+      CREATE INDEX IF NOT EXISTS idx_collections_wallet ON collections(wallet_address, created_at);
+      CREATE INDEX IF NOT EXISTS idx_manifests_wallet ON manifests(wallet_address, created_at);
       CREATE INDEX IF NOT EXISTS idx_rate_limits_wallet_time ON rate_limits(wallet_address, request_time);
+      CREATE INDEX IF NOT EXISTS idx_funding_events_time ON funding_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+      CREATE INDEX IF NOT EXISTS idx_webhooks_wallet ON webhooks(wallet_address);
+      CREATE INDEX IF NOT EXISTS idx_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_deliveries_due ON webhook_deliveries(status, next_attempt_at);
     `;
 
     this.db.exec(schema, (err) => {
       if (err) {
         console.error('❌ Schema creation failed:', err.message);
+        this.markReady();
       } else {
         console.log('✅ Production database schema ready');
+        this.runMigrations();
       }
     });
   }
 
+  // Bring databases created by earlier versions up to the current schema
+  runMigrations() {
+    const migrations = [
+      'ALTER TABLE uploads ADD COLUMN content_hash TEXT;',
+      'CREATE INDEX IF NOT EXISTS idx_uploads_content_hash ON uploads(content_hash);',
+      'ALTER TABLE users ADD COLUMN plan TEXT;',
+      'ALTER TABLE token_assets ADD COLUMN root_transaction_id TEXT;',
+      // Tokens created before mutable references: the chain starts at their first metadata version
+      `UPDATE token_assets SET root_transaction_id = COALESCE(
+         (SELECT metadata_transaction_id FROM token_asset_revisions r WHERE r.token_id = token_assets.id AND r.version = 1),
+         metadata_transaction_id
+       ) WHERE root_transaction_id IS NULL;`
+    ];
+
+    this.db.serialize(() => {
+      migrations.forEach(sql => {
+        this.db.run(sql, (err) => {
+          if (err && !err.message.includes('duplicate column')) {
+            console.error('❌ Migration failed:', err.message);
+          }
+        });
+      });
+
+      // Seed default plans once; existing rows (edited limits) are kept
+      DEFAULT_PLANS.forEach(plan => {
+        this.db.run(`
+          INSERT OR IGNORE INTO plans (name, daily_bytes, monthly_bytes, monthly_tokens, max_file_size)
+          VALUES (?, ?, ?, ?, ?);
+        `, [plan.name, plan.dailyBytes, plan.monthlyBytes, plan.monthlyTokens, plan.maxFileSize], (err) => {
+          if (err) console.error('❌ Plan seed failed:', err.message);
+        });
+      });
+
+      this.db.get('SELECT 1;', () => this.markReady());
+    });
+  }
+
   // ⚡ OPTIMIZED: Create or update user by wallet address
   async createOrUpdateUser(walletAddress) {
     return new Promise((resolve, reject) => {
@@ -213,17 +554,24 @@ class ProductionDatabase {
 
   // ⚡ OPTIMIZED: Record upload with complete metadata
   async recordUpload(walletAddress, uploadData, metadataJson = null, tagsJson = null) {
+    const db = this.db;
+
+    // Deduplicated uploads reuse an existing transaction - nothing new was stored
+    if (uploadData.deduplicated) {
+      return { uploadId: null, deduplicated: true };
+    }
+
     return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
+      db.serialize(() => {
         // Insert upload record
         const uploadSQL = `
           INSERT INTO uploads 
           (wallet_address, transaction_id, file_name, file_size, file_type, category, 
-           public_url, metadata_json, upload_time_ms, tags_json, session_id)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+           public_url, metadata_json, upload_time_ms, tags_json, session_id, content_hash)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
         `;
         
-        this.db.run(uploadSQL, [
+        db.run(uploadSQL, [
           walletAddress,
           uploadData.transactionId,
           uploadData.fileName,
@@ -234,13 +582,16 @@ class ProductionDatabase {
           metadataJson ? JSON.stringify(metadataJson) : null,
           uploadData.uploadTime,
           tagsJson ? JSON.stringify(tagsJson) : null,
-          uploadData.sessionId
+          uploadData.sessionId,
+          uploadData.contentHash || null
         ], function(err) {
           if (err) {
             reject(err);
             return;
           }
 
+          const uploadId = this.lastID;
+
           // Update user statistics
           const updateUserSQL = `
             UPDATE users 
@@ -250,9 +601,9 @@ class ProductionDatabase {
             WHERE wallet_address = ?;
           `;
           
-          this.db.run(updateUserSQL, [uploadData.fileSize, walletAddress], (err) => {
+          db.run(updateUserSQL, [uploadData.fileSize, walletAddress], (err) => {
             if (err) reject(err);
-            else resolve({ uploadId: this.lastID });
+            else resolve({ uploadId });
           });
         });
       });
@@ -265,8 +616,8 @@ class ProductionDatabase {
       const sql = `
         INSERT INTO token_assets 
         (wallet_address, token_name, token_symbol, logo_transaction_id, logo_url,
-         metadata_transaction_id, metadata_url, metadata_json, session_id)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);
+         metadata_transaction_id, metadata_url, metadata_json, root_transaction_id, session_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
       `;
       
       this.db.run(sql, [
@@ -278,6 +629,7 @@ class ProductionDatabase {
         metadataData.transactionId,
         metadataData.publicURL,
         JSON.stringify(tokenData.metadata),
+        metadataData.transactionId, // version 1 is the root of the chain
         sessionId
       ], function(err) {
         if (err) reject(err);
@@ -286,10 +638,101 @@ class ProductionDatabase {
     });
   }
 
+  async getTokenAsset(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM token_assets WHERE id = ?;', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  // 🔒 Runs [sql, params] statements as one transaction: stops at the first failure and rolls back
+  runTransaction(statements) {
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    const transaction = this.transactionQueue.then(async () => {
+      await run('BEGIN TRANSACTION;');
+      try {
+        for (const [sql, params] of statements) {
+          await run(sql, params);
+        }
+        await run('COMMIT;');
+      } catch (error) {
+        await run('ROLLBACK;').catch(() => {});
+        throw error;
+      }
+    });
+    this.transactionQueue = transaction.catch(() => {});
+    return transaction;
+  }
+
+  // 🔁 Metadata revision: the original is kept as version 1 the first time, token_assets moves to the new version
+  async recordTokenRevision(tokenId, revision) {
+    await this.runTransaction([
+      [`
+        INSERT OR IGNORE INTO token_asset_revisions
+        (token_id, version, metadata_transaction_id, metadata_url, logo_transaction_id, logo_url, metadata_json, created_at)
+        SELECT id, 1, metadata_transaction_id, metadata_url, logo_transaction_id, logo_url, metadata_json, created_at
+        FROM token_assets WHERE id = ?;
+      `, [tokenId]],
+      [`
+        INSERT INTO token_asset_revisions
+        (token_id, version, metadata_transaction_id, metadata_url, previous_transaction_id,
+         logo_transaction_id, logo_url, changes_json, metadata_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `, [
+        tokenId,
+        revision.version,
+        revision.metadataResult.transactionId,
+        revision.metadataResult.publicURL,
+        revision.previousTransactionId,
+        revision.logoResult.transactionId,
+        revision.logoResult.publicURL,
+        JSON.stringify(revision.changes),
+        JSON.stringify(revision.metadata)
+      ]],
+      [`
+        UPDATE token_assets
+        SET token_name = ?, token_symbol = ?, logo_transaction_id = ?, logo_url = ?,
+            metadata_transaction_id = ?, metadata_url = ?, metadata_json = ?
+        WHERE id = ?;
+      `, [
+        revision.metadata.name,
+        revision.metadata.symbol,
+        revision.logoResult.transactionId,
+        revision.logoResult.publicURL,
+        revision.metadataResult.transactionId,
+        revision.metadataResult.publicURL,
+        JSON.stringify(revision.metadata),
+        tokenId
+      ]]
+    ]);
+
+    return { tokenId, version: revision.version };
+  }
+
+  async getTokenRevisions(tokenId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM token_asset_revisions
+        WHERE token_id = ?
+        ORDER BY version ASC;
+      `;
+
+      this.db.all(sql, [tokenId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
   // ⚡ OPTIMIZED: Check rate limit by wallet address
   async checkRateLimit(walletAddress, ipAddress) {
     return new Promise((resolve, reject) => {
-      const cutoffTime = new Date(Date.now() - CONFIG.RATE_LIMIT_WINDOW).toISOString();
+      const cutoffTime = toSqliteTimestamp(new Date(Date.now() - CONFIG.RATE_LIMIT_WINDOW));
       
       const sql = `
         SELECT COUNT(*) as request_count
@@ -332,6 +775,15 @@ class ProductionDatabase {
     });
   }
 
+  async deleteRateLimitsBefore(cutoff) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM rate_limits WHERE request_time < ?;', [toSqliteTimestamp(cutoff)], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
   // ⚡ Get user dashboard with complete data
   async getUserDashboard(walletAddress) {
     return new Promise((resolve, reject) => {
@@ -342,14 +794,9 @@ class ProductionDatabase {
           u.total_size_bytes,
           u.created_at,
           u.last_activity,
-          GROUP_CONCAT(up.public_url) as recent_urls,
-          GROUP_CONCAT(up.file_name) as recent_files,
-          COUNT(ta.id) as token_count
+          (SELECT COUNT(*) FROM token_assets ta WHERE ta.wallet_address = u.wallet_address) as token_count
         FROM users u
-        LEFT JOIN uploads up ON u.wallet_address = up.wallet_address
-        LEFT JOIN token_assets ta ON u.wallet_address = ta.wallet_address
         WHERE u.wallet_address = ?
-        GROUP BY u.wallet_address
         LIMIT 1;
       `;
       
@@ -360,147 +807,646 @@ class ProductionDatabase {
     });
   }
 
-  // ⚡ Get user tokens with metadata
-  async getUserTokens(walletAddress, limit = 20) {
+  // ⚡ Find an earlier upload of identical content (optionally same wallet only)
+  async findUploadByHash(contentHash, walletAddress = null) {
     return new Promise((resolve, reject) => {
       const sql = `
-        SELECT token_name, token_symbol, logo_url, metadata_url, metadata_json, created_at
-        FROM token_assets
-        WHERE wallet_address = ?
-        ORDER BY created_at DESC
-        LIMIT ?;
+        SELECT transaction_id, public_url, wallet_address, file_type, category, created_at
+        FROM uploads
+        WHERE content_hash = ? ${walletAddress ? 'AND wallet_address = ?' : ''}
+        ORDER BY id ASC
+        LIMIT 1;
       `;
-      
-      this.db.all(sql, [walletAddress, limit], (err, rows) => {
+      const params = walletAddress ? [contentHash, walletAddress] : [contentHash];
+
+      this.db.get(sql, params, (err, row) => {
         if (err) reject(err);
-        else resolve(rows.map(row => ({
-          ...row,
-          metadata_json: JSON.parse(row.metadata_json)
-        })));
+        else resolve(row || null);
       });
     });
   }
-}
 
-// ========================================
-// ULTRA-OPTIMIZED CONNECTION POOL
-// ========================================
+  // 📏 Plan of a wallet (falls back to the default plan)
+  async getUserPlan(walletAddress, defaultPlan) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT p.name, p.daily_bytes, p.monthly_bytes, p.monthly_tokens, p.max_file_size
+        FROM plans p
+        WHERE p.name = COALESCE((SELECT plan FROM users WHERE wallet_address = ?), ?)
+        LIMIT 1;
+      `;
 
-class UltraFastConnectionPool {
-  constructor(maxConnections = CONFIG.CONNECTION_POOL_SIZE) {
-    this.pool = [];
-    this.active = [];
-    this.waiting = [];
-    this.maxConnections = maxConnections;
-    this.stats = { created: 0, reused: 0, errors: 0 };
+      this.db.get(sql, [walletAddress, defaultPlan], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
   }
 
-  async getConnection() {
-    // ⚡ OPTIMIZATION: Reuse existing connection
-    if (this.pool.length > 0) {
-      const connection = this.pool.pop();
-      this.active.push(connection);
-      this.stats.reused++;
-      return connection;
-    }
-
-    // ⚡ OPTIMIZATION: Create new if under limit
-    if (this.active.length < this.maxConnections) {
-      try {
-        const connection = await Uploader(Solana).withWallet(CONFIG.PRIVATE_KEY);
-        this.active.push(connection);
-        this.stats.created++;
-        console.log(`⚡ Created connection ${this.stats.created}/${this.maxConnections}`);
-        return connection;
-      } catch (error) {
-        this.stats.errors++;
-        throw error;
-      }
-    }
+  // 📏 Bytes stored today / this month and tokens created this month (UTC)
+  async getQuotaUsage(walletAddress) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT
+          (SELECT COALESCE(SUM(file_size), 0) FROM uploads
+            WHERE wallet_address = $wallet AND created_at >= datetime('now', 'start of day')) as daily_bytes,
+          (SELECT COALESCE(SUM(file_size), 0) FROM uploads
+            WHERE wallet_address = $wallet AND created_at >= datetime('now', 'start of month')) as monthly_bytes,
+          (SELECT COUNT(*) FROM token_assets
+            WHERE wallet_address = $wallet AND created_at >= datetime('now', 'start of month')) as monthly_tokens;
+      `;
 
-    // ⚡ OPTIMIZATION: Wait for available connection
-    return new Promise((resolve) => {
-      this.waiting.push(resolve);
+      this.db.get(sql, { $wallet: walletAddress }, (err, row) => {
+        if (err) reject(err);
+        else resolve({
+          dailyBytes: row.daily_bytes,
+          monthlyBytes: row.monthly_bytes,
+          monthlyTokens: row.monthly_tokens
+        });
+      });
     });
   }
 
-  releaseConnection(connection) {
-    // Remove from active
-    const index = this.active.indexOf(connection);
-    if (index > -1) {
-      this.active.splice(index, 1);
-    }
+  async setUserPlan(walletAddress, planName) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO users (wallet_address, plan) VALUES (?, ?)
+        ON CONFLICT(wallet_address) DO UPDATE SET plan = excluded.plan;
+      `;
 
-    // ⚡ OPTIMIZATION: Serve waiting requests first
-    if (this.waiting.length > 0) {
-      const resolve = this.waiting.shift();
-      this.active.push(connection);
-      resolve(connection);
-      return;
-    }
+      this.db.run(sql, [walletAddress, planName], (err) => {
+        if (err) reject(err);
+        else resolve({ walletAddress, plan: planName });
+      });
+    });
+  }
 
-    // Return to pool
-    this.pool.push(connection);
+  // 🖼️ NFT collections: the collection row and all items are written together
+  async recordCollection(walletAddress, collection, items) {
+    await this.runTransaction([
+      [`
+        INSERT INTO collections
+        (id, wallet_address, name, symbol, seller_fee_basis_points, image_transaction_id, image_url,
+         metadata_transaction_id, metadata_url, metadata_json, item_count, session_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `, [
+        collection.id,
+        walletAddress,
+        collection.name,
+        collection.symbol,
+        collection.sellerFeeBasisPoints,
+        collection.imageResult.transactionId,
+        collection.imageResult.publicURL,
+        collection.metadataResult.transactionId,
+        collection.metadataResult.publicURL,
+        JSON.stringify(collection.metadata),
+        items.length,
+        collection.sessionId
+      ]],
+      ...items.map(item => [`
+        INSERT INTO collection_items
+        (collection_id, position, name, image_transaction_id, image_url,
+         metadata_transaction_id, metadata_url, metadata_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?);
+      `, [
+        collection.id,
+        item.position,
+        item.name,
+        item.imageResult.transactionId,
+        item.imageResult.publicURL,
+        item.metadataResult.transactionId,
+        item.metadataResult.publicURL,
+        JSON.stringify(item.metadata)
+      ]])
+    ]);
+
+    return { collectionId: collection.id };
   }
 
-  getStats() {
-    return {
-      ...this.stats,
-      poolSize: this.pool.length,
-      activeConnections: this.active.length,
-      waitingRequests: this.waiting.length
-    };
+  async getCollection(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM collections WHERE id = ?;', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
   }
-}
 
-// ========================================
-// MAIN SERVICE CLASS
-// ========================================
+  async getCollectionItems(collectionId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM collection_items
+        WHERE collection_id = ?
+        ORDER BY position ASC;
+      `;
 
-class IrysUploadService {
-  constructor() {
-    this.db = new ProductionDatabase();
-    this.connectionPool = new UltraFastConnectionPool();
-    this.setupCleanup();
+      this.db.all(sql, [collectionId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
   }
 
-  setupCleanup() {
-    // ⚡ OPTIMIZATION: Periodic cleanup
-    setInterval(() => {
-      this.cleanupTempFiles();
-      this.cleanupOldRateLimits();
-    }, CONFIG.CLEANUP_INTERVAL);
-  }
+  async getUserCollections(walletAddress, limit = 20) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, name, symbol, seller_fee_basis_points, image_url, metadata_url, item_count, created_at
+        FROM collections
+        WHERE wallet_address = ?
+        ORDER BY created_at DESC, rowid DESC
+        LIMIT ?;
+      `;
 
-  cleanupTempFiles() {
-    try {
-      const files = fs.readdirSync(CONFIG.TEMP_DIR);
-      const now = Date.now();
-      
-      files.forEach(file => {
-        const filePath = path.join(CONFIG.TEMP_DIR, file);
-        const stats = fs.statSync(filePath);
-        
-        // Delete files older than 1 hour
-        if (now - stats.mtime.getTime() > 3600000) {
-          fs.unlinkSync(filePath);
-        }
+      this.db.all(sql, [walletAddress, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
       });
-    } catch (error) {
-      console.error('Cleanup error:', error.message);
-    }
+    });
   }
 
-  cleanupOldRateLimits() {
-    const cutoffTime = new Date(Date.now() - CONFIG.RATE_LIMIT_WINDOW * 10).toISOString();
-    this.db.db.run('DELETE FROM rate_limits WHERE request_time < ?;', [cutoffTime]);
+  // 📁 Folder manifests: the manifest row and its path mapping are written together
+  async recordManifest(walletAddress, manifest, files) {
+    await this.runTransaction([
+      [`
+        INSERT INTO manifests (id, wallet_address, index_path, file_count, total_size, session_id)
+        VALUES (?, ?, ?, ?, ?, ?);
+      `, [
+        manifest.id,
+        walletAddress,
+        manifest.indexPath,
+        files.length,
+        manifest.totalSize,
+        manifest.sessionId
+      ]],
+      ...files.map(file => [`
+        INSERT INTO manifest_files (manifest_id, path, transaction_id, file_size, content_type)
+        VALUES (?, ?, ?, ?, ?);
+      `, [
+        manifest.id,
+        file.path,
+        file.transactionId,
+        file.fileSize,
+        file.contentType
+      ]])
+    ]);
+
+    return { manifestId: manifest.id };
   }
 
-  // ⚡ ULTRA-OPTIMIZED: File validation
-  validateFile(filePath) {
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+  async getManifest(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM manifests WHERE id = ?;', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  async getManifestFiles(manifestId) {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM manifest_files WHERE manifest_id = ? ORDER BY rowid ASC;', [manifestId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // 🧵 Background jobs
+  async createJob(job) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO jobs (id, wallet_address, type, payload_json, progress_json)
+        VALUES (?, ?, ?, ?, ?);
+      `;
+
+      this.db.run(sql, [
+        job.id,
+        job.walletAddress,
+        job.type,
+        JSON.stringify(job.payload),
+        JSON.stringify(job.progress || {})
+      ], (err) => {
+        if (err) reject(err);
+        else resolve(job);
+      });
+    });
+  }
+
+  // Partial update: only the given fields change
+  async updateJob(id, { status, progress, result, error, attempts } = {}) {
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+
+    if (status !== undefined) {
+      fields.push('status = ?');
+      params.push(status);
+      if (status === 'completed' || status === 'failed') fields.push('completed_at = CURRENT_TIMESTAMP');
+    }
+    if (progress !== undefined) { fields.push('progress_json = ?'); params.push(JSON.stringify(progress)); }
+    if (result !== undefined) { fields.push('result_json = ?'); params.push(JSON.stringify(result)); }
+    if (error !== undefined) { fields.push('error = ?'); params.push(error); }
+    if (attempts !== undefined) { fields.push('attempts = ?'); params.push(attempts); }
+
+    return new Promise((resolve, reject) => {
+      this.db.run(`UPDATE jobs SET ${fields.join(', ')} WHERE id = ?;`, [...params, id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  async getJob(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM jobs WHERE id = ?;', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  // Jobs a previous process left behind (queued or interrupted mid-run)
+  async getUnfinishedJobs() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM jobs
+        WHERE status IN ('queued', 'running')
+        ORDER BY created_at ASC, rowid ASC;
+      `;
+
+      this.db.all(sql, [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // 🔔 Webhooks
+  async createWebhook(webhook) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO webhooks (id, wallet_address, url, secret, events_json)
+        VALUES (?, ?, ?, ?, ?);
+      `;
+
+      this.db.run(sql, [
+        webhook.id,
+        webhook.walletAddress,
+        webhook.url,
+        webhook.secret,
+        JSON.stringify(webhook.events)
+      ], (err) => {
+        if (err) reject(err);
+        else resolve(webhook);
+      });
+    });
+  }
+
+  async getWebhook(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM webhooks WHERE id = ? AND active = 1;', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  async getWebhooks(walletAddress) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM webhooks
+        WHERE wallet_address = ? AND active = 1
+        ORDER BY created_at ASC, rowid ASC;
+      `;
+
+      this.db.all(sql, [walletAddress], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // Soft delete keeps the delivery history readable
+  // Soft delete: deliveries still waiting for a retry are given up with it
+  async deactivateWebhook(id) {
+    await this.runTransaction([
+      ['UPDATE webhooks SET active = 0 WHERE id = ?;', [id]],
+      [`
+        UPDATE webhook_deliveries
+        SET status = 'failed', error = 'Webhook removed', next_attempt_at = NULL
+        WHERE webhook_id = ? AND status = 'pending';
+      `, [id]]
+    ]);
+  }
+
+  async createWebhookDelivery(delivery) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO webhook_deliveries (id, webhook_id, event, payload_json, next_attempt_at)
+        VALUES (?, ?, ?, ?, ?);
+      `;
+
+      this.db.run(sql, [
+        delivery.id,
+        delivery.webhookId,
+        delivery.event,
+        JSON.stringify(delivery.payload),
+        delivery.nextAttemptAt
+      ], (err) => {
+        if (err) reject(err);
+        else resolve(delivery);
+      });
+    });
+  }
+
+  async updateWebhookDelivery(id, { status, attempts, responseStatus, error, nextAttemptAt }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?,
+            delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+        WHERE id = ?;
+      `;
+
+      this.db.run(sql, [status, attempts, responseStatus ?? null, error ?? null, nextAttemptAt ?? null, status, id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Pending deliveries whose next attempt is due (also those left by a previous process)
+  async getDueWebhookDeliveries(now, limit = 50) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT d.*, w.url, w.secret
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+        ORDER BY d.next_attempt_at ASC
+        LIMIT ?;
+      `;
+
+      this.db.all(sql, [now, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async getWebhookDeliveries(webhookId, limit = 50) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, event, status, attempts, response_status, error, next_attempt_at, created_at, delivered_at
+        FROM webhook_deliveries
+        WHERE webhook_id = ?
+        ORDER BY created_at DESC, rowid DESC
+        LIMIT ?;
+      `;
+
+      this.db.all(sql, [webhookId, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // 💰 Record a node funding attempt
+  async recordFundingEvent(event) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO funding_events
+          (transaction_id, amount, fee, balance_before, status, source, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?);
+      `;
+
+      this.db.run(sql, [
+        event.transactionId || null,
+        event.amount,
+        event.fee || 0,
+        event.balanceBefore ?? null,
+        event.status,
+        event.source,
+        event.error || null
+      ], function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID });
+      });
+    });
+  }
+
+  // 💰 Lamports successfully funded since a point in time (daily cap)
+  async getFundedAmountSince(since) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT COALESCE(SUM(amount), 0) as total
+        FROM funding_events
+        WHERE status = 'success' AND created_at >= ?;
+      `;
+
+      this.db.get(sql, [toSqliteTimestamp(since)], (err, row) => {
+        if (err) reject(err);
+        else resolve(row.total);
+      });
+    });
+  }
+
+  async getRecentFundingEvents(limit = 10) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT transaction_id, amount, fee, balance_before, status, source, error, created_at
+        FROM funding_events
+        ORDER BY id DESC
+        LIMIT ?;
+      `;
+
+      this.db.all(sql, [limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // ⚡ Get most recent uploads for a wallet
+  async getRecentUploads(walletAddress, limit = 20) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT transaction_id, file_name, file_size, file_type, category, public_url,
+               upload_time_ms, session_id, created_at
+        FROM uploads
+        WHERE wallet_address = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?;
+      `;
+
+      this.db.all(sql, [walletAddress, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // ⚡ Get user tokens with metadata
+  async getUserTokens(walletAddress, limit = 20) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, token_name, token_symbol, logo_url, metadata_url, metadata_json, root_transaction_id, created_at
+        FROM token_assets
+        WHERE wallet_address = ?
+        ORDER BY created_at DESC
+        LIMIT ?;
+      `;
+      
+      this.db.all(sql, [walletAddress, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({
+          ...row,
+          metadata_json: JSON.parse(row.metadata_json)
+        })));
+      });
+    });
+  }
+}
+
+// ========================================
+// ULTRA-OPTIMIZED CONNECTION POOL
+// ========================================
+
+class UltraFastConnectionPool {
+  constructor(storageProvider = defaultStorageProvider, maxConnections = CONFIG.CONNECTION_POOL_SIZE) {
+    this.storageProvider = storageProvider;
+    this.pool = [];
+    this.active = [];
+    this.waiting = [];
+    this.maxConnections = maxConnections;
+    this.stats = { created: 0, reused: 0, errors: 0 };
+  }
+
+  async getConnection() {
+    // ⚡ OPTIMIZATION: Reuse existing connection
+    if (this.pool.length > 0) {
+      const connection = this.pool.pop();
+      this.active.push(connection);
+      this.stats.reused++;
+      return connection;
+    }
+
+    // ⚡ OPTIMIZATION: Create new if under limit
+    if (this.active.length < this.maxConnections) {
+      try {
+        const connection = await this.storageProvider.createClient();
+        this.active.push(connection);
+        this.stats.created++;
+        console.log(`⚡ Created connection ${this.stats.created}/${this.maxConnections}`);
+        return connection;
+      } catch (error) {
+        this.stats.errors++;
+        throw error;
+      }
+    }
+
+    // ⚡ OPTIMIZATION: Wait for available connection
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+    });
+  }
+
+  releaseConnection(connection) {
+    // Remove from active
+    const index = this.active.indexOf(connection);
+    if (index > -1) {
+      this.active.splice(index, 1);
+    }
+
+    // ⚡ OPTIMIZATION: Serve waiting requests first
+    if (this.waiting.length > 0) {
+      const resolve = this.waiting.shift();
+      this.active.push(connection);
+      resolve(connection);
+      return;
+    }
+
+    // Return to pool
+    this.pool.push(connection);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      poolSize: this.pool.length,
+      activeConnections: this.active.length,
+      waitingRequests: this.waiting.length
+    };
+  }
+}
+
+// ========================================
+// MAIN SERVICE CLASS
+// ========================================
+
+class IrysUploadService {
+  constructor(options = {}) {
+    this.identity = IDENTITIES[options.identity || 'wallet'];
+    if (!this.identity) {
+      throw new Error(`Unknown identity: ${options.identity} (expected ${Object.keys(IDENTITIES).join(' or ')})`);
+    }
+
+    this.storage = options.storageProvider || defaultStorageProvider;
+    this.db = options.store || new ProductionDatabase();
+    this.connectionPool = new UltraFastConnectionPool(this.storage);
+    // 📏 Quota held by uploads that are not recorded yet: wallet -> Set of reservations
+    this.quotaReservations = new Map();
+    this.quotaLocks = new Map();
+
+    if (!fs.existsSync(CONFIG.TEMP_DIR)) {
+      fs.mkdirSync(CONFIG.TEMP_DIR, { recursive: true });
+    }
+    this.setupCleanup();
+  }
+
+  setupCleanup() {
+    // ⚡ OPTIMIZATION: Periodic cleanup (never keeps an embedding process alive)
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupTempFiles();
+      this.cleanupOldRateLimits();
+    }, CONFIG.CLEANUP_INTERVAL);
+    this.cleanupTimer.unref();
+  }
+
+  cleanupTempFiles() {
+    try {
+      const files = fs.readdirSync(CONFIG.TEMP_DIR);
+      const now = Date.now();
+      
+      files.forEach(file => {
+        const filePath = path.join(CONFIG.TEMP_DIR, file);
+        const stats = fs.statSync(filePath);
+        
+        // Session directories (chunked uploads) manage their own expiry
+        if (stats.isDirectory()) return;
+
+        // Delete files older than 1 hour
+        if (now - stats.mtime.getTime() > 3600000) {
+          fs.unlinkSync(filePath);
+        }
+      });
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+  }
+
+  cleanupOldRateLimits() {
+    if (typeof this.db.deleteRateLimitsBefore !== 'function') return;
+
+    this.db.deleteRateLimitsBefore(new Date(Date.now() - CONFIG.RATE_LIMIT_WINDOW * 10)).catch(error => {
+      console.error('Rate limit cleanup error:', error.message);
+    });
+  }
+
+  // ⚡ ULTRA-OPTIMIZED: File validation
+  validateFile(filePath, maxSize = null) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
 
     const stats = fs.statSync(filePath);
     const ext = path.extname(filePath).toLowerCase();
@@ -510,9 +1456,10 @@ class IrysUploadService {
       throw new Error(`Unsupported file type: ${ext}`);
     }
 
-    if (stats.size > fileType.maxSize) {
+    const sizeLimit = maxSize || fileType.maxSize;
+    if (stats.size > sizeLimit) {
       const fileMB = (stats.size / 1024 / 1024).toFixed(2);
-      const maxMB = (fileType.maxSize / 1024 / 1024).toFixed(2);
+      const maxMB = (sizeLimit / 1024 / 1024).toFixed(2);
       throw new Error(`File too large: ${fileMB}MB (max: ${maxMB}MB)`);
     }
 
@@ -520,52 +1467,139 @@ class IrysUploadService {
       throw new Error('Empty file not allowed');
     }
 
+    // ⚡ Content sniffing: the bytes must match the extension's type
+    const detected = verifyFileContent(readSniffBuffer(filePath, ext), ext, SUPPORTED_TYPES);
+
     return {
       size: stats.size,
-      type: fileType,
+      type: { ...fileType, mime: detected.mime, category: detected.category },
       fileName: path.basename(filePath)
     };
   }
 
   // ⚡ CORE UPLOAD FUNCTION - ULTRA OPTIMIZED
-  async uploadFile(filePath, walletAddress, customTags = [], sessionId = null) {
+  // options: { maxSize, timeout } - overrides for large (chunked) uploads
+  // options: maxSize, timeout, dedupe, enforceQuota, progress (reporter from progress-events.js), asset (label in events)
+  // options.quota: reservation from reserveQuota() that the caller releases once the upload is recorded
+  async uploadFile(filePath, walletAddress, customTags = [], sessionId = null, options = {}) {
     const startTime = performance.now();
+    const progress = options.progress || noopProgress;
+    const asset = options.asset || 'file';
     let connection = null;
+    let ownQuota = null;
 
     try {
       // ⚡ Fast validation
-      const fileInfo = this.validateFile(filePath);
+      const fileInfo = this.validateFile(filePath, options.maxSize);
+      progress('validated', { asset, fileName: fileInfo.fileName, contentType: fileInfo.type.mime, bytes: fileInfo.size });
       
+      // ⚡ Read file (optimized) - stream large files instead of buffering
+      const isSvg = fileInfo.type.mime === 'image/svg+xml';
+      let fileData = fileInfo.size > CONFIG.STREAM_THRESHOLD && !isSvg
+        ? fs.createReadStream(filePath)
+        : fs.readFileSync(filePath);
+
+      // 🛡️ SVGs are served from the gateway forever - strip active content first
+      let sanitization = null;
+      if (isSvg) {
+        const sanitized = applySvgPolicy(fileData, CONFIG.SVG_SANITIZE_MODE);
+        fileData = sanitized.data;
+        fileInfo.size = fileData.length;
+        sanitization = sanitized.report;
+      }
+
+      // 🔁 Content-addressed dedup: identical bytes already on Irys are reused
+      const contentHash = Buffer.isBuffer(fileData)
+        ? crypto.createHash('sha256').update(fileData).digest('hex')
+        : await hashFile(filePath);
+
+      if (CONFIG.DEDUP_MODE !== 'off' && options.dedupe !== false) {
+        const existing = await this.db.findUploadByHash(
+          contentHash,
+          CONFIG.DEDUP_MODE === 'wallet' ? walletAddress : null
+        );
+
+        if (existing) {
+          const uploadTime = Math.round(performance.now() - startTime);
+          console.log(`🔁 ${walletAddress.slice(0,8)}... reused ${existing.transaction_id} for ${fileInfo.fileName} (${uploadTime}ms)`);
+          progress('uploaded', {
+            asset,
+            fileName: fileInfo.fileName,
+            bytes: fileInfo.size,
+            transactionId: existing.transaction_id,
+            publicURL: existing.public_url,
+            uploadTimeMs: uploadTime,
+            throughputKBps: 0,
+            deduplicated: true
+          });
+
+          return {
+            success: true,
+            transactionId: existing.transaction_id,
+            publicURL: existing.public_url,
+            fileName: fileInfo.fileName,
+            fileSize: fileInfo.size,
+            contentType: fileInfo.type.mime,
+            category: fileInfo.type.category,
+            uploadTime: uploadTime,
+            throughput: '0 KB/s',
+            tags: null,
+            sanitization: sanitization,
+            contentHash: contentHash,
+            deduplicated: true,
+            sessionId: sessionId || crypto.randomUUID()
+          };
+        }
+      }
+
+      // 📏 Plan limits (daily/monthly bytes, max file size)
+      if (options.enforceQuota !== false) {
+        if (options.quota) {
+          await options.quota.reserve({ bytes: fileInfo.size });
+        } else {
+          ownQuota = await this.reserveQuota(walletAddress, { bytes: fileInfo.size });
+        }
+      }
+
       // ⚡ Get pooled connection
       connection = await this.connectionPool.getConnection();
       
-      // ⚡ Read file (optimized)
-      const fileData = fs.readFileSync(filePath);
-      
       // ⚡ Minimal essential tags
       const tags = [
         { name: "Content-Type", value: fileInfo.type.mime },
         { name: "File-Name", value: fileInfo.fileName },
         { name: "File-Size", value: fileInfo.size.toString() },
         { name: "Category", value: fileInfo.type.category },
-        { name: "Wallet-Address", value: walletAddress },
+        { name: this.identity.tagName, value: walletAddress },
         { name: "Upload-Time", value: Date.now().toString() },
+        { name: "Content-SHA256", value: contentHash },
         ...customTags
       ];
 
       // ⚡ Upload with optimized timeout
+      progress('uploading', { asset, fileName: fileInfo.fileName, bytes: fileInfo.size });
       const uploadPromise = connection.upload(fileData, { tags });
       const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Upload timeout')), CONFIG.UPLOAD_TIMEOUT)
+        setTimeout(() => reject(new Error('Upload timeout')), options.timeout || CONFIG.UPLOAD_TIMEOUT).unref()
       );
 
       const receipt = await Promise.race([uploadPromise, timeoutPromise]);
-      const publicURL = `https://gateway.irys.xyz/${receipt.id}`;
+      const publicURL = this.storage.getPublicUrl(receipt.id);
       
       const uploadTime = Math.round(performance.now() - startTime);
       const throughput = ((fileInfo.size / 1024) / (uploadTime / 1000)).toFixed(1);
 
       console.log(`⚡ ${walletAddress.slice(0,8)}... uploaded ${fileInfo.fileName} in ${uploadTime}ms (${throughput} KB/s)`);
+      progress('uploaded', {
+        asset,
+        fileName: fileInfo.fileName,
+        bytes: fileInfo.size,
+        transactionId: receipt.id,
+        publicURL: publicURL,
+        uploadTimeMs: uploadTime,
+        throughputKBps: throughputKBps(fileInfo.size, uploadTime),
+        deduplicated: false
+      });
 
       return {
         success: true,
@@ -577,6 +1611,10 @@ class IrysUploadService {
         category: fileInfo.type.category,
         uploadTime: uploadTime,
         throughput: throughput + ' KB/s',
+        tags: tags,
+        sanitization: sanitization,
+        contentHash: contentHash,
+        deduplicated: false,
         sessionId: sessionId || crypto.randomUUID()
       };
 
@@ -588,19 +1626,59 @@ class IrysUploadService {
       if (connection) {
         this.connectionPool.releaseConnection(connection);
       }
+      ownQuota?.release();
+    }
+  }
+
+  // ⚡ Upload one file for an owner and keep it in their history (POST /upload)
+  // options: ipAddress (rate limiting), tags, sessionId, progress
+  async uploadAndRecord(filePath, walletAddress, options = {}) {
+    const progress = options.progress || noopProgress;
+
+    const rateCheck = await this.db.checkRateLimit(walletAddress, options.ipAddress || 'unknown');
+    if (!rateCheck.allowed) {
+      throw new Error(`Rate limit exceeded. Try again in ${Math.ceil((rateCheck.resetTime - Date.now()) / 1000)}s`);
+    }
+
+    await this.db.createOrUpdateUser(walletAddress);
+    // Held until recorded: concurrent uploads of this wallet count it as used
+    const quota = await this.reserveQuota(walletAddress);
+    try {
+      const result = await this.uploadFile(filePath, walletAddress, options.tags || [], options.sessionId || null, { progress, quota });
+
+      await this.db.recordUpload(walletAddress, result, null, result.tags);
+      progress('recorded', { transactionId: result.transactionId, publicURL: result.publicURL });
+
+      return {
+        ...result,
+        rateLimitRemaining: rateCheck.remaining
+      };
+    } finally {
+      quota.release();
     }
   }
 
   // ⚡ PARALLEL TOKEN CREATION - ULTRA OPTIMIZED
-  async createTokenAssets(tokenData, walletAddress, ipAddress = 'unknown') {
-    const sessionId = `token_${walletAddress.slice(0,8)}_${Date.now()}`;
+  // options.onProgress(stage, data) reports each finished step ('logo_uploaded', 'variants_uploaded',
+  // 'metadata_uploaded'); options.logoResult skips a logo upload that already happened (resumed jobs);
+  // options.progress streams lifecycle events to GET /events
+  async createTokenAssets(tokenData, walletAddress, ipAddress = 'unknown', options = {}) {
+    const reportProgress = options.onProgress || (() => {});
+    const progress = options.progress || noopProgress;
+    // Random suffix: batch items start in the same millisecond and share temp paths otherwise
+    const sessionId = `token_${walletAddress.slice(0,8)}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
     const totalStartTime = performance.now();
 
     console.log(`🪙 [${walletAddress.slice(0,8)}...] Creating token: ${tokenData.symbol}`);
 
     let metadataPath = null;
+    let quota = null;
 
     try {
+      // ⚡ Metaplex metadata rules + optional logo processing options - validate up front
+      tokenData = { ...tokenData, ...assertValidTokenMetadata(tokenData) };
+      const imageOptions = parseImageOptions(tokenData.imageProcessing || {});
+
       // ⚡ Rate limiting check
       const rateCheck = await this.db.checkRateLimit(walletAddress, ipAddress);
       if (!rateCheck.allowed) {
@@ -615,57 +1693,76 @@ class IrysUploadService {
         Promise.resolve(this.validateFile(tokenData.logoPath))
       ]);
 
-      // ⚡ Upload logo
-      console.log(`📸 [${walletAddress.slice(0,8)}...] Uploading ${logoInfo.type.category} logo...`);
-      const logoResult = await this.uploadFile(tokenData.logoPath, walletAddress, [
-        { name: "Asset-Type", value: "token-logo" },
-        { name: "Token-Symbol", value: tokenData.symbol },
-        { name: "Token-Name", value: tokenData.name }
-      ], sessionId);
+      // 📏 Token count + logo size against the wallet's plan, held until the token is recorded
+      quota = await this.reserveQuota(walletAddress, { bytes: logoInfo.size, tokens: 1 });
+
+      // ⚡ Upload logo (unless a resumed job already did)
+      let logoResult = options.logoResult;
+      if (logoResult) {
+        console.log(`♻️ [${walletAddress.slice(0,8)}...] Reusing uploaded logo ${logoResult.transactionId}`);
+      } else {
+        console.log(`📸 [${walletAddress.slice(0,8)}...] Uploading ${logoInfo.type.category} logo...`);
+        logoResult = await this.uploadFile(tokenData.logoPath, walletAddress, [
+          { name: "Asset-Type", value: "token-logo" },
+          { name: "Token-Symbol", value: tokenData.symbol },
+          { name: "Token-Name", value: tokenData.name }
+        ], sessionId, { progress, asset: 'logo', enforceQuota: false });
+      }
+      await reportProgress('logo_uploaded', { logoResult });
+
+      // 🖼️ Generate + upload logo variants (512/256/64 PNG + WebP)
+      let logoVariants = { variants: [] };
+      if (imageOptions.enabled) {
+        console.log(`🖼️ [${walletAddress.slice(0,8)}...] Generating logo variants...`);
+        logoVariants = await processAndUploadLogo(
+          tokenData.logoPath,
+          logoInfo.type.mime,
+          imageOptions,
+          { outputDir: CONFIG.TEMP_DIR, baseName: `logo_${sessionId}` },
+          (variantPath, variant) => this.uploadFile(variantPath, walletAddress, [
+            { name: "Asset-Type", value: "token-logo-variant" },
+            { name: "Token-Symbol", value: tokenData.symbol },
+            { name: "Token-Name", value: tokenData.name },
+            { name: "Variant", value: `${variant.label}-${variant.format}` },
+            { name: "Source-Transaction", value: logoResult.transactionId }
+          ], sessionId, { progress, asset: 'logo-variant', quota })
+        );
+      }
+      const primaryVariant = pickPrimaryVariant(logoVariants.variants);
+      if (imageOptions.enabled) {
+        await reportProgress('variants_uploaded', { count: logoVariants.variants.length });
+      }
 
       // ⚡ Create metadata with complete information
-      const metadata = {
-        name: tokenData.name,
-        symbol: tokenData.symbol,
-        description: tokenData.description,
-        image: logoResult.publicURL,
-        external_url: tokenData.website || "",
-        attributes: tokenData.attributes || [],
-        properties: {
-          files: [{
-            uri: logoResult.publicURL,
-            type: logoInfo.type.mime // ✅ Dynamic type detection
-          }],
-          category: logoInfo.type.category,
-          creators: tokenData.creators || []
-        },
-        // ⚡ Enhanced metadata
-        upload_details: {
-          wallet_address: walletAddress,
-          session_id: sessionId,
-          logo_transaction_id: logoResult.transactionId,
-          created_at: new Date().toISOString(),
-          file_size: logoInfo.size,
-          content_type: logoInfo.type.mime
-        }
-      };
+      const metadata = buildTokenMetadata(tokenData, {
+        logoResult,
+        logoType: logoInfo.type,
+        variants: logoVariants.variants,
+        primaryVariant,
+        walletAddress,
+        sessionId
+      });
 
       // ⚡ Create unique metadata file
       metadataPath = path.join(CONFIG.TEMP_DIR, `metadata_${sessionId}.json`);
       fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
 
-      // ⚡ Upload metadata
+      // ⚡ Upload metadata - never deduplicated: it becomes the root of this token's mutable chain
       console.log(`📄 [${walletAddress.slice(0,8)}...] Uploading metadata...`);
       const metadataResult = await this.uploadFile(metadataPath, walletAddress, [
         { name: "Asset-Type", value: "token-metadata" },
         { name: "Token-Symbol", value: tokenData.symbol },
         { name: "Token-Name", value: tokenData.name },
         { name: "Logo-Type", value: logoInfo.type.mime }
-      ], sessionId);
+      ], sessionId, { progress, asset: 'metadata', dedupe: false, quota });
+      await reportProgress('metadata_uploaded', { metadataResult });
+      progress('metadata_uploaded', { transactionId: metadataResult.transactionId, publicURL: metadataResult.publicURL });
 
-      // ⚡ PARALLEL DATABASE RECORDING
-      await Promise.all([
+      // ⚡ PARALLEL DATABASE RECORDING (token asset last: its ID is returned)
+      const recorded = await Promise.all([
         this.db.recordUpload(walletAddress, logoResult, null, logoResult.tags),
+        ...logoVariants.variants.map(variant =>
+          this.db.recordUpload(walletAddress, variant.result, null, variant.result.tags)),
         this.db.recordUpload(walletAddress, metadataResult, metadata, metadataResult.tags),
         this.db.recordTokenAsset(walletAddress, {
           name: tokenData.name,
@@ -673,19 +1770,33 @@ class IrysUploadService {
           metadata: metadata
         }, logoResult, metadataResult, sessionId)
       ]);
+      const { tokenId } = recorded[recorded.length - 1];
 
       const totalTime = Math.round(performance.now() - totalStartTime);
       
       console.log(`🎉 [${walletAddress.slice(0,8)}...] Token assets ready in ${totalTime}ms!`);
+      progress('recorded', { logoURL: logoResult.publicURL, metadataURL: metadataResult.publicURL, totalTimeMs: totalTime });
 
       return {
         success: true,
+        tokenId,
         logoURL: logoResult.publicURL,
         metadataURL: metadataResult.publicURL,
+        mutableURL: this.storage.getMutableUrl(metadataResult.transactionId),
         logoTxId: logoResult.transactionId,
         metadataTxId: metadataResult.transactionId,
         logoType: logoInfo.type.mime,
         category: logoInfo.type.category,
+        logoSanitization: logoResult.sanitization,
+        logoDeduplicated: logoResult.deduplicated,
+        logoVariants: logoVariants.variants.map(variant => ({
+          label: variant.label,
+          format: variant.format,
+          type: variant.mime,
+          url: variant.result.publicURL,
+          transactionId: variant.result.transactionId
+        })),
+        ...(logoVariants.skipped ? { logoProcessingSkipped: logoVariants.skipped } : {}),
         metadata: metadata,
         walletAddress: walletAddress,
         sessionId: sessionId,
@@ -698,15 +1809,664 @@ class IrysUploadService {
 
     } catch (error) {
       console.error(`❌ [${walletAddress.slice(0,8)}...] Token creation failed:`, error.message);
+      progress('failed', { error: error.message });
       throw error;
     } finally {
       // ⚡ Cleanup
+      quota?.release();
+      if (metadataPath && fs.existsSync(metadataPath)) {
+        fs.unlinkSync(metadataPath);
+      }
+    }
+  }
+
+  // 🪙 Create many tokens with bounded concurrency - one failure never aborts the rest
+  async createTokenAssetsBatch(tokensData, walletAddress, ipAddress = 'unknown', options = {}) {
+    if (!Array.isArray(tokensData) || tokensData.length === 0) {
+      throw new Error('Invalid batch: expected a non-empty array of tokens');
+    }
+    if (tokensData.length > CONFIG.MAX_BATCH_SIZE) {
+      throw new Error(`Invalid batch: ${tokensData.length} tokens (max ${CONFIG.MAX_BATCH_SIZE})`);
+    }
+
+    const concurrency = Math.max(1, Math.min(options.concurrency || CONFIG.BATCH_CONCURRENCY, tokensData.length));
+    const startTime = performance.now();
+    const results = new Array(tokensData.length);
+    let next = 0;
+
+    console.log(`📦 [${walletAddress.slice(0,8)}...] Creating ${tokensData.length} tokens (${concurrency} at a time)`);
+
+    // Workers pull the next index until the list is exhausted
+    const worker = async () => {
+      while (next < tokensData.length) {
+        const index = next++;
+        const tokenData = tokensData[index];
+
+        try {
+          const progress = options.progress && ((stage, data) => options.progress(stage, { batchIndex: index, ...data }));
+          const result = await this.createTokenAssets(tokenData, walletAddress, ipAddress, { progress });
+          results[index] = { index, symbol: tokenData.symbol, ...result };
+        } catch (error) {
+          results[index] = { index, symbol: tokenData.symbol, success: false, error: error.message };
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const succeeded = results.filter(result => result.success).length;
+    const totalTime = Math.round(performance.now() - startTime);
+
+    console.log(`📦 [${walletAddress.slice(0,8)}...] Batch done: ${succeeded}/${tokensData.length} tokens in ${totalTime}ms`);
+
+    return {
+      success: succeeded === tokensData.length,
+      total: tokensData.length,
+      succeeded,
+      failed: tokensData.length - succeeded,
+      results,
+      performance: {
+        totalTime,
+        concurrency
+      }
+    };
+  }
+
+  // 🧩 Stores without an optional feature (see user-stores.js) fail before anything is uploaded
+  assertStoreSupports(method, feature) {
+    if (typeof this.db[method] !== 'function') {
+      throw new Error(`${feature} are not supported by the ${this.db.name} store`);
+    }
+  }
+
+  // 🔁 Token owned by the wallet; other wallets' tokens are indistinguishable from missing ones
+  async getOwnedTokenAsset(tokenId, walletAddress) {
+    this.assertStoreSupports('recordTokenRevision', 'Token revisions');
+    const token = /^\d+$/.test(String(tokenId)) ? await this.db.getTokenAsset(Number(tokenId)) : null;
+
+    if (!token || token.wallet_address !== walletAddress) {
+      throw new Error('Token not found');
+    }
+    return token;
+  }
+
+  // 🔁 New metadata version for an existing token. Irys data is immutable, so the merged
+  // metadata is uploaded as a new JSON tagged with the previous version's transaction ID
+  // and Root-TX (the first version), which moves the token's mutableURL to it. The returned
+  // metadataURL pins this exact version instead.
+  // changes: any of { name, symbol, description, website, attributes, creators }
+  // options.logoPath replaces the logo (variants are not regenerated); options.progress streams events
+  async createTokenRevision(tokenId, changes, walletAddress, ipAddress = 'unknown', options = {}) {
+    const progress = options.progress || noopProgress;
+    const sessionId = `revision_${walletAddress.slice(0,8)}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const totalStartTime = performance.now();
+    let metadataPath = null;
+    let quota = null;
+
+    try {
+      const token = await this.getOwnedTokenAsset(tokenId, walletAddress);
+      const current = JSON.parse(token.metadata_json);
+      const currentData = {
+        name: current.name,
+        symbol: current.symbol,
+        description: current.description,
+        website: current.external_url || '',
+        attributes: current.attributes || [],
+        creators: current.properties?.creators || []
+      };
+
+      // Unchanged fields keep their current value; the result must still be valid metadata
+      const requested = Object.fromEntries(Object.keys(currentData)
+        .filter(field => changes[field] !== undefined)
+        .map(field => [field, changes[field]]));
+      const tokenData = assertValidTokenMetadata({ ...currentData, ...requested });
+
+      const changed = Object.keys(currentData)
+        .filter(field => JSON.stringify(tokenData[field]) !== JSON.stringify(currentData[field]));
+      if (options.logoPath) changed.push('logo');
+      if (changed.length === 0) {
+        throw new Error('Invalid revision: no changes to the current metadata');
+      }
+
+      const rateCheck = await this.db.checkRateLimit(walletAddress, ipAddress);
+      if (!rateCheck.allowed) {
+        throw new Error(`Rate limit exceeded. Try again in ${Math.ceil((rateCheck.resetTime - Date.now()) / 1000)}s`);
+      }
+
+      const history = await this.db.getTokenRevisions(token.id);
+      const version = history.length > 0 ? history[history.length - 1].version + 1 : 2;
+
+      console.log(`🔁 [${walletAddress.slice(0,8)}...] Revising token ${token.token_symbol} -> v${version} (${changed.join(', ')})`);
+
+      let logoResult = { transactionId: token.logo_transaction_id, publicURL: token.logo_url };
+      let logoInfo = null;
+      quota = await this.reserveQuota(walletAddress);
+      if (options.logoPath) {
+        logoInfo = this.validateFile(options.logoPath);
+        await quota.reserve({ bytes: logoInfo.size });
+
+        logoResult = await this.uploadFile(options.logoPath, walletAddress, [
+          { name: "Asset-Type", value: "token-logo" },
+          { name: "Token-Symbol", value: tokenData.symbol },
+          { name: "Token-Name", value: tokenData.name },
+          { name: "Token-Version", value: String(version) }
+        ], sessionId, { progress, asset: 'logo', enforceQuota: false });
+      }
+
+      const metadata = {
+        ...current,
+        name: tokenData.name,
+        symbol: tokenData.symbol,
+        description: tokenData.description,
+        external_url: tokenData.website,
+        attributes: tokenData.attributes,
+        ...(logoInfo ? { image: logoResult.publicURL } : {}),
+        properties: {
+          ...current.properties,
+          ...(logoInfo ? {
+            files: [{ uri: logoResult.publicURL, type: logoInfo.type.mime }],
+            category: logoInfo.type.category
+          } : {}),
+          creators: tokenData.creators
+        },
+        ...(current.upload_details ? {
+          upload_details: {
+            ...current.upload_details,
+            ...(logoInfo ? {
+              logo_transaction_id: logoResult.transactionId,
+              file_size: logoResult.fileSize,
+              content_type: logoInfo.type.mime
+            } : {}),
+            session_id: sessionId,
+            updated_at: new Date().toISOString()
+          }
+        } : {})
+      };
+
+      metadataPath = path.join(CONFIG.TEMP_DIR, `metadata_${sessionId}.json`);
+      fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+
+      // Never deduplicated: a revert to older content still needs its own link in the chain
+      const metadataResult = await this.uploadFile(metadataPath, walletAddress, [
+        { name: "Asset-Type", value: "token-metadata" },
+        { name: "Token-Symbol", value: tokenData.symbol },
+        { name: "Token-Name", value: tokenData.name },
+        { name: "Token-Version", value: String(version) },
+        { name: "Previous-Version", value: token.metadata_transaction_id },
+        { name: ROOT_TX_TAG, value: token.root_transaction_id }
+      ], sessionId, { progress, asset: 'metadata', dedupe: false, quota });
+      progress('metadata_uploaded', { transactionId: metadataResult.transactionId, publicURL: metadataResult.publicURL });
+
+      await Promise.all([
+        ...(logoInfo ? [this.db.recordUpload(walletAddress, logoResult, null, logoResult.tags)] : []),
+        this.db.recordUpload(walletAddress, metadataResult, metadata, metadataResult.tags)
+      ]);
+      try {
+        await this.db.recordTokenRevision(token.id, {
+          version,
+          metadataResult,
+          previousTransactionId: token.metadata_transaction_id,
+          logoResult,
+          changes: changed,
+          metadata
+        });
+      } catch (error) {
+        if (error.message.includes('UNIQUE')) {
+          throw new Error(`Revision conflict: version ${version} was created concurrently, retry`);
+        }
+        throw error;
+      }
+
+      const totalTime = Math.round(performance.now() - totalStartTime);
+      console.log(`🔁 [${walletAddress.slice(0,8)}...] Token ${tokenData.symbol} v${version} ready in ${totalTime}ms`);
+      progress('recorded', { metadataURL: metadataResult.publicURL, version, totalTimeMs: totalTime });
+
+      return {
+        success: true,
+        tokenId: token.id,
+        version,
+        metadataURL: metadataResult.publicURL,
+        mutableURL: this.storage.getMutableUrl(token.root_transaction_id),
+        metadataTxId: metadataResult.transactionId,
+        previousMetadataTxId: token.metadata_transaction_id,
+        logoURL: logoResult.publicURL,
+        logoTxId: logoResult.transactionId,
+        changes: changed,
+        metadata,
+        sessionId,
+        performance: {
+          totalTime,
+          metadataUploadTime: metadataResult.uploadTime
+        }
+      };
+    } catch (error) {
+      console.error(`❌ [${walletAddress.slice(0,8)}...] Token revision failed:`, error.message);
+      progress('failed', { error: error.message });
+      throw error;
+    } finally {
+      quota?.release();
       if (metadataPath && fs.existsSync(metadataPath)) {
         fs.unlinkSync(metadataPath);
       }
     }
   }
 
+  // 🔁 Every metadata version of a token, oldest first (owner only)
+  async getTokenHistory(tokenId, walletAddress) {
+    const token = await this.getOwnedTokenAsset(tokenId, walletAddress);
+    const revisions = await this.db.getTokenRevisions(token.id);
+
+    // Never revised: the token row itself is version 1
+    const versions = revisions.length > 0 ? revisions : [{
+      version: 1,
+      metadata_transaction_id: token.metadata_transaction_id,
+      metadata_url: token.metadata_url,
+      previous_transaction_id: null,
+      logo_transaction_id: token.logo_transaction_id,
+      logo_url: token.logo_url,
+      changes_json: null,
+      metadata_json: token.metadata_json,
+      created_at: token.created_at
+    }];
+
+    return {
+      tokenId: token.id,
+      name: token.token_name,
+      symbol: token.token_symbol,
+      currentVersion: versions[versions.length - 1].version,
+      metadataURL: token.metadata_url,
+      rootTxId: token.root_transaction_id,
+      mutableURL: this.storage.getMutableUrl(token.root_transaction_id),
+      revisions: versions.map(revision => ({
+        version: revision.version,
+        metadataURL: revision.metadata_url,
+        metadataTxId: revision.metadata_transaction_id,
+        previousMetadataTxId: revision.previous_transaction_id,
+        logoURL: revision.logo_url,
+        logoTxId: revision.logo_transaction_id,
+        changes: revision.changes_json ? JSON.parse(revision.changes_json) : [],
+        createdAt: revision.created_at,
+        metadata: JSON.parse(revision.metadata_json)
+      }))
+    };
+  }
+
+  // 🔁 Current metadata version of a token - what its mutableURL resolves to (owner only)
+  async getLatestTokenMetadata(tokenId, walletAddress) {
+    const token = await this.getOwnedTokenAsset(tokenId, walletAddress);
+    const revisions = await this.db.getTokenRevisions(token.id);
+
+    return {
+      tokenId: token.id,
+      name: token.token_name,
+      symbol: token.token_symbol,
+      version: revisions.length > 0 ? revisions[revisions.length - 1].version : 1,
+      rootTxId: token.root_transaction_id,
+      mutableURL: this.storage.getMutableUrl(token.root_transaction_id),
+      metadataURL: token.metadata_url,
+      metadataTxId: token.metadata_transaction_id,
+      logoURL: token.logo_url,
+      updatedAt: revisions.length > 0 ? revisions[revisions.length - 1].created_at : token.created_at,
+      metadata: JSON.parse(token.metadata_json)
+    };
+  }
+
+  // 🖼️ NFT collection: collection image + N item images, all metadata JSON, stored with item order.
+  // collectionData: { name, symbol, description, website, creators, family, sellerFeeBasisPoints, imagePath,
+  //                   items: [{ name, description, attributes, imagePath }] }
+  async createCollectionAssets(collectionData, walletAddress, ipAddress = 'unknown', options = {}) {
+    const progress = options.progress || noopProgress;
+    const collectionId = crypto.randomUUID();
+    const sessionId = `collection_${walletAddress.slice(0,8)}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const totalStartTime = performance.now();
+    const metadataPaths = [];
+    // Everything stored so far - paid for even if the collection is never created
+    const uploaded = [];
+    let recorded = false;
+    let quota = null;
+
+    const writeMetadata = (name, metadata) => {
+      const metadataPath = path.join(CONFIG.TEMP_DIR, `${name}_${sessionId}.json`);
+      fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+      metadataPaths.push(metadataPath);
+      return metadataPath;
+    };
+
+    const upload = async (filePath, tags, uploadOptions, metadata = null) => {
+      const result = await this.uploadFile(filePath, walletAddress, tags, sessionId, { progress, quota, ...uploadOptions });
+      uploaded.push({ asset: uploadOptions.asset, result, metadata });
+      return result;
+    };
+    const recordUploads = () => Promise.allSettled(uploaded.map(({ result, metadata }) =>
+      this.db.recordUpload(walletAddress, result, metadata, result.tags)));
+
+    console.log(`🖼️ [${walletAddress.slice(0,8)}...] Creating collection: ${collectionData.symbol}`);
+
+    try {
+      this.assertStoreSupports('recordCollection', 'Collections');
+
+      // ⚡ Metaplex rules for the collection and every item - before anything is uploaded
+      const collection = { ...collectionData, ...assertValidCollectionMetadata(collectionData) };
+      const items = collection.items;
+      if (items.length > CONFIG.MAX_COLLECTION_SIZE) {
+        throw new Error(`Invalid collection: ${items.length} items (max ${CONFIG.MAX_COLLECTION_SIZE})`);
+      }
+
+      const rateCheck = await this.db.checkRateLimit(walletAddress, ipAddress);
+      if (!rateCheck.allowed) {
+        throw new Error(`Rate limit exceeded. Try again in ${Math.ceil((rateCheck.resetTime - Date.now()) / 1000)}s`);
+      }
+      await this.db.createOrUpdateUser(walletAddress);
+
+      // ⚡ Every image must be valid and the whole drop must fit the plan (held until recorded;
+      // images are covered by it, metadata JSON is added as it is uploaded)
+      const imageInfo = this.validateFile(collection.imagePath);
+      const itemInfos = items.map(item => this.validateFile(item.imagePath));
+      const sizes = [imageInfo, ...itemInfos].map(info => info.size);
+      quota = await this.reserveQuota(walletAddress, {
+        bytes: sizes.reduce((sum, size) => sum + size, 0),
+        fileBytes: Math.max(...sizes)
+      });
+
+      const collectionTags = [
+        { name: "Collection-Name", value: collection.name },
+        { name: "Collection-Symbol", value: collection.symbol },
+        { name: "Collection-ID", value: collectionId }
+      ];
+
+      // ⚡ Collection image + metadata first - items refer to the collection
+      const imageResult = await upload(collection.imagePath, [
+        { name: "Asset-Type", value: "collection-image" },
+        ...collectionTags
+      ], { asset: 'collection-image', enforceQuota: false });
+
+      const collectionMetadata = buildCollectionMetadata(collection, { imageResult, imageType: imageInfo.type });
+      const collectionMetadataResult = await upload(writeMetadata('collection', collectionMetadata), [
+        { name: "Asset-Type", value: "collection-metadata" },
+        ...collectionTags
+      ], { asset: 'collection-metadata' }, collectionMetadata);
+
+      // ⚡ Items with bounded concurrency; the first failure stops scheduling new ones
+      const concurrency = Math.max(1, Math.min(options.concurrency || CONFIG.BATCH_CONCURRENCY, items.length));
+      const itemResults = new Array(items.length);
+      let next = 0;
+      let failure = null;
+
+      const worker = async () => {
+        while (next < items.length && !failure) {
+          const position = next++;
+          const item = items[position];
+          const itemProgress = (stage, data) => progress(stage, { itemIndex: position, ...data });
+          const itemTags = [
+            ...collectionTags,
+            { name: "Item-Index", value: position.toString() },
+            { name: "Item-Name", value: item.name }
+          ];
+
+          try {
+            const itemImageResult = await upload(item.imagePath, [
+              { name: "Asset-Type", value: "nft-image" },
+              ...itemTags
+            ], { progress: itemProgress, asset: 'item-image', enforceQuota: false });
+
+            const metadata = buildCollectionItemMetadata(collection, item, {
+              imageResult: itemImageResult,
+              imageType: itemInfos[position].type
+            });
+            const metadataResult = await upload(writeMetadata(`item_${position}`, metadata), [
+              { name: "Asset-Type", value: "nft-metadata" },
+              ...itemTags
+            ], { progress: itemProgress, asset: 'item-metadata' }, metadata);
+
+            itemResults[position] = { position, name: item.name, imageResult: itemImageResult, metadataResult, metadata };
+          } catch (error) {
+            failure = failure || new Error(`Item ${position} (${item.name}) failed: ${error.message}`);
+          }
+        }
+      };
+
+      await Promise.all(Array.from({ length: concurrency }, worker));
+      if (failure) throw failure;
+      progress('metadata_uploaded', { transactionId: collectionMetadataResult.transactionId, items: items.length });
+
+      // ⚡ Upload history + the collection with its item order
+      recorded = true;
+      const failedRecord = (await recordUploads()).find(outcome => outcome.status === 'rejected');
+      if (failedRecord) throw failedRecord.reason;
+      await this.db.recordCollection(walletAddress, {
+        id: collectionId,
+        name: collection.name,
+        symbol: collection.symbol,
+        sellerFeeBasisPoints: collection.sellerFeeBasisPoints,
+        imageResult,
+        metadataResult: collectionMetadataResult,
+        metadata: collectionMetadata,
+        sessionId
+      }, itemResults);
+
+      const totalTime = Math.round(performance.now() - totalStartTime);
+      console.log(`🎉 [${walletAddress.slice(0,8)}...] Collection ${collection.symbol} (${items.length} items) ready in ${totalTime}ms!`);
+      progress('recorded', { collectionId, metadataURL: collectionMetadataResult.publicURL, totalTimeMs: totalTime });
+
+      return {
+        success: true,
+        collectionId,
+        collection: {
+          name: collection.name,
+          symbol: collection.symbol,
+          sellerFeeBasisPoints: collection.sellerFeeBasisPoints,
+          imageURL: imageResult.publicURL,
+          metadataURL: collectionMetadataResult.publicURL,
+          imageTxId: imageResult.transactionId,
+          metadataTxId: collectionMetadataResult.transactionId,
+          metadata: collectionMetadata
+        },
+        items: itemResults.map(item => ({
+          position: item.position,
+          name: item.name,
+          imageURL: item.imageResult.publicURL,
+          metadataURL: item.metadataResult.publicURL,
+          imageTxId: item.imageResult.transactionId,
+          metadataTxId: item.metadataResult.transactionId,
+          imageDeduplicated: item.imageResult.deduplicated
+        })),
+        walletAddress,
+        sessionId,
+        performance: {
+          totalTime,
+          concurrency
+        }
+      };
+
+    } catch (error) {
+      console.error(`❌ [${walletAddress.slice(0,8)}...] Collection creation failed:`, error.message);
+      // Files already on Irys stay in the upload history and are handed back to the caller
+      if (!recorded) await recordUploads();
+      error.uploads = uploaded.map(({ asset, result }) => ({
+        asset,
+        fileName: result.fileName,
+        transactionId: result.transactionId,
+        publicURL: result.publicURL,
+        deduplicated: result.deduplicated
+      }));
+      progress('failed', { error: error.message });
+      throw error;
+    } finally {
+      quota?.release();
+      metadataPaths.filter(metadataPath => fs.existsSync(metadataPath)).forEach(metadataPath => fs.unlinkSync(metadataPath));
+    }
+  }
+
+  // 🖼️ Stored collection with ordered items (owner only)
+  async getCollection(collectionId, walletAddress) {
+    this.assertStoreSupports('recordCollection', 'Collections');
+    const collection = await this.db.getCollection(collectionId);
+
+    // Other wallets' collections are indistinguishable from missing ones
+    if (!collection || collection.wallet_address !== walletAddress) {
+      throw new Error('Collection not found');
+    }
+
+    const items = await this.db.getCollectionItems(collectionId);
+    return {
+      collectionId: collection.id,
+      name: collection.name,
+      symbol: collection.symbol,
+      sellerFeeBasisPoints: collection.seller_fee_basis_points,
+      imageURL: collection.image_url,
+      metadataURL: collection.metadata_url,
+      imageTxId: collection.image_transaction_id,
+      metadataTxId: collection.metadata_transaction_id,
+      itemCount: collection.item_count,
+      createdAt: collection.created_at,
+      metadata: JSON.parse(collection.metadata_json),
+      items: items.map(item => ({
+        position: item.position,
+        name: item.name,
+        imageURL: item.image_url,
+        metadataURL: item.metadata_url,
+        imageTxId: item.image_transaction_id,
+        metadataTxId: item.metadata_transaction_id,
+        metadata: JSON.parse(item.metadata_json)
+      }))
+    };
+  }
+
+  // 📏 Plan limits, usage and what is left for a wallet (null when the store has no plans).
+  // Usage includes reservations of uploads that are still in flight.
+  async getQuotaStatus(walletAddress) {
+    if (typeof this.db.getUserPlan !== 'function') return null;
+
+    const [plan, usage] = await Promise.all([
+      this.db.getUserPlan(walletAddress, QUOTA_CONFIG.DEFAULT_PLAN),
+      this.db.getQuotaUsage(walletAddress)
+    ]);
+
+    if (!plan) {
+      throw new Error(`Unknown plan for wallet ${walletAddress.slice(0,8)}... (check the plans table)`);
+    }
+
+    const pending = { bytes: 0, tokens: 0 };
+    for (const reservation of this.quotaReservations.get(walletAddress) || []) {
+      pending.bytes += reservation.bytes;
+      pending.tokens += reservation.tokens;
+    }
+
+    return buildQuotaStatus(plan, {
+      dailyBytes: usage.dailyBytes + pending.bytes,
+      monthlyBytes: usage.monthlyBytes + pending.bytes,
+      monthlyTokens: usage.monthlyTokens + pending.tokens
+    });
+  }
+
+  // 📏 Check-and-hold for an operation: throws like assertWithinQuota, otherwise counts the
+  // amounts as used until release(). reserve() adds more (e.g. each uploaded file) the same way.
+  // Checks of one wallet run one at a time, so concurrent uploads cannot overshoot the plan.
+  // Release only after the uploads are recorded - from then on getQuotaUsage counts them.
+  async reserveQuota(walletAddress, amounts = {}) {
+    const reservation = {
+      bytes: 0,
+      tokens: 0,
+      reserve: ({ bytes = 0, fileBytes = bytes, tokens = 0 } = {}) => this.withQuotaLock(walletAddress, async () => {
+        const status = await this.getQuotaStatus(walletAddress);
+        if (status) checkQuota(status, { bytes, fileBytes, tokens });
+        reservation.bytes += bytes;
+        reservation.tokens += tokens;
+        return status;
+      }),
+      release: () => {
+        const reservations = this.quotaReservations.get(walletAddress);
+        if (reservations?.delete(reservation) && reservations.size === 0) {
+          this.quotaReservations.delete(walletAddress);
+        }
+      }
+    };
+
+    if (!this.quotaReservations.has(walletAddress)) {
+      this.quotaReservations.set(walletAddress, new Set());
+    }
+    this.quotaReservations.get(walletAddress).add(reservation);
+    try {
+      await reservation.reserve(amounts);
+    } catch (error) {
+      reservation.release();
+      throw error;
+    }
+    return reservation;
+  }
+
+  // Runs fn after every earlier quota check of this wallet has finished
+  withQuotaLock(walletAddress, fn) {
+    const run = (this.quotaLocks.get(walletAddress) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    this.quotaLocks.set(walletAddress, settled);
+    settled.then(() => {
+      if (this.quotaLocks.get(walletAddress) === settled) this.quotaLocks.delete(walletAddress);
+    });
+    return run;
+  }
+
+  // 📏 Throws "Quota exceeded: ..." / "File too large for plan ..." before anything reaches Irys.
+  // A check only (dry runs, early rejects) - uploads hold their quota with reserveQuota
+  async assertWithinQuota(walletAddress, { bytes = 0, fileBytes = bytes, tokens = 0 } = {}) {
+    const status = await this.getQuotaStatus(walletAddress);
+    if (status) checkQuota(status, { bytes, fileBytes, tokens });
+    return status;
+  }
+
+  // 💰 Price of storing `size` bytes with the active storage provider
+  async quoteUpload(size) {
+    const bytes = parseByteSize(size, 'size');
+    let connection = null;
+
+    try {
+      connection = await this.connectionPool.getConnection();
+      const price = await connection.getPrice(bytes);
+
+      return {
+        provider: this.storage.name,
+        ...formatPrice(bytes, toLamports(price))
+      };
+    } finally {
+      if (connection) {
+        this.connectionPool.releaseConnection(connection);
+      }
+    }
+  }
+
+  // 💰 Price of a token asset bundle: the logo plus the metadata JSON generated for it
+  async quoteTokenAssets(tokenData, logoSize, logoMime = 'image/png') {
+    const logoBytes = parseByteSize(logoSize, 'logoSize');
+
+    // Realistic stand-in values so the estimate matches the real JSON size
+    const placeholderId = 'x'.repeat(43);
+    const metadata = buildTokenMetadata(tokenData, {
+      logoResult: {
+        publicURL: this.storage.getPublicUrl(placeholderId),
+        transactionId: placeholderId,
+        fileSize: logoBytes
+      },
+      logoType: { mime: logoMime, category: MIME_CATEGORIES[logoMime] || 'image' },
+      walletAddress: 'x'.repeat(44),
+      sessionId: `token_${'x'.repeat(8)}_${Date.now()}`
+    });
+    const metadataBytes = Buffer.byteLength(JSON.stringify(metadata, null, 2));
+
+    const [logo, metadataQuote] = await Promise.all([
+      this.quoteUpload(logoBytes),
+      this.quoteUpload(metadataBytes)
+    ]);
+
+    return {
+      provider: this.storage.name,
+      items: [
+        { asset: 'logo', ...formatPrice(logo.bytes, logo.lamports) },
+        { asset: 'metadata', estimated: true, ...formatPrice(metadataQuote.bytes, metadataQuote.lamports) }
+      ],
+      total: formatPrice(logo.bytes + metadataQuote.bytes, logo.lamports + metadataQuote.lamports)
+    };
+  }
+
   // ⚡ Get service health with detailed metrics
   async getServiceHealth() {
     const poolStats = this.connectionPool.getStats();
@@ -715,22 +2475,28 @@ class IrysUploadService {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       version: '2.0.0-FINAL',
-      database: 'SQLite Production',
+      database: this.db.name,
+      identity: this.identity.name,
       network: CONFIG.NETWORK,
+      storageProvider: this.storage.name,
       performance: {
         connectionPool: poolStats,
         maxUploadSize: `${(CONFIG.MAX_UPLOAD_SIZE / 1024 / 1024).toFixed(1)}MB`,
         rateLimitPerMinute: CONFIG.RATE_LIMIT_PER_MINUTE,
         uploadTimeout: `${CONFIG.UPLOAD_TIMEOUT / 1000}s`,
-        supportedTypes: Object.keys(SUPPORTED_TYPES).length
+        supportedTypes: Object.keys(SUPPORTED_TYPES).length,
+        dedupMode: CONFIG.DEDUP_MODE
       },
       features: [
         'Wallet-based user tracking',
         'Complete metadata storage',
         'Parallel upload processing', 
+        'Batch token creation',
         'Connection pooling',
         'Rate limiting per wallet',
         'Automatic cleanup',
+        'Content-addressed deduplication',
+        'Per-wallet quotas and plans',
         'Production-grade logging'
       ]
     };
@@ -739,9 +2505,12 @@ class IrysUploadService {
   // ⚡ Get user dashboard
   async getUserDashboard(walletAddress) {
     try {
-      const [dashboard, tokens] = await Promise.all([
+      const [dashboard, uploads, tokens, collections, quota] = await Promise.all([
         this.db.getUserDashboard(walletAddress),
-        this.db.getUserTokens(walletAddress, 10)
+        this.db.getRecentUploads(walletAddress, 10),
+        this.db.getUserTokens(walletAddress, 10),
+        typeof this.db.getUserCollections === 'function' ? this.db.getUserCollections(walletAddress, 10) : [],
+        this.getQuotaStatus(walletAddress)
       ]);
 
       if (!dashboard) {
@@ -751,8 +2520,12 @@ class IrysUploadService {
           walletAddress: walletAddress,
           totalUploads: 0,
           totalSizeBytes: 0,
+          totalSizeMB: '0.00',
           tokenCount: 0,
-          recentTokens: []
+          quota: quota,
+          recentUploads: [],
+          recentTokens: [],
+          recentCollections: []
         };
       }
 
@@ -764,7 +2537,10 @@ class IrysUploadService {
         createdAt: dashboard.created_at,
         lastActivity: dashboard.last_activity,
         tokenCount: dashboard.token_count,
-        recentTokens: tokens
+        quota: quota,
+        recentUploads: uploads,
+        recentTokens: tokens,
+        recentCollections: collections
       };
     } catch (error) {
       console.error('Dashboard error:', error.message);
@@ -787,14 +2563,29 @@ export {
 };
 
 // ⚡ Export individual functions for compatibility
-export const uploadFile = (filePath, walletAddress, customTags, sessionId) => 
-  irysService.uploadFile(filePath, walletAddress, customTags, sessionId);
+export const uploadFile = (filePath, walletAddress, customTags, sessionId, options) => 
+  irysService.uploadFile(filePath, walletAddress, customTags, sessionId, options);
+
+export const createTokenAssets = (tokenData, walletAddress, ipAddress, options) => 
+  irysService.createTokenAssets(tokenData, walletAddress, ipAddress, options);
 
-export const createTokenAssets = (tokenData, walletAddress, ipAddress) => 
-  irysService.createTokenAssets(tokenData, walletAddress, ipAddress);
+export const createTokenAssetsBatch = (tokensData, walletAddress, ipAddress, options) =>
+  irysService.createTokenAssetsBatch(tokensData, walletAddress, ipAddress, options);
+
+export const createCollectionAssets = (collectionData, walletAddress, ipAddress, options) =>
+  irysService.createCollectionAssets(collectionData, walletAddress, ipAddress, options);
+
+export const createTokenRevision = (tokenId, changes, walletAddress, ipAddress, options) =>
+  irysService.createTokenRevision(tokenId, changes, walletAddress, ipAddress, options);
 
 export const getUserDashboard = (walletAddress) => 
   irysService.getUserDashboard(walletAddress);
 
+export const quoteUpload = (size) =>
+  irysService.quoteUpload(size);
+
+export const quoteTokenAssets = (tokenData, logoSize, logoMime) =>
+  irysService.quoteTokenAssets(tokenData, logoSize, logoMime);
+
 export const getServiceHealth = () => 
   irysService.getServiceHealth();
@@ -0,0 +1,262 @@
+/**
+ * ========================================
+ * PERSISTENT JOB QUEUE
+ * ========================================
+ *
+ * Long-running work (token creation = several Irys uploads) runs in the
+ * background instead of holding the HTTP request open:
+ * 1. POST /create-token?async=true  -> 202 + job ID
+ * 2. GET /jobs/:id                  -> status, progress, result
+ *
+ * Jobs live in the SQLite `jobs` table and their input files in
+ * CONFIG.TEMP_DIR/jobs/<id>/, so jobs queued or interrupted by a restart
+ * are picked up again by start(). An interrupted token job reuses its
+ * already-uploaded logo instead of paying for it twice.
+ *
+ * Events: 'progress', 'completed', 'failed' (job description as payload)
+ * Upload progress also streams on GET /events with the job ID as requestId.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { CONFIG } from "./irys-upload-service-final.js";
+import { createProgressReporter } from "./progress-events.js";
+
+const JOBS_DIR = path.join(CONFIG.TEMP_DIR, 'jobs');
+const JOB_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+// ========================================
+// QUEUE
+// ========================================
+
+class JobQueue extends EventEmitter {
+  constructor(irysService, options = {}) {
+    super();
+    this.irysService = irysService;
+    this.db = irysService.db;
+    this.jobsDir = options.jobsDir || JOBS_DIR;
+    this.concurrency = options.concurrency || CONFIG.JOB_CONCURRENCY;
+    this.maxAttempts = options.maxAttempts || CONFIG.JOB_MAX_ATTEMPTS;
+
+    this.pending = []; // job rows waiting for a worker
+    this.running = 0;
+    this.started = false;
+    this.stopped = false;
+
+    // type -> async (job, reportProgress) => result
+    this.handlers = {
+      'create-token': (job, reportProgress) => this.runCreateToken(job, reportProgress)
+    };
+
+    fs.mkdirSync(this.jobsDir, { recursive: true });
+  }
+
+  jobDir(jobId) {
+    return path.join(this.jobsDir, jobId);
+  }
+
+  // Reload jobs a previous process did not finish
+  async start() {
+    if (this.started || this.stopped) return;
+    this.started = true;
+
+    await this.db.ready;
+    const unfinished = await this.db.getUnfinishedJobs();
+
+    for (const job of unfinished) {
+      if (job.attempts >= this.maxAttempts) {
+        await this.finish(job, 'failed', { error: `Gave up after ${job.attempts} interrupted attempts` });
+        continue;
+      }
+      this.pending.push(job);
+    }
+
+    if (unfinished.length > 0) {
+      console.log(`🧵 Resuming ${this.pending.length} unfinished job(s)`);
+    }
+    this.drain();
+  }
+
+  // Start no more jobs (shutdown). Running ones finish; queued ones stay in the table for the next start()
+  stop() {
+    this.stopped = true;
+    this.pending = [];
+  }
+
+  /**
+   * Persist a job and schedule it.
+   * @param {string} type - registered handler ('create-token')
+   * @param {string} walletAddress - owner; only this wallet can read the job
+   * @param {object} payload - JSON-serializable handler input
+   * @param {Object<string, { fileName: string, data: Buffer }>} attachments - files the job needs, stored
+   *   under the job directory and passed to the handler as payload.files[key]
+   */
+  async enqueue(type, walletAddress, payload, attachments = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unsupported job type: ${type}`);
+    }
+
+    const id = crypto.randomUUID();
+    const dir = this.jobDir(id);
+    const files = {};
+
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [key, attachment] of Object.entries(attachments)) {
+      files[key] = path.join(dir, path.basename(attachment.fileName));
+      fs.writeFileSync(files[key], attachment.data);
+    }
+
+    const job = {
+      id,
+      walletAddress,
+      type,
+      payload: { ...payload, files },
+      progress: { stage: 'queued' }
+    };
+
+    try {
+      await this.db.createJob(job);
+    } catch (error) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw error;
+    }
+
+    const row = await this.db.getJob(id);
+    if (!this.stopped) this.pending.push(row);
+    console.log(`🧵 Job ${id} (${type}) queued for ${walletAddress.slice(0,8)}...`);
+    this.drain();
+
+    return this.describe(row);
+  }
+
+  drain() {
+    while (!this.stopped && this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      // A failed DB write leaves the job unfinished in the table: the next start() retries it
+      this.run(job).catch(error => {
+        console.error(`❌ Job ${job.id} could not be run:`, error.message);
+      }).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    const attempts = job.attempts + 1;
+    let progress = { ...parseJson(job.progress_json, {}), stage: 'running' };
+
+    await this.db.updateJob(job.id, { status: 'running', attempts, progress });
+
+    // Persist every step so a restart resumes from the last one
+    const reportProgress = async (stage, details = {}) => {
+      progress = { ...progress, ...details, stage };
+      await this.db.updateJob(job.id, { progress });
+      this.emit('progress', this.describe({ ...job, status: 'running', progress_json: JSON.stringify(progress) }));
+    };
+
+    try {
+      const result = await this.handlers[job.type](job, reportProgress);
+      await this.finish(job, 'completed', { result, progress: { ...progress, stage: 'completed' } });
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      await this.finish(job, 'failed', { error: error.message, progress: { ...progress, stage: 'failed' } });
+    }
+  }
+
+  async finish(job, status, { result, error, progress } = {}) {
+    await this.db.updateJob(job.id, { status, result, error, progress });
+    fs.rmSync(this.jobDir(job.id), { recursive: true, force: true });
+
+    const finished = await this.db.getJob(job.id);
+    this.emit(status, this.describe(finished));
+  }
+
+  // ========================================
+  // HANDLERS
+  // ========================================
+
+  async runCreateToken(job, reportProgress) {
+    const payload = parseJson(job.payload_json, {});
+    const progress = parseJson(job.progress_json, {});
+
+    return this.irysService.createTokenAssets(
+      { ...payload.tokenData, logoPath: payload.files.logo },
+      job.wallet_address,
+      payload.ipAddress,
+      {
+        // Resumed after a restart: the logo is already on Irys
+        logoResult: progress.logoResult,
+        progress: createProgressReporter(job.wallet_address, { requestId: job.id, operation: 'job:create-token' }),
+        onProgress: (stage, details) => {
+          if (stage === 'logo_uploaded') return reportProgress(stage, { logoResult: details.logoResult });
+          if (stage === 'metadata_uploaded') return reportProgress(stage, { metadataTxId: details.metadataResult.transactionId });
+          return reportProgress(stage);
+        }
+      }
+    );
+  }
+
+  // ========================================
+  // READ SIDE
+  // ========================================
+
+  async getJob(jobId, walletAddress) {
+    const job = JOB_ID_PATTERN.test(jobId) ? await this.db.getJob(jobId) : null;
+
+    // Other wallets' jobs are indistinguishable from missing ones
+    if (!job || job.wallet_address !== walletAddress) {
+      throw new Error('Job not found');
+    }
+
+    return this.describe(job);
+  }
+
+  describe(job) {
+    const progress = parseJson(job.progress_json, {});
+
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      walletAddress: job.wallet_address,
+      progress: {
+        stage: progress.stage,
+        logoUploaded: Boolean(progress.logoResult),
+        logoURL: progress.logoResult?.publicURL || null,
+        metadataUploaded: Boolean(progress.metadataTxId)
+      },
+      attempts: job.attempts,
+      result: parseJson(job.result_json, null),
+      error: job.error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+      completedAt: job.completed_at
+    };
+  }
+
+  getStats() {
+    return {
+      queued: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency
+    };
+  }
+}
+
+export {
+  JobQueue,
+  JOBS_DIR
+};
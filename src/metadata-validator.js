@@ -0,0 +1,297 @@
+/**
+ * ========================================
+ * TOKEN METADATA VALIDATION
+ * ========================================
+ *
+ * Checks token input against the Metaplex token metadata standard
+ * (fungible and NFT) before anything is uploaded:
+ * - name <= 32 bytes, symbol <= 10 bytes (on-chain limits)
+ * - website (external_url) is an absolute http(s) URL
+ * - attributes: [{ trait_type, value }]
+ * - creators: up to 5 valid Solana addresses, shares summing to 100
+ * - collections: seller_fee_basis_points 0-10000, every item named
+ *
+ * attributes and creators may be arrays or JSON strings (multipart form
+ * fields). Every problem is collected, so a client can fix them all at once:
+ *   [{ field: 'creators[1].address', message: 'must be a base58 Solana public key' }]
+ */
+
+import { isValidWalletAddress } from "./wallet-auth.js";
+
+const METADATA_LIMITS = {
+  NAME_MAX_BYTES: 32,
+  SYMBOL_MAX_BYTES: 10,
+  DESCRIPTION_MAX_LENGTH: 1000,
+  URL_MAX_LENGTH: 200,
+  MAX_ATTRIBUTES: 50,
+  TRAIT_MAX_LENGTH: 100,
+  MAX_CREATORS: 5,
+  MAX_SELLER_FEE_BASIS_POINTS: 10000
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Form fields arrive as JSON strings, SDK callers pass arrays
+const parseList = (value, field, errors) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      errors.push({ field, message: 'must be valid JSON' });
+      return [];
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    errors.push({ field, message: 'must be an array' });
+    return [];
+  }
+  return list;
+};
+
+const checkText = (value, field, { required, maxBytes, maxLength }, errors) => {
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+    if (required) errors.push({ field, message: 'is required' });
+    return '';
+  }
+  if (typeof value !== 'string') {
+    errors.push({ field, message: 'must be a string' });
+    return '';
+  }
+
+  const text = value.trim();
+  if (maxBytes && Buffer.byteLength(text) > maxBytes) {
+    errors.push({ field, message: `must be at most ${maxBytes} bytes (UTF-8)` });
+  }
+  if (maxLength && text.length > maxLength) {
+    errors.push({ field, message: `must be at most ${maxLength} characters` });
+  }
+  return text;
+};
+
+const checkAttributes = (input, errors, listField = 'attributes') => {
+  const attributes = parseList(input, listField, errors);
+
+  if (attributes.length > METADATA_LIMITS.MAX_ATTRIBUTES) {
+    errors.push({ field: listField, message: `must have at most ${METADATA_LIMITS.MAX_ATTRIBUTES} entries` });
+  }
+
+  return attributes.map((attribute, i) => {
+    const field = `${listField}[${i}]`;
+    if (!attribute || typeof attribute !== 'object' || Array.isArray(attribute)) {
+      errors.push({ field, message: 'must be an object { trait_type, value }' });
+      return attribute;
+    }
+
+    const traitType = checkText(attribute.trait_type, `${field}.trait_type`, {
+      required: true,
+      maxLength: METADATA_LIMITS.TRAIT_MAX_LENGTH
+    }, errors);
+
+    const { value } = attribute;
+    if (!['string', 'number', 'boolean'].includes(typeof value) || (typeof value === 'number' && !Number.isFinite(value))) {
+      errors.push({ field: `${field}.value`, message: 'must be a string, number or boolean' });
+    } else if (typeof value === 'string' && value.length > METADATA_LIMITS.TRAIT_MAX_LENGTH) {
+      errors.push({ field: `${field}.value`, message: `must be at most ${METADATA_LIMITS.TRAIT_MAX_LENGTH} characters` });
+    }
+
+    if (attribute.display_type !== undefined && typeof attribute.display_type !== 'string') {
+      errors.push({ field: `${field}.display_type`, message: 'must be a string' });
+    }
+
+    return { ...attribute, trait_type: traitType };
+  });
+};
+
+const checkCreators = (input, errors) => {
+  const creators = parseList(input, 'creators', errors);
+  if (creators.length === 0) return creators;
+
+  if (creators.length > METADATA_LIMITS.MAX_CREATORS) {
+    errors.push({ field: 'creators', message: `must have at most ${METADATA_LIMITS.MAX_CREATORS} entries` });
+  }
+
+  const seen = new Set();
+  let totalShare = 0;
+  let sharesValid = true;
+
+  creators.forEach((creator, i) => {
+    const field = `creators[${i}]`;
+    if (!creator || typeof creator !== 'object' || Array.isArray(creator)) {
+      errors.push({ field, message: 'must be an object { address, share }' });
+      sharesValid = false;
+      return;
+    }
+
+    if (!isValidWalletAddress(creator.address)) {
+      errors.push({ field: `${field}.address`, message: 'must be a base58 Solana public key' });
+    } else if (seen.has(creator.address)) {
+      errors.push({ field: `${field}.address`, message: 'is listed more than once' });
+    } else {
+      seen.add(creator.address);
+    }
+
+    if (!Number.isInteger(creator.share) || creator.share < 0 || creator.share > 100) {
+      errors.push({ field: `${field}.share`, message: 'must be an integer between 0 and 100' });
+      sharesValid = false;
+    } else {
+      totalShare += creator.share;
+    }
+
+    if (creator.verified !== undefined && typeof creator.verified !== 'boolean') {
+      errors.push({ field: `${field}.verified`, message: 'must be a boolean' });
+    }
+  });
+
+  if (sharesValid && totalShare !== 100) {
+    errors.push({ field: 'creators', message: `shares must sum to 100 (got ${totalShare})` });
+  }
+
+  return creators;
+};
+
+/**
+ * Validate and normalize token input.
+ * @param {{ name, symbol, description, website?, attributes?, creators? }} input
+ * @returns {{ errors: Array<{ field: string, message: string }>, tokenData: object }}
+ *   tokenData has trimmed strings, an upper-case symbol and parsed attributes/creators
+ */
+const validateTokenMetadata = (input = {}) => {
+  const errors = [];
+
+  const name = checkText(input.name, 'name', { required: true, maxBytes: METADATA_LIMITS.NAME_MAX_BYTES }, errors);
+  const symbol = checkText(input.symbol, 'symbol', { required: true, maxBytes: METADATA_LIMITS.SYMBOL_MAX_BYTES }, errors);
+  const description = checkText(input.description, 'description', {
+    required: true,
+    maxLength: METADATA_LIMITS.DESCRIPTION_MAX_LENGTH
+  }, errors);
+
+  const website = checkText(input.website, 'website', { maxLength: METADATA_LIMITS.URL_MAX_LENGTH }, errors);
+  if (website && !isHttpUrl(website)) {
+    errors.push({ field: 'website', message: 'must be an absolute http(s) URL' });
+  }
+
+  const attributes = checkAttributes(input.attributes, errors);
+  const creators = checkCreators(input.creators, errors);
+
+  return {
+    errors,
+    tokenData: {
+      name,
+      symbol: symbol.toUpperCase(),
+      description,
+      website,
+      attributes,
+      creators
+    }
+  };
+};
+
+// Royalty in basis points (500 = 5%); form fields arrive as strings
+const checkSellerFee = (value, errors) => {
+  if (value === undefined || value === null || value === '') return 0;
+
+  const fee = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+  if (!Number.isInteger(fee) || fee < 0 || fee > METADATA_LIMITS.MAX_SELLER_FEE_BASIS_POINTS) {
+    errors.push({
+      field: 'sellerFeeBasisPoints',
+      message: `must be an integer between 0 and ${METADATA_LIMITS.MAX_SELLER_FEE_BASIS_POINTS}`
+    });
+    return 0;
+  }
+  return fee;
+};
+
+/**
+ * Validate and normalize an NFT collection and its items.
+ * @param {{ name, symbol, description, website?, creators?, family?, sellerFeeBasisPoints?, items: Array<{ name, description?, attributes? }> }} input
+ * @returns {{ errors: Array<{ field: string, message: string }>, collectionData: object }}
+ *   collectionData.items keeps the input order and any extra item fields (e.g. imagePath)
+ */
+const validateCollectionMetadata = (input = {}) => {
+  const { errors, tokenData } = validateTokenMetadata({ ...input, attributes: undefined });
+
+  const sellerFeeBasisPoints = checkSellerFee(input.sellerFeeBasisPoints, errors);
+  const family = checkText(input.family, 'family', { maxLength: METADATA_LIMITS.TRAIT_MAX_LENGTH }, errors);
+
+  const items = parseList(input.items, 'items', errors);
+  if (items.length === 0 && !errors.some(error => error.field === 'items')) {
+    errors.push({ field: 'items', message: 'must contain at least one item' });
+  }
+
+  const normalizedItems = items.map((item, i) => {
+    const field = `items[${i}]`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ field, message: 'must be an object { name, attributes }' });
+      return item;
+    }
+
+    return {
+      ...item,
+      name: checkText(item.name, `${field}.name`, { required: true, maxBytes: METADATA_LIMITS.NAME_MAX_BYTES }, errors),
+      description: checkText(item.description, `${field}.description`, {
+        maxLength: METADATA_LIMITS.DESCRIPTION_MAX_LENGTH
+      }, errors),
+      attributes: checkAttributes(item.attributes, errors, `${field}.attributes`)
+    };
+  });
+
+  const { attributes, ...collection } = tokenData;
+
+  return {
+    errors,
+    collectionData: {
+      ...collection,
+      family: family || collection.name,
+      sellerFeeBasisPoints,
+      items: normalizedItems
+    }
+  };
+};
+
+/**
+ * Same as validateTokenMetadata for callers without an HTTP layer.
+ * @throws {Error} "Invalid metadata: ..." with the problem list as error.details
+ */
+const assertValidTokenMetadata = (input) => {
+  const { errors, tokenData } = validateTokenMetadata(input);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid metadata: ${formatErrors(errors)}`);
+    error.details = errors;
+    throw error;
+  }
+  return tokenData;
+};
+
+// Same as validateCollectionMetadata, throwing like assertValidTokenMetadata
+const assertValidCollectionMetadata = (input) => {
+  const { errors, collectionData } = validateCollectionMetadata(input);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid metadata: ${formatErrors(errors)}`);
+    error.details = errors;
+    throw error;
+  }
+  return collectionData;
+};
+
+const formatErrors = (errors) => errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+
+export {
+  METADATA_LIMITS,
+  validateTokenMetadata,
+  assertValidTokenMetadata,
+  validateCollectionMetadata,
+  assertValidCollectionMetadata,
+  formatErrors
+};
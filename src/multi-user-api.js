@@ -1,14 +1,16 @@
 import express from 'express';
 import multer from 'multer';
 import rateLimit from 'express-rate-limit';
-import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
+import path from 'path';
 import { 
   createTokenAssetsMultiUser, 
   getUserDashboard, 
   getServiceHealth,
   CONFIG 
 } from './irys-multiuser-service.js';
+import { WalletAuthManager, createAuthRouter, extractBearerToken } from './wallet-auth.js';
+import { validateTokenMetadata } from './metadata-validator.js';
 
 const app = express();
 
@@ -32,20 +34,28 @@ const limiter = rateLimit({
 app.use(limiter);
 app.use(express.json({ limit: '1mb' }));
 
-// Middleware to extract user ID
+// Wallet signature authentication (nonce -> signature -> session token)
+const walletAuth = new WalletAuthManager();
+
+// Middleware to extract user ID from a verified wallet session
 const extractUserId = (req, res, next) => {
-  req.userId = req.headers['user-id'] || req.headers['x-user-id'] || uuidv4();
+  req.userId = walletAuth.getSessionWallet(extractBearerToken(req));
   req.userIP = req.ip || req.connection.remoteAddress || 'unknown';
+
+  const protectedPaths = ['/create-token', '/dashboard'];
+  if (protectedPaths.some(path => req.path.startsWith(path)) && !req.userId) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign the nonce from GET /auth/nonce, exchange it at POST /auth/verify and send the session token',
+      example: 'Authorization: Bearer <token>'
+    });
+  }
+
   next();
 };
 
 app.use(extractUserId);
-
-// ✅ FIXED: Ensure temp directory exists
-if (!fs.existsSync('./temp')) {
-  fs.mkdirSync('./temp', { recursive: true });
-  console.log('📁 Created temp directory');
-}
+app.use(createAuthRouter(walletAuth));
 
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -64,24 +74,21 @@ app.post('/create-token', upload.single('logo'), async (req, res) => {
       });
     }
 
+    // Metaplex metadata rules - every problem at once, before anything is uploaded
+    const { errors, tokenData } = validateTokenMetadata(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid metadata',
+        details: errors
+      });
+    }
+
     // Save uploaded file with unique name
-    logoPath = `./temp/${req.userId}_${Date.now()}_${req.file.originalname}`;
+    logoPath = path.join(CONFIG.TEMP_DIR, `${req.userId}_${Date.now()}_${path.basename(req.file.originalname)}`);
     fs.writeFileSync(logoPath, req.file.buffer);
 
-    const tokenData = {
-      name: req.body.name,
-      symbol: req.body.symbol,
-      description: req.body.description,
-      logoPath: logoPath,
-      website: req.body.website,
-      attributes: JSON.parse(req.body.attributes || '[]'),
-      creators: JSON.parse(req.body.creators || '[]')
-    };
-
-    const result = await createTokenAssetsMultiUser(tokenData, req.userId, req.userIP);
-
-    // Cleanup temp file
-    fs.unlinkSync(logoPath);
+    const result = await createTokenAssetsMultiUser({ ...tokenData, logoPath }, req.userId, req.userIP);
 
     res.json({
       success: true,
@@ -90,6 +97,7 @@ app.post('/create-token', upload.single('logo'), async (req, res) => {
         symbol: tokenData.symbol,
         logoURL: result.logoURL,
         metadataURL: result.metadataURL,
+        mutableURL: result.mutableURL,
         logoType: result.logoType
       },
       user: {
@@ -103,18 +111,25 @@ app.post('/create-token', upload.single('logo'), async (req, res) => {
     });
 
   } catch (error) {
-    // Cleanup on error
-    if (logoPath && fs.existsSync(logoPath)) {
-      fs.unlinkSync(logoPath);
-    }
-
     console.error(`❌ API Error [${req.userId}]:`, error.message);
-    
-    res.status(500).json({
+
+    const statusCode = error.message.includes('Unsupported') ? 415 :
+                      error.message.includes('Unsafe SVG') ? 422 :
+                      error.message.startsWith('Invalid') ? 400 :
+                      error.message.includes('timeout') ? 408 :
+                      error.message.includes('too large') ? 413 :
+                      error.message.includes('Rate limit') ? 429 : 500;
+
+    res.status(statusCode).json({
       success: false,
       error: error.message || 'Upload failed',
+      ...(error.details ? { details: error.details } : {}),
       userId: req.userId
     });
+  } finally {
+    if (logoPath && fs.existsSync(logoPath)) {
+      fs.unlinkSync(logoPath);
+    }
   }
 });
 
@@ -155,7 +170,7 @@ const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`🚀 Multi-User Irys API running on port ${PORT}`);
-  console.log(`📊 Database: SQLite`);
+  console.log(`📊 Database: ${CONFIG.USE_SQLITE ? 'SQLite' : 'JSON'}`);
   console.log(`🔒 Max upload: ${((CONFIG.MAX_UPLOAD_SIZE || 2097152) / 1024 / 1024).toFixed(1)}MB`);
   console.log(`⏱️  Rate limit: ${CONFIG.RATE_LIMIT_PER_MINUTE || 6000} requests/minute`);
 });
@@ -0,0 +1,76 @@
+/**
+ * ========================================
+ * UPLOAD PROGRESS EVENTS
+ * ========================================
+ *
+ * In-process event bus behind GET /events (Server-Sent Events). Upload code
+ * reports lifecycle stages for a wallet; every open stream of that wallet
+ * receives them, nobody else does.
+ *
+ * Stages: received -> validated -> uploading -> uploaded
+ *         -> metadata_uploaded (tokens) -> recorded | failed
+ *
+ * Every event carries the requestId (client X-Request-ID header or the
+ * server session ID), the operation and the milliseconds since the request
+ * started, so a frontend can drive a progress indicator per request.
+ */
+
+import { EventEmitter } from "events";
+
+const PROGRESS_STAGES = ['received', 'validated', 'uploading', 'uploaded', 'metadata_uploaded', 'recorded', 'failed'];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open SSE stream
+
+let sequence = 0;
+
+const publish = (walletAddress, event) => {
+  if (!walletAddress) return;
+  bus.emit(walletAddress, { id: ++sequence, ...event });
+};
+
+/**
+ * Listen to one wallet's events.
+ * @returns {() => void} unsubscribe
+ */
+const subscribe = (walletAddress, listener) => {
+  bus.on(walletAddress, listener);
+  return () => bus.off(walletAddress, listener);
+};
+
+const subscriberCount = (walletAddress) => bus.listenerCount(walletAddress);
+
+/**
+ * Reporter bound to one request. Pass it down as `progress`; callers that
+ * were not given one use noopProgress.
+ * @param {string} walletAddress
+ * @param {{ requestId: string, operation: string }} context
+ * @returns {(stage: string, data?: object) => void}
+ */
+const createProgressReporter = (walletAddress, { requestId, operation }) => {
+  const startTime = performance.now();
+
+  return (stage, data = {}) => publish(walletAddress, {
+    type: stage,
+    requestId,
+    operation,
+    elapsedMs: Math.round(performance.now() - startTime),
+    timestamp: new Date().toISOString(),
+    ...data
+  });
+};
+
+const noopProgress = () => {};
+
+// KB/s as reported in the upload logs
+const throughputKBps = (bytes, ms) => Math.round(bytes / 1024 / (Math.max(ms, 1) / 1000));
+
+export {
+  PROGRESS_STAGES,
+  publish,
+  subscribe,
+  subscriberCount,
+  createProgressReporter,
+  noopProgress,
+  throughputKBps
+};
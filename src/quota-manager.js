@@ -0,0 +1,91 @@
+/**
+ * ========================================
+ * PER-WALLET STORAGE QUOTAS
+ * ========================================
+ *
+ * Every wallet is on a named plan (users.plan, DEFAULT_PLAN when unset).
+ * Plans live in the SQLite `plans` table and limit:
+ * - bytes uploaded per UTC day / per UTC month
+ * - tokens created per UTC month
+ * - size of a single file
+ *
+ * NULL limits are unlimited. Usage is computed from the uploads and
+ * token_assets tables, so deduplicated uploads (nothing new stored) are free.
+ * Limits are checked before anything is sent to Irys, and an upload holds its
+ * bytes/tokens (IrysUploadService.reserveQuota) until it is recorded, so
+ * concurrent uploads of one wallet cannot add up past the plan.
+ *
+ * Change a wallet's plan:
+ *   sqlite3 data/irys_production.db "UPDATE users SET plan = 'pro' WHERE wallet_address = '...'"
+ */
+
+const MB = 1024 * 1024;
+
+// Seeded into the plans table on first start; edit the table to change limits
+const DEFAULT_PLANS = [
+  { name: 'free', dailyBytes: 100 * MB, monthlyBytes: 1024 * MB, monthlyTokens: 25, maxFileSize: 25 * MB },
+  { name: 'pro', dailyBytes: 1024 * MB, monthlyBytes: 20480 * MB, monthlyTokens: 500, maxFileSize: 100 * MB },
+  { name: 'enterprise', dailyBytes: null, monthlyBytes: null, monthlyTokens: null, maxFileSize: null }
+];
+
+const QUOTA_CONFIG = {
+  DEFAULT_PLAN: process.env.DEFAULT_PLAN || 'free'
+};
+
+const remaining = (limit, used) => limit === null ? null : Math.max(0, limit - used);
+
+const formatSize = (bytes) => bytes < MB ? `${(bytes / 1024).toFixed(1)}KB` : `${(bytes / MB).toFixed(1)}MB`;
+
+/**
+ * Combine a plan row and current usage into the dashboard view.
+ * @param {{ name, daily_bytes, monthly_bytes, monthly_tokens, max_file_size }} plan
+ * @param {{ dailyBytes: number, monthlyBytes: number, monthlyTokens: number }} usage
+ */
+const buildQuotaStatus = (plan, usage) => {
+  const limits = {
+    dailyBytes: plan.daily_bytes,
+    monthlyBytes: plan.monthly_bytes,
+    monthlyTokens: plan.monthly_tokens,
+    maxFileSize: plan.max_file_size
+  };
+
+  return {
+    plan: plan.name,
+    limits,
+    used: usage,
+    remaining: {
+      dailyBytes: remaining(limits.dailyBytes, usage.dailyBytes),
+      monthlyBytes: remaining(limits.monthlyBytes, usage.monthlyBytes),
+      monthlyTokens: remaining(limits.monthlyTokens, usage.monthlyTokens)
+    }
+  };
+};
+
+/**
+ * Throw if storing `bytes` more or creating `tokens` more would exceed the plan.
+ * `fileBytes` is the largest single file (defaults to `bytes`, i.e. one file).
+ * @throws {Error} "File too large for plan ..." or "Quota exceeded: ..."
+ */
+const checkQuota = (status, { bytes = 0, fileBytes = bytes, tokens = 0 } = {}) => {
+  const { plan, limits, remaining: left } = status;
+
+  if (limits.maxFileSize !== null && fileBytes > limits.maxFileSize) {
+    throw new Error(`File too large for plan ${plan}: ${formatSize(fileBytes)} exceeds ${formatSize(limits.maxFileSize)} per file`);
+  }
+  if (left.dailyBytes !== null && bytes > left.dailyBytes) {
+    throw new Error(`Quota exceeded: daily upload limit of plan ${plan} (${formatSize(limits.dailyBytes)}, ${formatSize(left.dailyBytes)} left)`);
+  }
+  if (left.monthlyBytes !== null && bytes > left.monthlyBytes) {
+    throw new Error(`Quota exceeded: monthly upload limit of plan ${plan} (${formatSize(limits.monthlyBytes)}, ${formatSize(left.monthlyBytes)} left)`);
+  }
+  if (left.monthlyTokens !== null && tokens > left.monthlyTokens) {
+    throw new Error(`Quota exceeded: monthly token limit of plan ${plan} (${limits.monthlyTokens} tokens)`);
+  }
+};
+
+export {
+  DEFAULT_PLANS,
+  QUOTA_CONFIG,
+  buildQuotaStatus,
+  checkQuota
+};
@@ -24,6 +24,7 @@ import {
 import { createUmi } from '@metaplex-foundation/umi-bundle-defaults';
 import { base58 } from '@metaplex-foundation/umi/serializers';
 import dotenv from 'dotenv';
+import { IrysServiceClient } from './irys-service-client.js';
 
 dotenv.config();
 
@@ -143,38 +144,24 @@ async function createSolanaTokenWithIrysMetadata(metadataUrl, tokenConfig) {
 // INTEGRATION WITH YOUR IRYS SERVICE
 // ========================================
 
-async function createTokenFromIrysService(walletAddress, tokenData, logoFile) {
+async function createTokenFromIrysService(sessionToken, tokenData, logoFile) {
   try {
     console.log('🎨 Step 1: Creating token assets via Irys service...');
 
     // Call your Irys API to create logo + metadata
-    const formData = new FormData();
-    formData.append('logo', logoFile);
-    formData.append('name', tokenData.name);
-    formData.append('symbol', tokenData.symbol);
-    formData.append('description', tokenData.description);
-    formData.append('website', tokenData.website || '');
-    if (tokenData.attributes) {
-      formData.append('attributes', JSON.stringify(tokenData.attributes));
-    }
-
-    const irysResponse = await fetch('http://localhost:3000/create-token', {
-      method: 'POST',
-      headers: {
-        'Wallet-Address': walletAddress
-      },
-      body: formData
+    const irysClient = new IrysServiceClient({
+      baseUrl: process.env.IRYS_API_URL || 'http://localhost:3000',
+      token: sessionToken // From POST /auth/verify (or irysClient.signIn)
     });
 
-    if (!irysResponse.ok) {
-      throw new Error('Failed to create token assets via Irys service');
-    }
-
-    const irysResult = await irysResponse.json();
-    
-    if (!irysResult.success) {
-      throw new Error(`Irys service error: ${irysResult.error}`);
-    }
+    // Throws ValidationError, AuthenticationError, QuotaExceededError, ... (see irys-service-client.js)
+    const irysResult = await irysClient.createToken({
+      name: tokenData.name,
+      symbol: tokenData.symbol,
+      description: tokenData.description,
+      website: tokenData.website,
+      attributes: tokenData.attributes
+    }, logoFile);
 
     console.log('✅ Step 1 Complete: Token assets created on Irys');
     console.log('🖼️  Logo URL:', irysResult.token.logoURL);
@@ -236,7 +223,7 @@ async function exampleUsage() {
     // Method 2: Complete workflow (Irys + Solana)
     /* 
     const completeResult = await createTokenFromIrysService(
-      '11111111111111111111111111111112', // Your wallet address
+      sessionToken, // From GET /auth/nonce + POST /auth/verify
       {
         name: 'My New Token',
         symbol: 'MNT',
@@ -0,0 +1,310 @@
+/**
+ * ========================================
+ * STORAGE PROVIDERS
+ * ========================================
+ *
+ * Pluggable storage backends behind one small interface, so the upload
+ * pipeline never hard-codes Uploader(Solana).withWallet(...):
+ *
+ *   provider.name                 -> 'irys' | 'local' | 'memory'
+ *   provider.createClient()       -> client with upload(data, { tags }) => { id }
+ *                                    getPrice(bytes), getLoadedBalance() and fund(amount),
+ *                                    all in atomic units (lamports)
+ *   provider.getPublicUrl(id)     -> public gateway URL for a transaction
+ *   provider.getPathUrl(id, path) -> URL of a file inside a path manifest
+ *   provider.getMutableUrl(rootId) -> URL that always serves the latest upload
+ *                                    tagged Root-TX: <rootId> (Irys mutable references)
+ *   provider.read(id)             -> { data, tags, contentType } (local only)
+ *   provider.resolvePath(id, path) -> manifest entry, like read() (local only)
+ *   provider.resolveMutable(rootId) -> latest item of a Root-TX chain, like read() (local only)
+ *
+ * STORAGE_PROVIDER=local|memory runs the full token flow without a funded
+ * key or network access (CI, laptops). Content is served by GET /gateway/:id.
+ */
+
+import { Uploader } from "@irys/upload";
+import { Solana } from "@irys/upload-solana";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from 'url';
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const STORAGE_CONFIG = {
+  PROVIDER: (process.env.STORAGE_PROVIDER || 'irys').toLowerCase(),
+  PRIVATE_KEY: process.env.SOLANA_PRIVATE_KEY,
+  IRYS_GATEWAY_URL: process.env.IRYS_GATEWAY_URL || 'https://gateway.irys.xyz',
+  LOCAL_STORAGE_DIR: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'data', 'local-storage'),
+  LOCAL_GATEWAY_URL: process.env.LOCAL_GATEWAY_URL || `http://localhost:${process.env.PORT || 3000}/gateway`,
+  // Deterministic stand-in pricing for local/memory (lamports)
+  LOCAL_BASE_PRICE: parseInt(process.env.LOCAL_BASE_PRICE) || 5000,
+  LOCAL_PRICE_PER_KB: parseInt(process.env.LOCAL_PRICE_PER_KB) || 100,
+  LOCAL_INITIAL_BALANCE: parseInt(process.env.LOCAL_INITIAL_BALANCE) || 1_000_000_000
+};
+
+const LAMPORTS_PER_SOL = 1_000_000_000;
+
+// Path manifests map relative paths to transactions: <gateway>/<manifestId>/<path>
+const MANIFEST_CONTENT_TYPE = 'application/x.irys-manifest+json';
+
+// Mutable references: later uploads carry Root-TX: <first upload>, <gateway>/mutable/<first upload> serves the newest
+const ROOT_TX_TAG = 'Root-TX';
+
+// Tags that differ on every upload of the same file; local IDs ignore them
+const VOLATILE_TAGS = ['Upload-Time', 'Session-ID'];
+
+// ========================================
+// HELPERS
+// ========================================
+
+const toBuffer = async (data) => {
+  if (Buffer.isBuffer(data)) return data;
+  if (typeof data === 'string') return Buffer.from(data);
+
+  // Readable stream
+  const chunks = [];
+  for await (const chunk of data) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Irys returns BigNumber amounts in atomic units (lamports on Solana)
+const toLamports = (amount) => Number(typeof amount?.toFixed === 'function' ? amount.toFixed(0) : amount);
+
+const getTagValue = (tags = [], name) =>
+  tags.find(tag => tag.name.toLowerCase() === name.toLowerCase())?.value;
+
+const encodePath = (filePath) => filePath.split('/').map(encodeURIComponent).join('/');
+
+// ========================================
+// IRYS PROVIDER (production)
+// ========================================
+
+class IrysStorageProvider {
+  constructor(options = {}) {
+    this.name = 'irys';
+    this.privateKey = options.privateKey || STORAGE_CONFIG.PRIVATE_KEY;
+    this.gatewayUrl = options.gatewayUrl || STORAGE_CONFIG.IRYS_GATEWAY_URL;
+  }
+
+  async createClient() {
+    return Uploader(Solana).withWallet(this.privateKey);
+  }
+
+  getPublicUrl(transactionId) {
+    return `${this.gatewayUrl}/${transactionId}`;
+  }
+
+  getPathUrl(manifestId, filePath) {
+    return `${this.gatewayUrl}/${manifestId}/${encodePath(filePath)}`;
+  }
+
+  getMutableUrl(rootId) {
+    return `${this.gatewayUrl}/mutable/${rootId}`;
+  }
+}
+
+// ========================================
+// LOCAL PROVIDER (filesystem or in-memory)
+// ========================================
+
+// Mimics the parts of the Irys uploader the service relies on
+class LocalStorageClient {
+  constructor(provider) {
+    this.provider = provider;
+    this.address = 'local';
+  }
+
+  async upload(data, { tags = [] } = {}) {
+    const buffer = await toBuffer(data);
+
+    // Charge the simulated node balance like Irys does
+    const price = await this.getPrice(buffer.length);
+    if (price > this.provider.balance) {
+      throw new Error(`Not enough balance for transaction: need ${price} lamports, have ${this.provider.balance}`);
+    }
+    this.provider.balance -= price;
+
+    // ⚡ Deterministic ID: payload + stable tags + anchor, where the anchor counts earlier
+    // uploads of the same item - a fresh store always yields the same IDs, yet like Irys
+    // every upload gets its own transaction
+    const stableTags = tags.filter(tag => !VOLATILE_TAGS.includes(tag.name));
+    const itemHash = crypto.createHash('sha256')
+      .update(buffer)
+      .update(JSON.stringify(stableTags));
+    let anchor = 0;
+    let id;
+    do {
+      id = itemHash.copy().update(`anchor:${anchor++}`).digest('base64url');
+    } while (this.provider.has(id));
+
+    this.provider.write(id, buffer, tags);
+
+    return { id, timestamp: Date.now() };
+  }
+
+  // Flat fee plus a per-KB rate, so quotes are stable across runs
+  async getPrice(bytes) {
+    return STORAGE_CONFIG.LOCAL_BASE_PRICE + Math.ceil(bytes / 1024) * STORAGE_CONFIG.LOCAL_PRICE_PER_KB;
+  }
+
+  async getLoadedBalance() {
+    return this.provider.balance;
+  }
+
+  // Same response shape as Irys fund(): { id, quantity, reward, target }
+  async fund(amount) {
+    const quantity = toLamports(amount);
+    this.provider.balance += quantity;
+
+    return {
+      id: crypto.randomBytes(32).toString('base64url'),
+      quantity: String(quantity),
+      reward: '0',
+      target: this.address
+    };
+  }
+}
+
+class LocalStorageProvider {
+  constructor(options = {}) {
+    this.inMemory = options.inMemory || false;
+    this.name = this.inMemory ? 'memory' : 'local';
+    this.storageDir = options.storageDir || STORAGE_CONFIG.LOCAL_STORAGE_DIR;
+    this.gatewayUrl = options.gatewayUrl || STORAGE_CONFIG.LOCAL_GATEWAY_URL;
+    this.items = new Map(); // id -> { data, tags } (in-memory mode)
+    this.heads = new Map(); // root ID -> latest ID of its Root-TX chain (in-memory mode)
+    this.balance = options.initialBalance ?? STORAGE_CONFIG.LOCAL_INITIAL_BALANCE; // simulated, per process
+
+    if (!this.inMemory && !fs.existsSync(this.storageDir)) {
+      fs.mkdirSync(this.storageDir, { recursive: true });
+    }
+  }
+
+  async createClient() {
+    return new LocalStorageClient(this);
+  }
+
+  getPublicUrl(transactionId) {
+    return `${this.gatewayUrl}/${transactionId}`;
+  }
+
+  getPathUrl(manifestId, filePath) {
+    return `${this.gatewayUrl}/${manifestId}/${encodePath(filePath)}`;
+  }
+
+  getMutableUrl(rootId) {
+    return `${this.gatewayUrl}/mutable/${rootId}`;
+  }
+
+  has(id) {
+    return this.inMemory ? this.items.has(id) : fs.existsSync(path.join(this.storageDir, id));
+  }
+
+  write(id, data, tags) {
+    const rootId = getTagValue(tags, ROOT_TX_TAG);
+
+    if (this.inMemory) {
+      this.items.set(id, { data, tags });
+      if (rootId) this.heads.set(rootId, id);
+      return;
+    }
+
+    fs.writeFileSync(path.join(this.storageDir, id), data);
+    fs.writeFileSync(path.join(this.storageDir, `${id}.tags.json`), JSON.stringify(tags, null, 2));
+    if (rootId) fs.writeFileSync(path.join(this.storageDir, `${rootId}.head`), id);
+  }
+
+  // Returns null when the transaction is unknown
+  read(id) {
+    if (!/^[A-Za-z0-9_-]{43}$/.test(id)) return null;
+
+    let item = null;
+    if (this.inMemory) {
+      item = this.items.get(id) || null;
+    } else {
+      const dataPath = path.join(this.storageDir, id);
+      if (fs.existsSync(dataPath)) {
+        item = {
+          data: fs.readFileSync(dataPath),
+          tags: JSON.parse(fs.readFileSync(`${dataPath}.tags.json`, 'utf8'))
+        };
+      }
+    }
+
+    if (!item) return null;
+
+    return {
+      ...item,
+      contentType: getTagValue(item.tags, 'Content-Type') || 'application/octet-stream'
+    };
+  }
+
+  // What the Irys gateway serves at <manifestId>/<path> (index when path is empty)
+  resolvePath(manifestId, filePath = '') {
+    const manifestItem = this.read(manifestId);
+    if (!manifestItem || manifestItem.contentType !== MANIFEST_CONTENT_TYPE) return null;
+
+    const manifest = JSON.parse(manifestItem.data.toString('utf8'));
+    const entry = manifest.paths?.[filePath || manifest.index?.path];
+    return entry ? this.read(entry.id) : null;
+  }
+
+  // What the Irys gateway serves at mutable/<rootId>: the newest upload of the chain, the root itself before that
+  resolveMutable(rootId) {
+    if (!/^[A-Za-z0-9_-]{43}$/.test(rootId)) return null;
+
+    let headId = null;
+    if (this.inMemory) {
+      headId = this.heads.get(rootId) || null;
+    } else {
+      const headPath = path.join(this.storageDir, `${rootId}.head`);
+      headId = fs.existsSync(headPath) ? fs.readFileSync(headPath, 'utf8') : null;
+    }
+
+    return this.read(headId || rootId);
+  }
+}
+
+// ========================================
+// FACTORY
+// ========================================
+
+const createStorageProvider = (name = STORAGE_CONFIG.PROVIDER, options = {}) => {
+  switch (name) {
+    case 'irys':
+      return new IrysStorageProvider(options);
+    case 'local':
+      return new LocalStorageProvider(options);
+    case 'memory':
+      return new LocalStorageProvider({ ...options, inMemory: true });
+    default:
+      throw new Error(`Unknown storage provider: ${name} (expected irys, local or memory)`);
+  }
+};
+
+// Shared default provider, selected by STORAGE_PROVIDER
+const storageProvider = createStorageProvider();
+
+export {
+  storageProvider as default,
+  createStorageProvider,
+  IrysStorageProvider,
+  LocalStorageProvider,
+  STORAGE_CONFIG,
+  LAMPORTS_PER_SOL,
+  MANIFEST_CONTENT_TYPE,
+  ROOT_TX_TAG,
+  VOLATILE_TAGS,
+  toLamports
+};
@@ -0,0 +1,169 @@
+/**
+ * ========================================
+ * SVG SANITIZER
+ * ========================================
+ *
+ * SVG logos are permanent once on Irys and are served from the gateway,
+ * so active content is removed before upload:
+ * - <script>, <foreignObject>, <iframe>, <embed>, <object> elements
+ * - DOCTYPE / ENTITY declarations (entity expansion, XXE)
+ * - processing instructions other than the XML declaration (<?xml-stylesheet?> loads remote XSLT/CSS)
+ * - on* event handler attributes
+ * - remote or javascript: references (href, xlink:href, src, ...)
+ * - styles that import or reference remote resources
+ *
+ * SVG_SANITIZE_MODE=clean (default) strips and reports, =reject refuses the file.
+ */
+
+// Elements removed together with their content
+const BLOCKED_ELEMENTS = ['script', 'foreignobject', 'iframe', 'embed', 'object', 'handler', 'listener'];
+
+// Attributes that carry a URL
+const URL_ATTRIBUTES = ['href', 'xlink:href', 'src', 'action', 'formaction', 'data'];
+
+// Allowed URL forms: local fragments and inline raster images
+const SAFE_URL_PATTERN = /^(#|data:image\/(png|jpeg|gif|webp);)/i;
+
+// ========================================
+// HELPERS
+// ========================================
+
+const decodeEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&colon;/gi, ':')
+  .replace(/&tab;/gi, '')
+  .replace(/&newline;/gi, '')
+  .replace(/&amp;/gi, '&');
+
+// Normalized form used for scheme checks ("java\nscript:" -> "javascript:")
+const normalizeValue = (value) => decodeEntities(value).replace(/[\s\u0000-\u001f]+/g, '').toLowerCase();
+
+const hasUnsafeStyle = (css) => {
+  const normalized = normalizeValue(css);
+  if (normalized.includes('@import') || normalized.includes('expression(') || normalized.includes('javascript:')) {
+    return true;
+  }
+  const urls = normalized.match(/url\(([^)]*)\)/g) || [];
+  return urls.some(url => !SAFE_URL_PATTERN.test(url.slice(4, -1).replace(/^['"]|['"]$/g, '')));
+};
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+
+// Returns a reason string if the attribute must go, otherwise null
+const checkAttribute = (name, rawValue) => {
+  const attr = name.toLowerCase();
+  const value = rawValue === undefined ? '' : rawValue.replace(/^["']|["']$/g, '');
+  const normalized = normalizeValue(value);
+
+  if (attr.startsWith('on')) return 'event handler';
+  if (URL_ATTRIBUTES.includes(attr) && normalized && !SAFE_URL_PATTERN.test(normalized)) return 'remote reference';
+  if (normalized.includes('javascript:') || normalized.includes('vbscript:')) return 'script URL';
+  if (attr === 'style' && hasUnsafeStyle(value)) return 'unsafe style';
+
+  return null;
+};
+
+// ========================================
+// SANITIZER
+// ========================================
+
+/**
+ * Strip active content from an SVG document.
+ * @param {string} svg - SVG source
+ * @returns {{ svg: string, removed: Array<{ type: string, name: string, reason: string }>, modified: boolean }}
+ */
+const sanitizeSvg = (svg) => {
+  const removed = [];
+  let output = svg;
+
+  // 1. Declarations that enable entity expansion / external entities
+  output = output.replace(/<!DOCTYPE(?:[^[>]*\[[\s\S]*?\])?[^>]*>/gi, () => {
+    removed.push({ type: 'declaration', name: 'DOCTYPE', reason: 'entity declarations' });
+    return '';
+  });
+  output = output.replace(/<!ENTITY[^>]*>/gi, () => {
+    removed.push({ type: 'declaration', name: 'ENTITY', reason: 'entity declarations' });
+    return '';
+  });
+
+  // 2. Processing instructions; only the XML declaration (<?xml version=...?>) stays
+  output = output.replace(/<\?([^\s?>]*)[\s\S]*?\?>/g, (match, target) => {
+    if (target.toLowerCase() === 'xml') return match;
+    removed.push({
+      type: 'instruction',
+      name: target || '?',
+      reason: target.toLowerCase() === 'xml-stylesheet' ? 'remote reference' : 'processing instruction'
+    });
+    return '';
+  });
+
+  // 3. Blocked elements, with content (paired) or self-closing
+  for (const element of BLOCKED_ELEMENTS) {
+    const paired = new RegExp(`<(?:[\\w-]+:)?${element}\\b[^>]*>[\\s\\S]*?<\\/(?:[\\w-]+:)?${element}\\s*>`, 'gi');
+    const single = new RegExp(`<\\/?(?:[\\w-]+:)?${element}\\b[^>]*>`, 'gi');
+    output = output.replace(paired, (match) => {
+      removed.push({ type: 'element', name: match.match(/^<([^\s>/]+)/)[1], reason: 'active content' });
+      return '';
+    });
+    output = output.replace(single, (match) => {
+      removed.push({ type: 'element', name: match.match(/^<\/?([^\s>/]+)/)[1], reason: 'active content' });
+      return '';
+    });
+  }
+
+  // 4. <style> elements that pull remote resources
+  output = output.replace(/<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi, (match, css) => {
+    if (!hasUnsafeStyle(css)) return match;
+    removed.push({ type: 'element', name: 'style', reason: 'unsafe style' });
+    return '';
+  });
+
+  // 5. Attributes on every remaining start tag
+  output = output.replace(/<([a-zA-Z][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g,
+    (match, tagName, attributes, selfClosing) => {
+      let changed = false;
+      const kept = attributes.replace(ATTRIBUTE_PATTERN, (attrMatch, name, value) => {
+        const reason = checkAttribute(name, value);
+        if (!reason) return attrMatch;
+        changed = true;
+        removed.push({ type: 'attribute', name: `${tagName}@${name}`, reason });
+        return '';
+      });
+      if (!changed) return match;
+      const cleaned = kept.replace(/\s+/g, ' ').trim();
+      return `<${tagName}${cleaned ? ' ' + cleaned : ''}${selfClosing ? ' /' : ''}>`;
+    });
+
+  return { svg: output, removed, modified: removed.length > 0 };
+};
+
+/**
+ * Apply the configured SVG policy to an upload buffer.
+ * @param {Buffer} buffer - SVG file content
+ * @param {'clean'|'reject'} mode
+ * @returns {{ data: Buffer, report: { mode: string, modified: boolean, removed: Array } }}
+ * @throws {Error} "Unsafe SVG content: ..." in reject mode when anything would be removed
+ */
+const applySvgPolicy = (buffer, mode = 'clean') => {
+  const result = sanitizeSvg(buffer.toString('utf8'));
+
+  if (result.modified && mode === 'reject') {
+    const summary = [...new Set(result.removed.map(item => `${item.name} (${item.reason})`))].join(', ');
+    throw new Error(`Unsafe SVG content: ${summary}`);
+  }
+
+  return {
+    data: result.modified ? Buffer.from(result.svg, 'utf8') : buffer,
+    report: {
+      mode,
+      modified: result.modified,
+      removed: result.removed
+    }
+  };
+};
+
+export {
+  sanitizeSvg,
+  applySvgPolicy
+};
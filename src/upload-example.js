@@ -1,6 +1,10 @@
 // src/upload-example.js
+// Usage: node src/upload-example.js <owner wallet address>
+// (for day-to-day uploads use the CLI: irys-storage create-token --help)
 import { createTokenAssets } from './irys-upload-service-final.js';
 
+const walletAddress = process.argv[2];
+
 const uploadToken = async () => {
   const tokenData = {
     name: "My Token",
@@ -14,8 +18,14 @@ const uploadToken = async () => {
     ]
   };
 
+  if (!walletAddress) {
+    console.error('❌ Pass the owner wallet address: node src/upload-example.js <wallet>');
+    process.exitCode = 1;
+    return;
+  }
+
   try {
-    const result = await createTokenAssets(tokenData);
+    const result = await createTokenAssets(tokenData, walletAddress);
     
     console.log('✅ Token Created!');
     console.log('Logo URL:', result.logoURL);
@@ -7,19 +7,23 @@ import sqlite3 from 'sqlite3';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// ✅ FIXED: Proper database path (USERS_DATABASE_PATH overrides data/users.db)
+const dbPath = process.env.USERS_DATABASE_PATH || path.join(__dirname, '..', 'data', 'users.db');
+
 // ✅ FIXED: Create data directory if it doesn't exist
-const dataDir = path.join(__dirname, '..', 'data');
+const dataDir = path.dirname(dbPath);
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
   console.log('📁 Created data directory:', dataDir);
 }
 
-// ✅ FIXED: Proper database path
-const dbPath = path.join(dataDir, 'users.db');
 console.log('📊 Database path:', dbPath);
 
 // Initialize SQLite database with better error handling
@@ -35,8 +39,8 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
-// Create tables on initialization
-const initializeDatabase = () => {
+// Create tables on initialization; resolves once migrations and indexes ran
+const initializeDatabase = () => new Promise((resolve) => {
   const createTables = `
     -- User sessions table
     CREATE TABLE IF NOT EXISTS user_sessions (
@@ -60,6 +64,24 @@ const initializeDatabase = () => {
       file_type TEXT NOT NULL,
       public_url TEXT NOT NULL,
       upload_time INTEGER NOT NULL,
+      content_hash TEXT, -- SHA-256 of the stored bytes (deduplication)
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES user_sessions (user_id)
+    );
+
+    -- Token assets (logo + metadata of one token)
+    CREATE TABLE IF NOT EXISTS token_assets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      token_name TEXT NOT NULL,
+      token_symbol TEXT NOT NULL,
+      logo_transaction_id TEXT NOT NULL,
+      logo_url TEXT NOT NULL,
+      metadata_transaction_id TEXT NOT NULL,
+      metadata_url TEXT NOT NULL,
+      metadata_json TEXT NOT NULL,
+      root_transaction_id TEXT NOT NULL,
+      session_id TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES user_sessions (user_id)
     );
@@ -89,9 +111,23 @@ const initializeDatabase = () => {
   db.exec(createTables, (err) => {
     if (err) {
       console.error('❌ Database initialization failed:', err.message);
+      resolve();
     } else {
       console.log('✅ Database tables initialized');
-      createIndexes();
+      db.serialize(() => {
+        runMigrations();
+        createIndexes();
+        db.get('SELECT 1;', () => resolve());
+      });
+    }
+  });
+});
+
+// Bring databases created by earlier versions up to the current schema
+const runMigrations = () => {
+  db.run('ALTER TABLE upload_history ADD COLUMN content_hash TEXT;', (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('❌ Migration failed:', err.message);
     }
   });
 };
@@ -101,6 +137,8 @@ const createIndexes = () => {
   const indexes = [
     'CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);',
     'CREATE INDEX IF NOT EXISTS idx_upload_history_user_id ON upload_history(user_id);',
+    'CREATE INDEX IF NOT EXISTS idx_upload_history_content_hash ON upload_history(content_hash);',
+    'CREATE INDEX IF NOT EXISTS idx_token_assets_user_id ON token_assets(user_id);',
     'CREATE INDEX IF NOT EXISTS idx_rate_limits_user_id_time ON rate_limits(user_id, request_time);',
     'CREATE INDEX IF NOT EXISTS idx_active_uploads_user_id ON active_uploads(user_id);'
   ];
@@ -145,8 +183,8 @@ class UserManager {
         // Insert upload record
         const uploadSQL = `
           INSERT INTO upload_history 
-          (user_id, transaction_id, file_name, file_size, file_type, public_url, upload_time)
-          VALUES (?, ?, ?, ?, ?, ?, ?);
+          (user_id, transaction_id, file_name, file_size, file_type, public_url, upload_time, content_hash)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?);
         `;
         
         db.run(uploadSQL, [
@@ -156,7 +194,8 @@ class UserManager {
           uploadData.fileSize,
           uploadData.contentType,
           uploadData.publicURL,
-          uploadData.uploadTime
+          uploadData.uploadTime,
+          uploadData.contentHash || null
         ], function(err) {
           if (err) {
             reject(err);
@@ -187,7 +226,8 @@ class UserManager {
   // Check rate limiting
   static async checkRateLimit(userId, ipAddress, timeWindowMs = 60000, maxRequests = 60) {
     return new Promise((resolve, reject) => {
-      const cutoffTime = new Date(Date.now() - timeWindowMs).toISOString();
+      // request_time is SQLite CURRENT_TIMESTAMP (UTC 'YYYY-MM-DD HH:MM:SS'), not ISO
+      const cutoffTime = new Date(Date.now() - timeWindowMs).toISOString().replace('T', ' ').slice(0, 19);
       
       const sql = `
         SELECT COUNT(*) as request_count
@@ -280,6 +320,7 @@ class UserManager {
           u.total_size_bytes,
           u.created_at,
           u.last_activity,
+          (SELECT COUNT(*) FROM token_assets t WHERE t.user_id = u.user_id) as token_count,
           COUNT(a.id) as active_uploads
         FROM user_sessions u
         LEFT JOIN active_uploads a ON u.user_id = a.user_id AND a.status = 'uploading'
@@ -297,6 +338,79 @@ class UserManager {
     });
   }
 
+  // Earliest upload of identical content (optionally this user's only)
+  static async findUploadByHash(contentHash, userId = null) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT transaction_id, public_url, user_id, file_type, created_at
+        FROM upload_history
+        WHERE content_hash = ? ${userId ? 'AND user_id = ?' : ''}
+        ORDER BY id ASC
+        LIMIT 1;
+      `;
+
+      db.get(sql, userId ? [contentHash, userId] : [contentHash], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  // Record a token's logo + metadata uploads
+  static async recordTokenAsset(userId, tokenData, logoData, metadataData, sessionId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO token_assets
+        (user_id, token_name, token_symbol, logo_transaction_id, logo_url,
+         metadata_transaction_id, metadata_url, metadata_json, root_transaction_id, session_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `;
+
+      db.run(sql, [
+        userId,
+        tokenData.name,
+        tokenData.symbol,
+        logoData.transactionId,
+        logoData.publicURL,
+        metadataData.transactionId,
+        metadataData.publicURL,
+        JSON.stringify(tokenData.metadata),
+        metadataData.transactionId,
+        sessionId
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ tokenId: this.lastID });
+        }
+      });
+    });
+  }
+
+  // Get recent tokens for user
+  static async getUserTokens(userId, limit = 10) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, token_name, token_symbol, logo_url, metadata_url, metadata_json, root_transaction_id, created_at
+        FROM token_assets
+        WHERE user_id = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?;
+      `;
+
+      db.all(sql, [userId, limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
   // Get recent uploads for user
   static async getRecentUploads(userId, limit = 10) {
     return new Promise((resolve, reject) => {
@@ -319,8 +433,8 @@ class UserManager {
   }
 }
 
-// Initialize database on module load
-initializeDatabase();
+// Initialize database on module load (UserManager.ready resolves when the schema is up to date)
+UserManager.ready = initializeDatabase();
 
 // Export database and manager
 export { db, UserManager };
@@ -13,6 +13,7 @@ class JSONUserManager {
     this.usersFile = path.join(dataDir, 'users.json');
     this.uploadsFile = path.join(dataDir, 'uploads.json');
     this.rateLimitsFile = path.join(dataDir, 'rate_limits.json');
+    this.tokensFile = path.join(dataDir, 'tokens.json');
     
     this.ensureDataDir();
     this.loadData();
@@ -54,6 +55,16 @@ class JSONUserManager {
       console.error('Error loading rate limits:', error.message);
       this.rateLimits = {};
     }
+
+    // Load tokens
+    try {
+      this.tokens = fs.existsSync(this.tokensFile)
+        ? JSON.parse(fs.readFileSync(this.tokensFile, 'utf8'))
+        : {};
+    } catch (error) {
+      console.error('Error loading tokens:', error.message);
+      this.tokens = {};
+    }
   }
 
   saveData() {
@@ -61,6 +72,7 @@ class JSONUserManager {
       fs.writeFileSync(this.usersFile, JSON.stringify(this.users, null, 2));
       fs.writeFileSync(this.uploadsFile, JSON.stringify(this.uploads, null, 2));
       fs.writeFileSync(this.rateLimitsFile, JSON.stringify(this.rateLimits, null, 2));
+      fs.writeFileSync(this.tokensFile, JSON.stringify(this.tokens, null, 2));
     } catch (error) {
       console.error('Error saving data:', error.message);
     }
@@ -102,6 +114,7 @@ class JSONUserManager {
       contentType: uploadData.contentType,
       publicURL: uploadData.publicURL,
       uploadTime: uploadData.uploadTime,
+      contentHash: uploadData.contentHash || null,
       createdAt: new Date().toISOString()
     };
 
@@ -171,10 +184,55 @@ class JSONUserManager {
       totalSizeBytes: user.totalSizeBytes,
       createdAt: user.createdAt,
       lastActivity: user.lastActivity,
+      tokenCount: (this.tokens[userId] || []).length,
       recentUploads: userUploads.slice(-5) // Last 5 uploads
     };
   }
 
+  // Earliest upload of identical content (optionally this user's only)
+  findUploadByHash(contentHash, userId = null) {
+    const userIds = userId ? [userId] : Object.keys(this.uploads);
+    const matches = userIds
+      .flatMap(id => (this.uploads[id] || []).map(upload => ({ ...upload, userId: id })))
+      .filter(upload => upload.contentHash === contentHash)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    return matches[0] || null;
+  }
+
+  // Record a token's logo + metadata uploads
+  recordTokenAsset(userId, tokenData, logoData, metadataData, sessionId) {
+    if (!this.tokens[userId]) {
+      this.tokens[userId] = [];
+    }
+
+    const tokenId = Object.values(this.tokens).reduce((count, tokens) => count + tokens.length, 0) + 1;
+    this.tokens[userId].push({
+      id: tokenId,
+      name: tokenData.name,
+      symbol: tokenData.symbol,
+      logoTransactionId: logoData.transactionId,
+      logoURL: logoData.publicURL,
+      metadataTransactionId: metadataData.transactionId,
+      metadataURL: metadataData.publicURL,
+      metadata: tokenData.metadata,
+      rootTransactionId: metadataData.transactionId,
+      sessionId: sessionId,
+      createdAt: new Date().toISOString()
+    });
+
+    this.saveData();
+    return { tokenId };
+  }
+
+  // Get recent tokens
+  getUserTokens(userId, limit = 10) {
+    const userTokens = this.tokens[userId] || [];
+    return [...userTokens]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id)
+      .slice(0, limit);
+  }
+
   // Get recent uploads
   getRecentUploads(userId, limit = 10) {
     const userUploads = this.uploads[userId] || [];
@@ -0,0 +1,126 @@
+/**
+ * ========================================
+ * USER-ID STORES (users.db / JSON)
+ * ========================================
+ *
+ * Lets the upload core (IrysUploadService) persist to the multi-user
+ * service's stores instead of irys_production.db:
+ *   new IrysUploadService({ store: new UserManagerStore(UserManager), identity: 'user' })
+ *
+ * A store implements the part of ProductionDatabase that upload, token and
+ * dashboard operations use (all methods return Promises):
+ *   name, ready
+ *   createOrUpdateUser(id), checkRateLimit(id, ip)
+ *   recordUpload(id, upload), recordTokenAsset(id, token, logo, metadata, sessionId) -> { tokenId }
+ *   findUploadByHash(hash, id?) -> earlier upload or null
+ *   getUserDashboard(id), getRecentUploads(id, limit), getUserTokens(id, limit)
+ * Optional: getUserPlan + getQuotaUsage (plans and quotas), deleteRateLimitsBefore(date),
+ *   getUserCollections + recordCollection (collections), getTokenAsset + recordTokenRevision
+ *   (revisions), recordManifest (folder uploads) - without them those operations throw
+ *   "... are not supported by the <name> store" before uploading anything
+ *
+ * users.db and the JSON files keep content hashes (deduplication) and tokens,
+ * but no plans, collections, revisions or manifests: no quota applies.
+ */
+
+import { CONFIG } from "./irys-upload-service-final.js";
+
+// ========================================
+// STORE
+// ========================================
+
+class UserManagerStore {
+  /**
+   * @param {object} manager - UserManager from user-database.js (async, static) or a
+   *   JSONUserManager instance (sync); both expose the same method names
+   * @param {{ name?: string }} options
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.name = options.name || 'SQLite (users.db)';
+    this.ready = Promise.resolve(manager.ready);
+  }
+
+  async createOrUpdateUser(userId) {
+    return this.manager.createOrGetUser(userId);
+  }
+
+  async checkRateLimit(userId, ipAddress) {
+    return this.manager.checkRateLimit(userId, ipAddress, CONFIG.RATE_LIMIT_WINDOW, CONFIG.RATE_LIMIT_PER_MINUTE);
+  }
+
+  // Deduplicated uploads reuse an existing transaction - nothing new was stored
+  async recordUpload(userId, uploadData) {
+    if (uploadData.deduplicated) {
+      return { uploadId: null, deduplicated: true };
+    }
+    return this.manager.recordUpload(userId, uploadData);
+  }
+
+  async recordTokenAsset(userId, tokenData, logoData, metadataData, sessionId) {
+    return this.manager.recordTokenAsset(userId, tokenData, logoData, metadataData, sessionId);
+  }
+
+  // Same row shape as ProductionDatabase.findUploadByHash
+  async findUploadByHash(contentHash, userId = null) {
+    const upload = await this.manager.findUploadByHash(contentHash, userId);
+    if (!upload) return null;
+
+    return {
+      transaction_id: upload.transaction_id ?? upload.transactionId,
+      public_url: upload.public_url ?? upload.publicURL,
+      wallet_address: upload.user_id ?? upload.userId,
+      file_type: upload.file_type ?? upload.contentType,
+      created_at: upload.created_at ?? upload.createdAt
+    };
+  }
+
+  // Same row shape as ProductionDatabase.getUserDashboard
+  async getUserDashboard(userId) {
+    const stats = await this.manager.getUserStats(userId);
+    if (!stats) return null;
+
+    return {
+      wallet_address: stats.user_id ?? stats.userId,
+      total_uploads: stats.total_uploads ?? stats.totalUploads,
+      total_size_bytes: stats.total_size_bytes ?? stats.totalSizeBytes,
+      created_at: stats.created_at ?? stats.createdAt,
+      last_activity: stats.last_activity ?? stats.lastActivity,
+      token_count: stats.token_count ?? stats.tokenCount
+    };
+  }
+
+  async getRecentUploads(userId, limit = 20) {
+    const uploads = await this.manager.getRecentUploads(userId, limit);
+
+    return uploads.map(upload => ({
+      transaction_id: upload.transaction_id ?? upload.transactionId,
+      file_name: upload.file_name ?? upload.fileName,
+      file_size: upload.file_size ?? upload.fileSize,
+      file_type: upload.file_type ?? upload.contentType,
+      public_url: upload.public_url ?? upload.publicURL,
+      upload_time_ms: upload.upload_time ?? upload.uploadTime,
+      created_at: upload.created_at ?? upload.createdAt
+    }));
+  }
+
+  // Same row shape as ProductionDatabase.getUserTokens
+  async getUserTokens(userId, limit = 20) {
+    const tokens = await this.manager.getUserTokens(userId, limit);
+
+    return tokens.map(token => ({
+      id: token.id,
+      token_name: token.token_name ?? token.name,
+      token_symbol: token.token_symbol ?? token.symbol,
+      logo_url: token.logo_url ?? token.logoURL,
+      metadata_url: token.metadata_url ?? token.metadataURL,
+      metadata_json: token.metadata_json ? JSON.parse(token.metadata_json) : token.metadata,
+      root_transaction_id: token.root_transaction_id ?? token.rootTransactionId,
+      created_at: token.created_at ?? token.createdAt
+    }));
+  }
+}
+
+export {
+  UserManagerStore
+};
@@ -0,0 +1,283 @@
+/**
+ * ========================================
+ * WALLET SIGNATURE AUTHENTICATION
+ * ========================================
+ *
+ * Challenge/response login for Solana wallets:
+ * 1. Client requests a nonce for its wallet (GET /auth/nonce)
+ * 2. Wallet signs the returned message (ed25519, e.g. Phantom signMessage)
+ * 3. Client posts the base58 signature (POST /auth/verify)
+ * 4. Server verifies locally and issues a short-lived session token
+ *
+ * Verification is fully local (tweetnacl) - no RPC calls required.
+ */
+
+import express from "express";
+import nacl from "tweetnacl";
+import bs58 from "bs58";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const AUTH_CONFIG = {
+  NONCE_TTL: parseInt(process.env.AUTH_NONCE_TTL) || 5 * 60 * 1000, // 5 minutes
+  SESSION_TTL: parseInt(process.env.AUTH_SESSION_TTL) || 60 * 60 * 1000, // 1 hour
+  CLEANUP_INTERVAL: 60 * 1000, // 1 minute
+  // GET /auth/nonce is unauthenticated: bound what it can make the server hold
+  MAX_NONCES_PER_WALLET: parseInt(process.env.AUTH_MAX_NONCES_PER_WALLET) || 5,
+  MAX_NONCES_PER_IP: parseInt(process.env.AUTH_MAX_NONCES_PER_IP) || 20,
+  MAX_PENDING_NONCES: parseInt(process.env.AUTH_MAX_PENDING_NONCES) || 10000,
+  APP_NAME: process.env.AUTH_APP_NAME || 'Irys Upload Service'
+};
+
+// ========================================
+// HELPERS
+// ========================================
+
+// Decode a base58 Solana public key, returns null if invalid
+const decodePublicKey = (walletAddress) => {
+  try {
+    const bytes = bs58.decode(walletAddress);
+    return bytes.length === nacl.sign.publicKeyLength ? bytes : null;
+  } catch {
+    return null;
+  }
+};
+
+const isValidWalletAddress = (walletAddress) =>
+  typeof walletAddress === 'string' && decodePublicKey(walletAddress) !== null;
+
+const buildSignInMessage = (walletAddress, nonce, issuedAt) => [
+  `${AUTH_CONFIG.APP_NAME} wants you to sign in with your Solana account:`,
+  walletAddress,
+  '',
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`
+].join('\n');
+
+// ========================================
+// AUTH MANAGER
+// ========================================
+
+class WalletAuthManager {
+  constructor(options = {}) {
+    this.nonceTTL = options.nonceTTL || AUTH_CONFIG.NONCE_TTL;
+    this.sessionTTL = options.sessionTTL || AUTH_CONFIG.SESSION_TTL;
+    this.maxNoncesPerWallet = options.maxNoncesPerWallet || AUTH_CONFIG.MAX_NONCES_PER_WALLET;
+    this.maxNoncesPerIp = options.maxNoncesPerIp || AUTH_CONFIG.MAX_NONCES_PER_IP;
+    this.maxPendingNonces = options.maxPendingNonces || AUTH_CONFIG.MAX_PENDING_NONCES;
+    this.nonces = new Map();   // nonce -> { walletAddress, message, expiresAt }
+    this.pending = new Map();  // 'wallet:<address>' | 'ip:<address>' -> nonces, oldest first
+    this.sessions = new Map(); // token -> { walletAddress, expiresAt }
+
+    this.cleanupTimer = setInterval(() => this.cleanupExpired(), AUTH_CONFIG.CLEANUP_INTERVAL);
+    this.cleanupTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.cleanupTimer);
+  }
+
+  // Step 1: issue a single-use challenge for a wallet. A wallet or IP with too many
+  // pending challenges loses its oldest one; a full table rejects new ones.
+  issueNonce(walletAddress, ipAddress = null) {
+    if (!isValidWalletAddress(walletAddress)) {
+      throw new Error('Invalid wallet address: expected base58 ed25519 public key');
+    }
+
+    if (this.nonces.size >= this.maxPendingNonces) {
+      this.cleanupExpired();
+      if (this.nonces.size >= this.maxPendingNonces) {
+        throw new Error('Too many pending sign-ins, try again later');
+      }
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date().toISOString();
+    const expiresAt = Date.now() + this.nonceTTL;
+    const message = buildSignInMessage(walletAddress, nonce, issuedAt);
+
+    this.nonces.set(nonce, { walletAddress, message, expiresAt });
+    this.trackNonce(`wallet:${walletAddress}`, nonce, this.maxNoncesPerWallet);
+    if (ipAddress) this.trackNonce(`ip:${ipAddress}`, nonce, this.maxNoncesPerIp);
+
+    return { walletAddress, nonce, message, issuedAt, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Keep at most `limit` pending nonces under a wallet/IP key, dropping the oldest
+  trackNonce(key, nonce, limit) {
+    const nonces = (this.pending.get(key) || []).filter(pendingNonce => this.nonces.has(pendingNonce));
+    while (nonces.length >= limit) {
+      this.nonces.delete(nonces.shift());
+    }
+    nonces.push(nonce);
+    this.pending.set(key, nonces);
+  }
+
+  // Step 2: verify the signed challenge and open a session
+  verifySignature(walletAddress, nonce, signature) {
+    const challenge = this.nonces.get(nonce);
+
+    // Nonces are single-use, regardless of the outcome
+    this.nonces.delete(nonce);
+
+    if (!challenge || challenge.expiresAt < Date.now()) {
+      throw new Error('Invalid or expired nonce');
+    }
+
+    if (challenge.walletAddress !== walletAddress) {
+      throw new Error('Nonce was not issued for this wallet');
+    }
+
+    const publicKey = decodePublicKey(walletAddress);
+    let signatureBytes;
+    try {
+      signatureBytes = bs58.decode(signature);
+    } catch {
+      throw new Error('Invalid signature encoding: expected base58');
+    }
+
+    const valid = signatureBytes.length === nacl.sign.signatureLength &&
+      nacl.sign.detached.verify(new TextEncoder().encode(challenge.message), signatureBytes, publicKey);
+
+    if (!valid) {
+      throw new Error('Invalid signature');
+    }
+
+    return this.createSession(walletAddress);
+  }
+
+  createSession(walletAddress) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + this.sessionTTL;
+
+    this.sessions.set(token, { walletAddress, expiresAt });
+
+    return { token, walletAddress, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Resolve a session token to its wallet address (null if unknown/expired)
+  getSessionWallet(token) {
+    if (!token) return null;
+
+    const session = this.sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    return session.walletAddress;
+  }
+
+  revokeSession(token) {
+    return this.sessions.delete(token);
+  }
+
+  cleanupExpired() {
+    const now = Date.now();
+    for (const [nonce, challenge] of this.nonces) {
+      if (challenge.expiresAt < now) this.nonces.delete(nonce);
+    }
+    for (const [key, nonces] of this.pending) {
+      const remaining = nonces.filter(nonce => this.nonces.has(nonce));
+      if (remaining.length > 0) this.pending.set(key, remaining);
+      else this.pending.delete(key);
+    }
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(token);
+    }
+  }
+
+  getStats() {
+    return {
+      pendingNonces: this.nonces.size,
+      activeSessions: this.sessions.size
+    };
+  }
+}
+
+// Extract "Authorization: Bearer <token>"
+const extractBearerToken = (req) => {
+  const header = req.headers['authorization'] || '';
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token.trim() : null;
+};
+
+// ========================================
+// AUTH ROUTES (shared by both APIs)
+// ========================================
+
+const createAuthRouter = (walletAuth) => {
+  const router = express.Router();
+
+  // GET /auth/nonce?wallet=<address>
+  router.get('/auth/nonce', (req, res) => {
+    const walletAddress = req.query.wallet || req.query.walletAddress;
+
+    try {
+      const challenge = walletAuth.issueNonce(walletAddress, req.ip);
+      res.json({
+        success: true,
+        ...challenge,
+        instructions: 'Sign "message" with your wallet and POST { walletAddress, nonce, signature } to /auth/verify'
+      });
+    } catch (error) {
+      res.status(error.message.startsWith('Too many') ? 429 : 400).json({
+        success: false,
+        error: error.message,
+        example: '/auth/nonce?wallet=11111111111111111111111111111112'
+      });
+    }
+  });
+
+  // POST /auth/verify { walletAddress, nonce, signature }
+  router.post('/auth/verify', (req, res) => {
+    const { walletAddress, nonce, signature } = req.body || {};
+
+    if (!walletAddress || !nonce || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['walletAddress', 'nonce', 'signature']
+      });
+    }
+
+    try {
+      const session = walletAuth.verifySignature(walletAddress, nonce, signature);
+      res.json({
+        success: true,
+        tokenType: 'Bearer',
+        ...session
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // POST /auth/logout (Authorization: Bearer <token>)
+  router.post('/auth/logout', (req, res) => {
+    const token = extractBearerToken(req);
+    res.json({ success: true, revoked: token ? walletAuth.revokeSession(token) : false });
+  });
+
+  return router;
+};
+
+export {
+  WalletAuthManager,
+  createAuthRouter,
+  AUTH_CONFIG,
+  isValidWalletAddress,
+  buildSignInMessage,
+  extractBearerToken
+};
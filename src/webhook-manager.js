@@ -0,0 +1,389 @@
+/**
+ * ========================================
+ * WEBHOOK NOTIFICATIONS
+ * ========================================
+ *
+ * Wallets register HTTPS endpoints instead of polling after uploads:
+ *   POST /webhooks { url, events }   -> { id, secret }  (secret shown once)
+ *
+ * Events: upload.completed, upload.failed, token.assets.created
+ *
+ * Each delivery is a JSON POST:
+ *   { id, event, createdAt, data }
+ * with headers
+ *   X-Irys-Event, X-Irys-Delivery, X-Irys-Timestamp (unix seconds)
+ *   X-Irys-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${rawBody}`)
+ *
+ * Endpoints must resolve to public addresses: loopback, private, link-local
+ * and similar ranges are refused at registration, and every attempt connects
+ * only to an address checked during that connection's own DNS lookup, so a
+ * rebinding DNS server cannot swap in a private one (WEBHOOK_ALLOW_PRIVATE=true
+ * lifts this for local development). Redirects are not followed.
+ *
+ * Non-2xx responses and network errors are retried with exponential
+ * backoff (WEBHOOK_RETRY_BASE * 2^n) up to WEBHOOK_MAX_ATTEMPTS. Every
+ * delivery is tracked in the SQLite webhook_deliveries table; pending ones
+ * are picked up again after a restart.
+ */
+
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { CONFIG } from "./irys-upload-service-final.js";
+
+const WEBHOOK_EVENTS = ['upload.completed', 'upload.failed', 'token.assets.created'];
+const WEBHOOK_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+// How often due retries are looked up
+const SWEEP_INTERVAL = 1000;
+
+// Never delivered to: this host, private networks, link-local (cloud metadata), CGNAT, multicast, reserved
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const mappedIPv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mappedIPv4) return isPublicAddress(mappedIPv4);
+  return !NON_PUBLIC_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const notPublicError = (hostname, address) =>
+  new Error(`Invalid url: ${hostname} is not a public address (${address}); set WEBHOOK_ALLOW_PRIVATE=true for local receivers`);
+
+// dns.lookup for http.request: the socket connects to exactly the addresses checked here
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) return callback(notPublicError(hostname, blocked.address));
+
+    if (options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Resolve the URL's host and refuse non-public addresses.
+ * @throws {Error} "Invalid url: ..." when the host does not resolve or is not public
+ */
+const assertPublicHost = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+    } catch {
+      throw new Error(`Invalid url: ${hostname} does not resolve`);
+    }
+  }
+
+  const blocked = addresses.find(address => !isPublicAddress(address));
+  if (blocked) {
+    throw notPublicError(hostname, blocked);
+  }
+};
+
+/**
+ * POST a body and resolve with the response status (redirects are not followed).
+ * @param {{ headers: object, body: string, signal: AbortSignal, lookup?: Function }} options
+ */
+const postJson = (url, { headers, body, signal, lookup }) => new Promise((resolve, reject) => {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    signal,
+    ...(lookup ? { lookup } : {})
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Signature a receiver recomputes to verify a delivery.
+ * @param {string} secret - webhook secret
+ * @param {string|number} timestamp - X-Irys-Timestamp header
+ * @param {string} body - raw request body
+ */
+const signPayload = (secret, timestamp, body) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const parseEvents = (events) => {
+  if (events === undefined) return [...WEBHOOK_EVENTS];
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error(`Invalid events: expected a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid events: ${unknown.join(', ')} (supported: ${WEBHOOK_EVENTS.join(', ')})`);
+  }
+
+  return [...new Set(events)];
+};
+
+const parseUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Invalid url: expected an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Invalid url: expected an absolute http(s) URL');
+  }
+  return parsed.toString();
+};
+
+// ========================================
+// MANAGER
+// ========================================
+
+class WebhookManager {
+  constructor(irysService, options = {}) {
+    this.db = irysService.db;
+    this.timeout = options.timeout || CONFIG.WEBHOOK_TIMEOUT;
+    this.maxAttempts = options.maxAttempts || CONFIG.WEBHOOK_MAX_ATTEMPTS;
+    this.retryBase = options.retryBase || CONFIG.WEBHOOK_RETRY_BASE;
+    this.maxPerWallet = options.maxPerWallet || CONFIG.WEBHOOK_MAX_PER_WALLET;
+    this.allowPrivate = options.allowPrivate ?? CONFIG.WEBHOOK_ALLOW_PRIVATE;
+
+    this.timer = null;
+    this.inFlight = new Set(); // delivery IDs currently being sent
+    this.stats = { delivered: 0, failed: 0, retried: 0 };
+  }
+
+  // Sweep for due retries (including ones left by a previous process)
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweep().catch(error => {
+      console.error('❌ Webhook sweep failed:', error.message);
+    }), SWEEP_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ========================================
+  // REGISTRATION
+  // ========================================
+
+  async register(walletAddress, { url, events } = {}) {
+    if (!url) {
+      throw new Error('url is required');
+    }
+
+    const existing = await this.db.getWebhooks(walletAddress);
+    if (existing.length >= this.maxPerWallet) {
+      throw new Error(`Invalid request: at most ${this.maxPerWallet} webhooks per wallet`);
+    }
+
+    const parsedUrl = parseUrl(url);
+    if (!this.allowPrivate) {
+      await assertPublicHost(parsedUrl);
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      walletAddress,
+      url: parsedUrl,
+      secret: crypto.randomBytes(32).toString('hex'),
+      events: parseEvents(events)
+    };
+
+    await this.db.createWebhook(webhook);
+    console.log(`🔔 Webhook ${webhook.id} registered for ${walletAddress.slice(0,8)}... (${webhook.events.join(', ')})`);
+
+    // The secret is only ever returned here
+    return {
+      id: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+      secret: webhook.secret
+    };
+  }
+
+  async list(walletAddress) {
+    const webhooks = await this.db.getWebhooks(walletAddress);
+    return webhooks.map(webhook => this.describe(webhook));
+  }
+
+  async getOwnedWebhook(webhookId, walletAddress) {
+    const webhook = WEBHOOK_ID_PATTERN.test(webhookId) ? await this.db.getWebhook(webhookId) : null;
+
+    if (!webhook || webhook.wallet_address !== walletAddress) {
+      throw new Error('Webhook not found');
+    }
+    return webhook;
+  }
+
+  async remove(webhookId, walletAddress) {
+    const webhook = await this.getOwnedWebhook(webhookId, walletAddress);
+    await this.db.deactivateWebhook(webhook.id);
+    return { id: webhook.id, removed: true };
+  }
+
+  async getDeliveries(webhookId, walletAddress, limit = 50) {
+    const webhook = await this.getOwnedWebhook(webhookId, walletAddress);
+    const deliveries = await this.db.getWebhookDeliveries(webhook.id, limit);
+
+    return deliveries.map(delivery => ({
+      id: delivery.id,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      responseStatus: delivery.response_status,
+      error: delivery.error,
+      nextAttemptAt: delivery.next_attempt_at ? new Date(delivery.next_attempt_at).toISOString() : null,
+      createdAt: delivery.created_at,
+      deliveredAt: delivery.delivered_at
+    }));
+  }
+
+  describe(webhook) {
+    return {
+      id: webhook.id,
+      url: webhook.url,
+      events: JSON.parse(webhook.events_json),
+      createdAt: webhook.created_at
+    };
+  }
+
+  // ========================================
+  // DELIVERY
+  // ========================================
+
+  /**
+   * Queue an event for every subscribed webhook of the wallet.
+   * Never throws - notification problems must not fail the upload itself.
+   */
+  async notify(walletAddress, event, data) {
+    try {
+      const webhooks = (await this.db.getWebhooks(walletAddress))
+        .filter(webhook => JSON.parse(webhook.events_json).includes(event));
+
+      await Promise.all(webhooks.map(async (webhook) => {
+        const delivery = {
+          id: crypto.randomUUID(),
+          webhookId: webhook.id,
+          event,
+          payload: { event, createdAt: new Date().toISOString(), data },
+          nextAttemptAt: Date.now()
+        };
+
+        await this.db.createWebhookDelivery(delivery);
+        this.attempt({
+          id: delivery.id,
+          event,
+          payload_json: JSON.stringify(delivery.payload),
+          attempts: 0,
+          url: webhook.url,
+          secret: webhook.secret
+        });
+      }));
+    } catch (error) {
+      console.error(`❌ Webhook notify failed (${event}):`, error.message);
+    }
+  }
+
+  async sweep() {
+    const due = await this.db.getDueWebhookDeliveries(Date.now());
+    due.filter(delivery => !this.inFlight.has(delivery.id)).forEach(delivery => this.attempt(delivery));
+  }
+
+  async attempt(delivery) {
+    if (this.inFlight.has(delivery.id)) return;
+    this.inFlight.add(delivery.id);
+
+    const attempts = delivery.attempts + 1;
+    const payload = JSON.parse(delivery.payload_json);
+    const body = JSON.stringify({ id: delivery.id, ...payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    let responseStatus = null;
+    let error = null;
+    const signal = AbortSignal.timeout(this.timeout);
+
+    try {
+      // Checked again per attempt: DNS may point somewhere else by now. IP literals are
+      // checked here; host names by publicLookup when the socket connects
+      if (!this.allowPrivate) {
+        await assertPublicHost(delivery.url);
+      }
+
+      responseStatus = await postJson(delivery.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'irys-upload-service-webhooks',
+          'X-Irys-Event': delivery.event,
+          'X-Irys-Delivery': delivery.id,
+          'X-Irys-Timestamp': timestamp,
+          'X-Irys-Signature': signPayload(delivery.secret, timestamp, body)
+        },
+        body,
+        signal,
+        lookup: this.allowPrivate ? null : publicLookup
+      });
+
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `HTTP ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = signal.aborted ? `Delivery timeout (${this.timeout}ms)` : requestError.message;
+    }
+
+    try {
+      if (!error) {
+        this.stats.delivered++;
+        await this.db.updateWebhookDelivery(delivery.id, { status: 'delivered', attempts, responseStatus });
+      } else if (attempts >= this.maxAttempts) {
+        this.stats.failed++;
+        console.warn(`⚠️ Webhook delivery ${delivery.id} (${delivery.event}) failed after ${attempts} attempts: ${error}`);
+        await this.db.updateWebhookDelivery(delivery.id, { status: 'failed', attempts, responseStatus, error });
+      } else {
+        this.stats.retried++;
+        const nextAttemptAt = Date.now() + this.retryBase * 2 ** (attempts - 1);
+        await this.db.updateWebhookDelivery(delivery.id, { status: 'pending', attempts, responseStatus, error, nextAttemptAt });
+      }
+    } catch (dbError) {
+      // Called fire-and-forget: never reject. The row stays as it was and the sweep picks it up again
+      console.error(`❌ Webhook delivery ${delivery.id} could not be recorded:`, dbError.message);
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      inFlight: this.inFlight.size
+    };
+  }
+}
+
+export {
+  WebhookManager,
+  WEBHOOK_EVENTS,
+  signPayload,
+  isPublicAddress
+};
@@ -0,0 +1,77 @@
+import { TEST_DIR } from './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { IrysUploadService } from '../src/irys-upload-service-final.js';
+import { ChunkedUploadManager } from '../src/chunked-upload-manager.js';
+import { writePng, createFlakyStorage } from './helpers/files.js';
+
+const wallet = '4Nd1mBQtrMJVYVfKf2PJy9NZUZdTAsp7D4xWLs4gDB4T';
+
+// Open a session for a small PNG and send it as a single chunk
+const openAndSend = async (manager, name, seed) => {
+  const data = fs.readFileSync(await writePng(name, seed));
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  const { uploadId } = manager.createSession(wallet, { fileName: name, fileSize: data.length, sha256 });
+  await manager.writeChunk(uploadId, wallet, 0, Readable.from([data]));
+  return uploadId;
+};
+
+test('a failed completion reopens the session so /complete can be retried', async () => {
+  const service = new IrysUploadService({ storageProvider: createFlakyStorage(0) });
+  await service.db.ready;
+  const manager = new ChunkedUploadManager(service, { sessionsDir: path.join(TEST_DIR, 'chunked-retry') });
+  const uploadId = await openAndSend(manager, 'retry.png', 1);
+
+  await assert.rejects(manager.complete(uploadId, wallet), /Irys node unavailable/);
+
+  const status = manager.getStatus(uploadId, wallet);
+  assert.equal(status.status, 'open');
+  assert.deepEqual(status.receivedChunks, [0]);
+  assert.match(status.lastError, /Irys node unavailable/);
+});
+
+test('a session left completing by a crash becomes resumable once stale', async () => {
+  const service = new IrysUploadService({ storageProvider: createFlakyStorage(Infinity) });
+  await service.db.ready;
+  const manager = new ChunkedUploadManager(service, { sessionsDir: path.join(TEST_DIR, 'chunked-stale'), completionTimeout: 1000 });
+  const uploadId = await openAndSend(manager, 'stale.png', 2);
+
+  const session = manager.readSession(uploadId);
+  manager.writeSession({ ...session, status: 'completing', completingSince: Date.now() });
+  await assert.rejects(manager.complete(uploadId, wallet), /Upload session is completing/);
+
+  manager.writeSession({ ...session, status: 'completing', completingSince: Date.now() - 5000 });
+  const completed = await manager.complete(uploadId, wallet);
+
+  assert.equal(completed.status, 'completed');
+  assert.ok(completed.result.transactionId);
+  assert.deepEqual(fs.readdirSync(manager.sessionDir(uploadId)), ['session.json']);
+});
+
+test('a chunked upload named session.json keeps its session', async () => {
+  const service = new IrysUploadService();
+  await service.db.ready;
+  const uploadFile = service.uploadFile.bind(service);
+  let failures = 1;
+  service.uploadFile = async (...args) => {
+    if (failures-- > 0) throw new Error('Irys node unavailable');
+    return uploadFile(...args);
+  };
+  const manager = new ChunkedUploadManager(service, { sessionsDir: path.join(TEST_DIR, 'chunked-name') });
+  const data = Buffer.from(JSON.stringify({ name: 'not a session' }));
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  const { uploadId } = manager.createSession(wallet, { fileName: 'session.json', fileSize: data.length, sha256 });
+  await manager.writeChunk(uploadId, wallet, 0, Readable.from([data]));
+
+  // The failed attempt must leave the session in place to retry
+  await assert.rejects(manager.complete(uploadId, wallet), /Irys node unavailable/);
+  assert.equal(manager.getStatus(uploadId, wallet).status, 'open');
+
+  const completed = await manager.complete(uploadId, wallet);
+  assert.equal(completed.result.fileName, 'session.json');
+  assert.equal(manager.getStatus(uploadId, wallet).result.transactionId, completed.result.transactionId);
+});
@@ -0,0 +1,62 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IrysUploadService } from '../src/irys-upload-service-final.js';
+import { writePng, createFlakyStorage } from './helpers/files.js';
+
+const wallet = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+const collectionData = async (prefix, count) => ({
+  name: 'Test Drop',
+  symbol: 'DROP',
+  description: 'Collection test',
+  imagePath: await writePng(`${prefix}-collection.png`, 1000),
+  items: await Promise.all(Array.from({ length: count }, async (_, i) => ({
+    name: `Item ${i}`,
+    imagePath: await writePng(`${prefix}-item-${i}.png`, 1001 + i)
+  })))
+});
+
+test('a failed collection records and returns the files already uploaded', async () => {
+  // Collection image, collection metadata and the first item image go through
+  const service = new IrysUploadService({ storageProvider: createFlakyStorage(3) });
+  await service.db.ready;
+
+  const error = await service.createCollectionAssets(await collectionData('partial', 3), wallet, '127.0.0.1', { concurrency: 1 })
+    .then(() => null, error => error);
+
+  assert.match(error.message, /Item 0 \(Item 0\) failed: Irys node unavailable/);
+  assert.deepEqual(error.uploads.map(upload => upload.asset), ['collection-image', 'collection-metadata', 'item-image']);
+
+  const history = await service.db.getRecentUploads(wallet);
+  assert.deepEqual(
+    history.map(upload => upload.transaction_id).sort(),
+    error.uploads.map(upload => upload.transactionId).sort()
+  );
+  assert.deepEqual(await service.db.getUserCollections(wallet), []);
+});
+
+test('a collection with a conflicting item rolls back completely', async () => {
+  const service = new IrysUploadService({ storageProvider: createFlakyStorage(Infinity) });
+  await service.db.ready;
+
+  const upload = (id) => ({ transactionId: id, publicURL: `https://gateway.irys.xyz/${id}` });
+  const item = (position) => ({ position, name: `Item ${position}`, imageResult: upload(`i${position}`), metadataResult: upload(`m${position}`), metadata: {} });
+  const collection = {
+    id: 'c0ffee00-0000-4000-8000-000000000000',
+    name: 'Conflict',
+    symbol: 'CNF',
+    sellerFeeBasisPoints: 0,
+    imageResult: upload('image'),
+    metadataResult: upload('metadata'),
+    metadata: {},
+    sessionId: 'session'
+  };
+
+  await assert.rejects(service.db.recordCollection(wallet, collection, [item(0), item(0)]), /UNIQUE/);
+  assert.equal(await service.db.getCollection(collection.id), null);
+  assert.deepEqual(await service.db.getCollectionItems(collection.id), []);
+
+  await service.db.recordCollection(wallet, collection, [item(0), item(1)]);
+  assert.equal((await service.db.getCollectionItems(collection.id)).length, 2);
+});
@@ -0,0 +1,42 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import irysService, { CONFIG } from '../src/irys-upload-service-final.js';
+import { writePng } from './helpers/files.js';
+
+const walletA = 'Gx4bVCGEmWKRhyXhmwZKUfDWCmRVWTKwErpFHrbtE1Wz';
+const walletB = 'CkqWjTWzRMAtYN3CSs8Gp4K3H4h7K6vaCwRhX7q3Xk2p';
+
+const history = async (wallet) => (await irysService.db.getRecentUploads(wallet, 50)).map(upload => upload.transaction_id);
+
+test('dedup is scoped to the wallet by default', () => {
+  assert.equal(CONFIG.DEDUP_MODE, 'wallet');
+});
+
+test("a wallet's repeated upload reuses its transaction without charging again", async () => {
+  await irysService.db.ready;
+  const logoPath = await writePng('dedup-same.png', 71);
+
+  const first = await irysService.uploadAndRecord(logoPath, walletA);
+  const second = await irysService.uploadAndRecord(logoPath, walletA);
+
+  assert.equal(first.deduplicated, false);
+  assert.equal(second.deduplicated, true);
+  assert.equal(second.transactionId, first.transactionId);
+  assert.deepEqual(first.tags.find(tag => tag.name === 'Content-SHA256'), { name: 'Content-SHA256', value: first.contentHash });
+  assert.deepEqual(await history(walletA), [first.transactionId]);
+  assert.equal((await irysService.getQuotaStatus(walletA)).used.dailyBytes, first.fileSize);
+});
+
+test("another wallet's identical upload is its own, in its own history", async () => {
+  await irysService.db.ready;
+  const logoPath = await writePng('dedup-shared.png', 72);
+
+  const fromA = await irysService.uploadAndRecord(logoPath, walletA);
+  const fromB = await irysService.uploadAndRecord(logoPath, walletB);
+
+  assert.equal(fromB.deduplicated, false);
+  assert.notEqual(fromB.transactionId, fromA.transactionId);
+  assert.ok((await history(walletB)).includes(fromB.transactionId));
+  assert.equal(irysService.storage.read(fromB.transactionId).tags.find(tag => tag.name === 'Wallet-Address').value, walletB);
+});
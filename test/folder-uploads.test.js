@@ -0,0 +1,33 @@
+import { TEST_DIR } from './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import irysService from '../src/irys-upload-service-final.js';
+import { FolderUploadManager } from '../src/folder-upload-manager.js';
+
+const wallet = '4Nd1mBQtrMJVYVfKf2PJy9NZUZdTAsp7D4xWLs4gDB4T';
+
+test('a folder upload publishes a manifest that resolves every path', async () => {
+  await irysService.db.ready;
+  const folder = path.join(TEST_DIR, 'folder');
+  fs.mkdirSync(path.join(folder, 'meta'), { recursive: true });
+  fs.writeFileSync(path.join(folder, 'meta', '0.json'), JSON.stringify({ name: 'zero' }));
+  fs.writeFileSync(path.join(folder, 'meta', '1.json'), JSON.stringify({ name: 'one' }));
+
+  const result = await new FolderUploadManager(irysService).upload(folder, wallet, { indexFile: 'meta/0.json' });
+
+  const resolved = irysService.storage.resolvePath(result.manifestId, 'meta/1.json');
+  assert.deepEqual(JSON.parse(resolved.data.toString('utf8')), { name: 'one' });
+  assert.deepEqual((await irysService.db.getManifestFiles(result.manifestId)).map(file => file.path), ['meta/0.json', 'meta/1.json']);
+});
+
+test('a manifest with a conflicting path rolls back completely', async () => {
+  await irysService.db.ready;
+  const manifest = { id: 'manifest-conflict', indexPath: null, totalSize: 2, sessionId: 'session' };
+  const file = (transactionId) => ({ path: 'a.json', transactionId, fileSize: 1, contentType: 'application/json' });
+
+  await assert.rejects(irysService.db.recordManifest(wallet, manifest, [file('t1'), file('t2')]), /UNIQUE|PRIMARY KEY/);
+  assert.equal(await irysService.db.getManifest(manifest.id), null);
+  assert.deepEqual(await irysService.db.getManifestFiles(manifest.id), []);
+});
@@ -0,0 +1,36 @@
+import { TEST_DIR } from './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import irysService from '../src/irys-upload-service-final.js';
+import { FolderUploadManager } from '../src/folder-upload-manager.js';
+import { startServer } from './helpers/server.js';
+
+const wallet = '4Nd1mBQtrMJVYVfKf2PJy9NZUZdTAsp7D4xWLs4gDB4T';
+
+test('GET /gateway/:id/*path serves files inside a manifest', async () => {
+  await irysService.db.ready;
+  const folder = path.join(TEST_DIR, 'site');
+  fs.mkdirSync(path.join(folder, 'meta'), { recursive: true });
+  fs.writeFileSync(path.join(folder, '0.json'), JSON.stringify({ name: 'root' }));
+  fs.writeFileSync(path.join(folder, 'meta', '1.json'), JSON.stringify({ name: 'nested' }));
+  const { manifestId } = await new FolderUploadManager(irysService).upload(folder, wallet);
+
+  const server = await startServer();
+  try {
+    const flat = await fetch(`${server.baseUrl}/gateway/${manifestId}/0.json`);
+    assert.equal(flat.status, 200);
+    assert.deepEqual(await flat.json(), { name: 'root' });
+
+    const nested = await fetch(`${server.baseUrl}/gateway/${manifestId}/meta/1.json`);
+    assert.equal(nested.status, 200);
+    assert.deepEqual(await nested.json(), { name: 'nested' });
+
+    const missing = await fetch(`${server.baseUrl}/gateway/${manifestId}/2.json`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).path, '2.json');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,25 @@
+/**
+ * Test environment - import first so every module sees it at load time:
+ * offline storage, and a throwaway data/temp directory per test file.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'irys-test-'));
+
+process.env.STORAGE_PROVIDER = 'memory';
+process.env.DATABASE_PATH = path.join(TEST_DIR, 'irys_production.db');
+process.env.TEMP_DIR = path.join(TEST_DIR, 'temp');
+process.env.USERS_DATABASE_PATH = path.join(TEST_DIR, 'users.db');
+process.env.LOCAL_STORAGE_DIR = path.join(TEST_DIR, 'local-storage');
+
+// The services log every step; keep the test output to the results (DEBUG_TESTS=1 shows them)
+if (!process.env.DEBUG_TESTS) {
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+}
+
+process.on('exit', () => fs.rmSync(TEST_DIR, { recursive: true, force: true }));
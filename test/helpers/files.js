@@ -0,0 +1,35 @@
+/**
+ * Small valid files for upload tests
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+import { createStorageProvider } from '../../src/storage-providers.js';
+import { TEST_DIR } from './env.js';
+
+// 1x1 PNG; a different seed gives different bytes (and so a different content hash)
+export const writePng = async (name, seed = 0) => {
+  const filePath = path.join(TEST_DIR, name);
+  await sharp({
+    create: { width: 1, height: 1, channels: 3, background: { r: seed % 256, g: Math.floor(seed / 256) % 256, b: 0 } }
+  }).png().toFile(filePath);
+  return filePath;
+};
+
+// In-memory storage whose uploads start failing after `succeed` of them went through
+export const createFlakyStorage = (succeed) => {
+  const storage = createStorageProvider('memory');
+  const createClient = storage.createClient.bind(storage);
+  let remaining = succeed;
+
+  storage.createClient = async () => {
+    const client = await createClient();
+    const upload = client.upload.bind(client);
+    client.upload = async (data, options) => {
+      if (remaining-- <= 0) throw new Error('Irys node unavailable');
+      return upload(data, options);
+    };
+    return client;
+  };
+  return storage;
+};
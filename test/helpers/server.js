@@ -0,0 +1,30 @@
+/**
+ * The API router on an ephemeral port. Requests pick their wallet with
+ * X-Test-Wallet instead of signing in.
+ */
+
+import express from 'express';
+import { createIrysRouter } from '../../src/irys-router.js';
+
+export const startServer = async (options = {}) => {
+  const app = express();
+  const router = createIrysRouter({
+    workers: false,
+    auth: async (req) => req.get('X-Test-Wallet') || null,
+    ...options
+  });
+  app.use(router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    router,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      router.stop();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+};
@@ -0,0 +1,112 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  IrysServiceClient,
+  IrysApiError,
+  ValidationError,
+  RateLimitError,
+  ServiceUnavailableError,
+  RequestTimeoutError,
+  NetworkError
+} from '../src/irys-service-client.js';
+
+const json = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+// A fetch stub answering from `replies` in order (a function reply is called with init), recording each call
+const stubFetch = (...replies) => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url: String(url), method: init.method, headers: init.headers });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    return typeof reply === 'function' ? reply(init) : reply.clone();
+  };
+  return { fetch, calls };
+};
+
+const createClient = (fetch, options = {}) => new IrysServiceClient({ baseUrl: 'https://api.example/', token: 'session', retryDelay: 1, fetch, ...options });
+const logo = Buffer.from('png');
+
+test('error responses map to their error class with details and request ID', async () => {
+  const { fetch, calls } = stubFetch(json(400, {
+    error: 'Invalid metadata',
+    details: [{ field: 'symbol', message: 'Symbol is required' }]
+  }, { 'X-Request-ID': 'req-1' }));
+
+  const error = await createClient(fetch).createToken({ name: 'Token' }, logo, { fileName: 'logo.png' }).catch(e => e);
+
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.message, 'Invalid metadata');
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.details, [{ field: 'symbol', message: 'Symbol is required' }]);
+  assert.equal(error.requestId, 'req-1');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, 'https://api.example/create-token');
+  assert.equal(calls[0].headers.Authorization, 'Bearer session');
+});
+
+test('unmapped statuses throw IrysApiError without retrying', async () => {
+  const { fetch, calls } = stubFetch(new Response('Internal error', { status: 500 }));
+
+  const error = await createClient(fetch).dashboard().catch(e => e);
+
+  assert.equal(error.constructor, IrysApiError);
+  assert.equal(error.message, 'Internal error');
+  assert.equal(calls.length, 1);
+});
+
+test('429 is retried after Retry-After, even for a POST', async () => {
+  const { fetch, calls } = stubFetch(json(429, { error: 'Too many requests' }, { 'Retry-After': '0' }), json(200, { transactionId: 'tx' }));
+
+  const result = await createClient(fetch).upload(logo, { fileName: 'logo.png' });
+
+  assert.deepEqual(result, { transactionId: 'tx' });
+  assert.equal(calls.length, 2);
+});
+
+test('retries stop after options.retries and surface the last error', async () => {
+  const { fetch, calls } = stubFetch(json(429, { error: 'Too many requests' }, { 'Retry-After': '0' }));
+  const limited = await createClient(fetch, { retries: 1 }).health().catch(e => e);
+  assert.ok(limited instanceof RateLimitError);
+  assert.equal(limited.retryAfter, 0);
+  assert.equal(calls.length, 2);
+
+  const unavailable = stubFetch(json(503, { status: 'unhealthy' }));
+  const error = await createClient(unavailable.fetch).health().catch(e => e);
+  assert.ok(error instanceof ServiceUnavailableError);
+  assert.equal(unavailable.calls.length, 3);
+});
+
+test('network failures are retried for GET but not for a paid POST', async () => {
+  const refused = () => { throw new TypeError('fetch failed'); };
+
+  const get = stubFetch(refused, json(200, { id: 'job-1', status: 'completed' }));
+  assert.equal((await createClient(get.fetch).getJob('job-1')).status, 'completed');
+  assert.equal(get.calls.length, 2);
+
+  const post = stubFetch(refused, json(200, { transactionId: 'tx' }));
+  const error = await createClient(post.fetch).upload(logo, { fileName: 'logo.png' }).catch(e => e);
+  assert.ok(error instanceof NetworkError);
+  assert.match(error.message, /fetch failed/);
+  assert.equal(post.calls.length, 1);
+});
+
+test('a client timeout is retried for GET but not for a POST', async () => {
+  // Never answers; rejects once the client aborts the attempt
+  const hang = (init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+  });
+
+  const get = stubFetch(hang, json(200, { status: 'healthy' }));
+  assert.equal((await createClient(get.fetch, { timeout: 10 }).health()).status, 'healthy');
+  assert.equal(get.calls.length, 2);
+
+  const post = stubFetch(hang);
+  const error = await createClient(post.fetch, { timeout: 10 }).createToken({ name: 'Token' }, logo, { fileName: 'logo.png' }).catch(e => e);
+  assert.ok(error instanceof RequestTimeoutError);
+  assert.equal(error.status, null);
+  assert.equal(post.calls.length, 1);
+});
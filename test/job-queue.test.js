@@ -0,0 +1,85 @@
+import { TEST_DIR } from './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import irysService from '../src/irys-upload-service-final.js';
+import { JobQueue } from '../src/job-queue.js';
+import { writePng } from './helpers/files.js';
+
+const wallet = 'DRpbCBMxVnDK7maPM5tGv6MvB3v1sRMC86PZ8okm21hy';
+const jobsDir = path.join(TEST_DIR, 'jobs');
+
+const tokenJob = async (queue, seed) => queue.enqueue('create-token', wallet, {
+  tokenData: { name: `Queued ${seed}`, symbol: `Q${seed}`, description: 'Created by the job queue' },
+  ipAddress: '127.0.0.1'
+}, {
+  logo: { fileName: 'logo.png', data: fs.readFileSync(await writePng(`job-${seed}.png`, seed)) }
+});
+
+test('an enqueued token job runs to completion', async () => {
+  await irysService.db.ready;
+  const queue = new JobQueue(irysService, { jobsDir });
+  const completed = once(queue, 'completed');
+
+  const queued = await tokenJob(queue, 61);
+  assert.equal(queued.status, 'queued');
+
+  const [job] = await completed;
+  assert.equal(job.jobId, queued.jobId);
+  assert.equal(job.result.metadata.symbol, 'Q61');
+  assert.equal((await queue.getJob(queued.jobId, wallet)).status, 'completed');
+  assert.equal(fs.existsSync(queue.jobDir(queued.jobId)), false);
+});
+
+test('a job interrupted by a restart resumes and reuses its uploaded logo', async () => {
+  await irysService.db.ready;
+
+  // First process: the job is stored and its logo uploaded, then the process dies
+  const before = new JobQueue(irysService, { jobsDir });
+  before.drain = () => {};
+  const queued = await tokenJob(before, 62);
+  const logoPath = path.join(before.jobDir(queued.jobId), 'logo.png');
+  const logoResult = await irysService.uploadFile(logoPath, wallet, [], null, { enforceQuota: false });
+  await irysService.db.updateJob(queued.jobId, { status: 'running', attempts: 1, progress: { stage: 'logo_uploaded', logoResult } });
+
+  // Next process
+  const after = new JobQueue(irysService, { jobsDir });
+  const completed = once(after, 'completed');
+  await after.start();
+
+  const [job] = await completed;
+  assert.equal(job.jobId, queued.jobId);
+  assert.equal(job.attempts, 2);
+  assert.equal(job.result.logoTxId, logoResult.transactionId);
+});
+
+test('a failing job is marked failed with its error', async () => {
+  await irysService.db.ready;
+  const queue = new JobQueue(irysService, { jobsDir });
+  queue.handlers['create-token'] = async () => { throw new Error('Irys node unavailable'); };
+  const failed = once(queue, 'failed');
+
+  const queued = await tokenJob(queue, 63);
+
+  const [job] = await failed;
+  assert.equal(job.jobId, queued.jobId);
+  assert.equal(job.error, 'Irys node unavailable');
+  assert.equal(job.progress.stage, 'failed');
+});
+
+test('a database error while starting a job does not crash the queue', async () => {
+  const row = { id: '00000000-0000-4000-8000-000000000000', type: 'create-token', attempts: 0, progress_json: '{}' };
+  const db = {
+    createJob: async () => {},
+    getJob: async () => row,
+    updateJob: async () => { throw new Error('SQLITE_BUSY: database is locked'); }
+  };
+  const queue = new JobQueue({ db }, { jobsDir });
+
+  await queue.enqueue('create-token', wallet, {});
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(queue.getStats(), { queued: 0, running: 0, concurrency: queue.concurrency });
+});
@@ -0,0 +1,112 @@
+import { TEST_DIR } from './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import nacl from 'tweetnacl';
+import bs58 from 'bs58';
+import { IrysUploadService, CONFIG } from '../src/irys-upload-service-final.js';
+import { FolderUploadManager } from '../src/folder-upload-manager.js';
+import { createStorageProvider } from '../src/storage-providers.js';
+import { startServer } from './helpers/server.js';
+import { writePng } from './helpers/files.js';
+
+const localStorage = (name) => createStorageProvider('local', { storageDir: path.join(TEST_DIR, name) });
+
+test('local transaction IDs depend on content and stable tags only', async () => {
+  const logoPath = await writePng('deterministic.png', 42);
+  const upload = async (storage, tags = []) => {
+    const service = new IrysUploadService({ storageProvider: storage });
+    await service.db.ready;
+    return (await service.uploadFile(logoPath, 'HN7cABqLq46Es1jh92dQQisAq662SmxELLLsHHe4YWrH', tags, null, { dedupe: false })).transactionId;
+  };
+
+  const first = await upload(localStorage('run-1'));
+  await new Promise(resolve => setTimeout(resolve, 5)); // a later Upload-Time
+  assert.equal(await upload(localStorage('run-2')), first);
+  assert.notEqual(await upload(localStorage('run-3'), [{ name: 'Token-Symbol', value: 'OTHER' }]), first);
+});
+
+test('uploading the same file again without dedup gets a new transaction', async () => {
+  const service = new IrysUploadService({ storageProvider: localStorage('repeat') });
+  await service.db.ready;
+  const wallet = 'HN7cABqLq46Es1jh92dQQisAq662SmxELLLsHHe4YWrH';
+  const logoPath = await writePng('repeat.png', 44);
+
+  const dedupMode = CONFIG.DEDUP_MODE;
+  CONFIG.DEDUP_MODE = 'off';
+  try {
+    const first = await service.uploadAndRecord(logoPath, wallet);
+    const second = await service.uploadAndRecord(logoPath, wallet);
+    assert.notEqual(second.transactionId, first.transactionId);
+    assert.equal(second.deduplicated, false);
+  } finally {
+    CONFIG.DEDUP_MODE = dedupMode;
+  }
+});
+
+test('the same folder can be uploaded twice', async () => {
+  const service = new IrysUploadService({ storageProvider: localStorage('folder-twice') });
+  await service.db.ready;
+  const folder = path.join(TEST_DIR, 'folder-twice-src');
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, 'a.json'), JSON.stringify({ a: 1 }));
+
+  const manager = new FolderUploadManager(service);
+  const first = await manager.upload(folder, 'HN7cABqLq46Es1jh92dQQisAq662SmxELLLsHHe4YWrH');
+  const second = await manager.upload(folder, 'HN7cABqLq46Es1jh92dQQisAq662SmxELLLsHHe4YWrH');
+
+  assert.notEqual(second.manifestId, first.manifestId);
+  assert.ok(await service.db.getManifest(second.manifestId));
+});
+
+test('token creation runs end to end on the local provider', async () => {
+  const storage = localStorage('e2e');
+  const service = new IrysUploadService({ storageProvider: storage });
+  await service.db.ready;
+  const server = await startServer({ irysService: service, auth: undefined });
+
+  try {
+    // Sign in with a throwaway wallet
+    const keyPair = nacl.sign.keyPair();
+    const wallet = bs58.encode(Buffer.from(keyPair.publicKey));
+    const challenge = await (await fetch(`${server.baseUrl}/auth/nonce?wallet=${wallet}`)).json();
+    const signature = bs58.encode(Buffer.from(nacl.sign.detached(new TextEncoder().encode(challenge.message), keyPair.secretKey)));
+    const session = await (await fetch(`${server.baseUrl}/auth/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ walletAddress: wallet, nonce: challenge.nonce, signature })
+    })).json();
+    assert.equal(session.walletAddress, wallet);
+
+    const logoBytes = fs.readFileSync(await writePng('e2e-logo.png', 43));
+    const form = new FormData();
+    form.append('logo', new Blob([logoBytes], { type: 'image/png' }), 'logo.png');
+    form.append('name', 'Local Token');
+    form.append('symbol', 'LOCAL');
+    form.append('description', 'Created without network access');
+
+    const created = await fetch(`${server.baseUrl}/create-token`, {
+      method: 'POST',
+      body: form,
+      headers: { Authorization: `Bearer ${session.token}` }
+    });
+    assert.equal(created.status, 200);
+    const { irys } = await created.json();
+
+    // The local gateway serves what was stored
+    const logo = await fetch(`${server.baseUrl}/gateway/${irys.logoTxId}`);
+    assert.equal(logo.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await logo.arrayBuffer()), logoBytes);
+
+    const metadata = await (await fetch(`${server.baseUrl}/gateway/${irys.metadataTxId}`)).json();
+    assert.equal(metadata.symbol, 'LOCAL');
+    assert.equal(metadata.image, storage.getPublicUrl(irys.logoTxId));
+    assert.ok(fs.existsSync(path.join(TEST_DIR, 'e2e', irys.metadataTxId)));
+
+    const dashboard = await (await fetch(`${server.baseUrl}/dashboard`, { headers: { Authorization: `Bearer ${session.token}` } })).json();
+    assert.equal(dashboard.dashboard.tokenCount, 1);
+  } finally {
+    await server.close();
+  }
+});
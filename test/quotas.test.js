@@ -0,0 +1,49 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { IrysUploadService } from '../src/irys-upload-service-final.js';
+import { writePng, createFlakyStorage } from './helpers/files.js';
+
+// Plan `name` with a daily byte limit, assigned to `wallet`
+const setDailyLimit = async (service, wallet, name, dailyBytes) => {
+  await new Promise((resolve, reject) => service.db.db.run(
+    'INSERT INTO plans (name, daily_bytes, monthly_bytes, monthly_tokens, max_file_size) VALUES (?, ?, NULL, NULL, NULL)',
+    [name, dailyBytes],
+    (err) => err ? reject(err) : resolve()
+  ));
+  await service.db.setUserPlan(wallet, name);
+};
+
+test('concurrent uploads cannot add up past the plan', async () => {
+  const service = new IrysUploadService();
+  await service.db.ready;
+  const wallet = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+  const files = await Promise.all([31, 32, 33].map(seed => writePng(`quota_${seed}.png`, seed)));
+  const sizes = files.map(file => fs.statSync(file).size);
+  // Room for any two of the three files, never all three
+  const limit = 2 * Math.max(...sizes);
+  assert.ok(limit < sizes.reduce((sum, size) => sum + size, 0));
+  await setDailyLimit(service, wallet, 'two-files', limit);
+
+  const outcomes = await Promise.allSettled(files.map(file => service.uploadAndRecord(file, wallet)));
+
+  assert.equal(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 2);
+  assert.match(outcomes.find(outcome => outcome.status === 'rejected').reason.message, /Quota exceeded/);
+  const status = await service.getQuotaStatus(wallet);
+  assert.ok(status.used.dailyBytes <= limit);
+  assert.equal(service.quotaReservations.has(wallet), false);
+});
+
+test('a failed upload gives its reserved quota back', async () => {
+  const service = new IrysUploadService({ storageProvider: createFlakyStorage(0) });
+  await service.db.ready;
+  const wallet = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+  await setDailyLimit(service, wallet, 'one-file', 10000);
+
+  await assert.rejects(service.uploadAndRecord(await writePng('quota_failed.png', 34), wallet), /Irys node unavailable/);
+
+  const status = await service.getQuotaStatus(wallet);
+  assert.equal(status.used.dailyBytes, 0);
+  assert.equal(status.remaining.dailyBytes, 10000);
+});
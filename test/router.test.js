@@ -0,0 +1,55 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// Set before the router reads its CONFIG
+process.env.ALLOWED_ORIGINS = 'https://app.example, https://admin.example';
+const { createIrysRouter } = await import('../src/irys-router.js');
+
+test('the router mounts under a prefix and takes CORS origins from ALLOWED_ORIGINS', async () => {
+  const app = express();
+  const router = createIrysRouter({ workers: false });
+  app.use('/storage', router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/storage`;
+
+  try {
+    const allowed = await fetch(`${baseUrl}/health`, { headers: { Origin: 'https://admin.example' } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://admin.example');
+
+    const foreign = await fetch(`${baseUrl}/health`, { headers: { Origin: 'https://evil.example' } });
+    assert.equal(foreign.headers.get('access-control-allow-origin'), null);
+  } finally {
+    router.stop();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('router.stop ends open event streams and stops the job queue', { timeout: 10000 }, async () => {
+  const app = express();
+  const router = createIrysRouter({ workers: false, auth: async () => '4Nd1mBQtrMJVYVfKf2PJy9NZUZdTAsp7D4xWLs4gDB4T' });
+  app.use(router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  const events = await fetch(`http://127.0.0.1:${server.address().port}/events`);
+  assert.equal(events.headers.get('content-type'), 'text/event-stream');
+  const reader = events.body.getReader();
+  assert.match(new TextDecoder().decode((await reader.read()).value), /event: connected/);
+
+  router.stop();
+
+  // The stream ends, so server.close() does not wait on it
+  while (!(await reader.read()).done);
+  await new Promise(resolve => server.close(resolve));
+
+  const { jobQueue } = router.irys;
+  const job = await jobQueue.enqueue('create-token', '4Nd1mBQtrMJVYVfKf2PJy9NZUZdTAsp7D4xWLs4gDB4T', { tokenData: { name: 'Stopped' } });
+  assert.equal(job.status, 'queued');
+  assert.deepEqual(jobQueue.getStats(), { queued: 0, running: 0, concurrency: jobQueue.concurrency });
+});
@@ -0,0 +1,49 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeSvg, applySvgPolicy } from '../src/svg-sanitizer.js';
+
+const wrap = (body, attributes = '') => `<svg xmlns="http://www.w3.org/2000/svg"${attributes}>${body}<rect width="1" height="1"/></svg>`;
+
+// Payload -> what must not survive sanitizing
+const PAYLOADS = {
+  'script element': [wrap('<script>alert(1)</script>'), /<script/i],
+  'namespaced script': [wrap('<svg:script>alert(1)</svg:script>'), /script/i],
+  'foreignObject': [wrap('<foreignObject><iframe src="https://evil.example"></iframe></foreignObject>'), /foreignObject|iframe/i],
+  'event handler': [wrap('', ' onload="alert(1)"'), /onload/i],
+  'entity-encoded javascript: href': [wrap('<a href="&#106;avascript:alert(1)"><text>x</text></a>'), /avascript/i],
+  'tab-split javascript: xlink:href': [wrap('<a xlink:href="jav&#x09;ascript:alert(1)"><text>x</text></a>'), /ascript/i],
+  'remote image': [wrap('<image href="https://evil.example/track.png"/>'), /evil\.example/],
+  'style attribute with remote url': [wrap('<rect style="fill:url(https://evil.example/x)"/>'), /evil\.example/],
+  'style element with @import': [wrap('<style>@import url(https://evil.example/x.css);</style>'), /@import/],
+  'xml-stylesheet instruction': [`<?xml-stylesheet type="text/xsl" href="https://evil.example/x.xsl"?>${wrap('')}`, /xml-stylesheet|evil\.example/],
+  'other processing instruction': [`<?php echo 1; ?>${wrap('')}`, /<\?php/],
+  'DOCTYPE with entities': [`<!DOCTYPE svg [<!ENTITY xxe SYSTEM "file:///etc/passwd">]>${wrap('<text>&xxe;</text>')}`, /<!DOCTYPE|<!ENTITY/]
+};
+
+for (const [name, [svg, leftover]] of Object.entries(PAYLOADS)) {
+  test(`clean mode strips ${name}`, () => {
+    const result = sanitizeSvg(svg);
+    assert.equal(result.modified, true);
+    assert.doesNotMatch(result.svg, leftover);
+    assert.match(result.svg, /<rect width="1" height="1"\/>/);
+  });
+
+  test(`reject mode refuses ${name}`, () => {
+    assert.throws(() => applySvgPolicy(Buffer.from(svg), 'reject'), /Unsafe SVG content/);
+  });
+}
+
+test('safe SVGs, the XML declaration and local references pass unchanged', () => {
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>${wrap('<defs><linearGradient id="g"/></defs><rect fill="url(#g)" style="fill:url(#g)"/><use href="#g"/>')}`;
+  const buffer = Buffer.from(svg);
+
+  const { data, report } = applySvgPolicy(buffer, 'reject');
+  assert.equal(report.modified, false);
+  assert.equal(data, buffer);
+});
+
+test('the report names what was removed from an xml-stylesheet payload', () => {
+  const { report } = applySvgPolicy(Buffer.from(`<?xml-stylesheet href="https://evil.example/x.css"?>${wrap('')}`));
+  assert.deepEqual(report.removed, [{ type: 'instruction', name: 'xml-stylesheet', reason: 'remote reference' }]);
+});
@@ -0,0 +1,38 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import irysService from '../src/irys-upload-service-final.js';
+
+const db = irysService.db;
+const wallet = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+const upload = (id) => ({ transactionId: id, publicURL: `https://gateway.irys.xyz/${id}` });
+const revision = (version, metadataId) => ({
+  version,
+  metadataResult: upload(metadataId),
+  previousTransactionId: 'm1',
+  logoResult: upload('logo'),
+  changes: ['description'],
+  metadata: { name: 'Test', symbol: 'TST', description: metadataId }
+});
+
+test('a duplicate revision version rolls back and leaves the winner in place', async () => {
+  await db.ready;
+  const { tokenId } = await db.recordTokenAsset(wallet, {
+    name: 'Test', symbol: 'TST', metadata: { name: 'Test', symbol: 'TST', description: 'm1' }
+  }, upload('logo'), upload('m1'), 'session');
+
+  await db.recordTokenRevision(tokenId, revision(2, 'm2'));
+  await assert.rejects(db.recordTokenRevision(tokenId, revision(2, 'm3')), /UNIQUE/);
+
+  const token = await db.getTokenAsset(tokenId);
+  assert.equal(token.metadata_transaction_id, 'm2');
+  assert.equal(JSON.parse(token.metadata_json).description, 'm2');
+
+  const revisions = await db.getTokenRevisions(tokenId);
+  assert.deepEqual(revisions.map(r => [r.version, r.metadata_transaction_id]), [[1, 'm1'], [2, 'm2']]);
+
+  // The connection is usable again after the rollback
+  await db.recordTokenRevision(tokenId, revision(3, 'm4'));
+  assert.equal((await db.getTokenAsset(tokenId)).metadata_transaction_id, 'm4');
+});
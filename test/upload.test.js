@@ -0,0 +1,61 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { IrysUploadService, CONFIG } from '../src/irys-upload-service-final.js';
+import { UserManager } from '../src/user-database.js';
+import { createStorageProvider } from '../src/storage-providers.js';
+import { startServer } from './helpers/server.js';
+import { writePng } from './helpers/files.js';
+
+const wallet = 'HN7cABqLq46Es1jh92dQQisAq662SmxELLLsHHe4YWrH';
+
+const postFile = async (baseUrl, filePath) => {
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(filePath)], { type: 'image/png' }), 'logo.png');
+  return fetch(`${baseUrl}/upload`, { method: 'POST', body: form, headers: { 'X-Test-Wallet': wallet } });
+};
+
+test('POST /upload stores a file and answers 429 once the wallet is rate limited', async () => {
+  const service = new IrysUploadService({ storageProvider: createStorageProvider('memory') });
+  await service.db.ready;
+  const server = await startServer({ irysService: service });
+  const perMinute = CONFIG.RATE_LIMIT_PER_MINUTE;
+  CONFIG.RATE_LIMIT_PER_MINUTE = 1;
+
+  try {
+    const filePath = await writePng('upload-route.png', 7);
+    const stored = await postFile(server.baseUrl, filePath);
+    assert.equal(stored.status, 200);
+    assert.match((await stored.json()).file.transactionId, /^[A-Za-z0-9_-]{43}$/);
+
+    const limited = await postFile(server.baseUrl, filePath);
+    assert.equal(limited.status, 429);
+    assert.match((await limited.json()).error, /Rate limit exceeded/);
+  } finally {
+    CONFIG.RATE_LIMIT_PER_MINUTE = perMinute;
+    await server.close();
+  }
+});
+
+test('rate limits count requests inside the window and cleanup keeps them', async () => {
+  const service = new IrysUploadService({ storageProvider: createStorageProvider('memory') });
+  await service.db.ready;
+  const limited = 'RateLimitWa11etRateLimitWa11etRateLimitWa1';
+  const perMinute = CONFIG.RATE_LIMIT_PER_MINUTE;
+  CONFIG.RATE_LIMIT_PER_MINUTE = 2;
+
+  try {
+    assert.equal((await service.db.checkRateLimit(limited, '127.0.0.1')).remaining, 1);
+    await service.db.deleteRateLimitsBefore(new Date(Date.now() - CONFIG.RATE_LIMIT_WINDOW * 10));
+    assert.equal((await service.db.checkRateLimit(limited, '127.0.0.1')).remaining, 0);
+    assert.equal((await service.db.checkRateLimit(limited, '127.0.0.1')).allowed, false);
+
+    // Same query shape in users.db (multi-user API)
+    await UserManager.ready;
+    assert.equal((await UserManager.checkRateLimit('rate-user', '127.0.0.1', 60000, 1)).allowed, true);
+    assert.equal((await UserManager.checkRateLimit('rate-user', '127.0.0.1', 60000, 1)).allowed, false);
+  } finally {
+    CONFIG.RATE_LIMIT_PER_MINUTE = perMinute;
+  }
+});
@@ -0,0 +1,55 @@
+import { TEST_DIR } from './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { IrysUploadService } from '../src/irys-upload-service-final.js';
+import { createStorageProvider } from '../src/storage-providers.js';
+import { UserManager } from '../src/user-database.js';
+import JSONUserManager from '../src/user-json-manager.js';
+import { UserManagerStore } from '../src/user-stores.js';
+import { writePng } from './helpers/files.js';
+
+const stores = {
+  'users.db': () => new UserManagerStore(UserManager),
+  JSON: () => new UserManagerStore(new JSONUserManager(path.join(TEST_DIR, 'json-store')), { name: 'JSON' })
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  test(`${name} store deduplicates uploads and keeps tokens`, async () => {
+    const service = new IrysUploadService({
+      store: createStore(),
+      identity: 'user',
+      storageProvider: createStorageProvider('memory')
+    });
+    await service.db.ready;
+    const userId = `user-${name}`;
+    const logoPath = await writePng(`${name}-logo.png`, name.length);
+
+    const first = await service.uploadAndRecord(logoPath, userId);
+    const second = await service.uploadAndRecord(logoPath, userId);
+    assert.equal(first.deduplicated, false);
+    assert.equal(second.deduplicated, true);
+    assert.equal(second.transactionId, first.transactionId);
+
+    const token = await service.createTokenAssets({
+      name: 'Store Token',
+      symbol: 'STR',
+      description: 'Token kept by the user store',
+      logoPath
+    }, userId);
+    assert.equal(typeof token.tokenId, 'number');
+
+    const dashboard = await service.getUserDashboard(userId);
+    assert.equal(dashboard.tokenCount, 1);
+    assert.deepEqual(dashboard.recentTokens.map(t => [t.id, t.token_symbol]), [[token.tokenId, 'STR']]);
+    assert.equal(dashboard.recentTokens[0].metadata_json.name, 'Store Token');
+    // One logo (the second upload and the token logo were deduplicated) + the token metadata
+    assert.equal(dashboard.totalUploads, 2);
+    assert.deepEqual(dashboard.recentCollections, []);
+
+    await assert.rejects(
+      service.createCollectionAssets({ name: 'Drop', symbol: 'DROP', description: 'x', imagePath: logoPath, items: [] }, userId),
+      new RegExp(`Collections are not supported by the ${name === 'JSON' ? 'JSON' : 'SQLite \\(users.db\\)'} store`)
+    );
+  });
+}
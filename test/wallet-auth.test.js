@@ -0,0 +1,75 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import nacl from 'tweetnacl';
+import bs58 from 'bs58';
+import { WalletAuthManager } from '../src/wallet-auth.js';
+
+const createWallet = () => {
+  const keyPair = nacl.sign.keyPair();
+  return {
+    address: bs58.encode(Buffer.from(keyPair.publicKey)),
+    sign: (message) => bs58.encode(Buffer.from(nacl.sign.detached(new TextEncoder().encode(message), keyPair.secretKey)))
+  };
+};
+
+test('a signed nonce opens a session for its wallet', () => {
+  const auth = new WalletAuthManager();
+  const wallet = createWallet();
+
+  const { nonce, message } = auth.issueNonce(wallet.address);
+  const session = auth.verifySignature(wallet.address, nonce, wallet.sign(message));
+
+  assert.equal(session.walletAddress, wallet.address);
+  assert.equal(auth.getSessionWallet(session.token), wallet.address);
+});
+
+test('a signature from another key is rejected', () => {
+  const auth = new WalletAuthManager();
+  const wallet = createWallet();
+  const other = createWallet();
+
+  const { nonce, message } = auth.issueNonce(wallet.address);
+  assert.throws(() => auth.verifySignature(wallet.address, nonce, other.sign(message)), /Invalid signature/);
+});
+
+test('an expired nonce is rejected', async () => {
+  const auth = new WalletAuthManager({ nonceTTL: 1 });
+  const wallet = createWallet();
+
+  const { nonce, message } = auth.issueNonce(wallet.address);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.throws(() => auth.verifySignature(wallet.address, nonce, wallet.sign(message)), /Invalid or expired nonce/);
+});
+
+test('a nonce cannot be replayed', () => {
+  const auth = new WalletAuthManager();
+  const wallet = createWallet();
+
+  const { nonce, message } = auth.issueNonce(wallet.address);
+  const signature = wallet.sign(message);
+  auth.verifySignature(wallet.address, nonce, signature);
+
+  assert.throws(() => auth.verifySignature(wallet.address, nonce, signature), /Invalid or expired nonce/);
+});
+
+test('pending nonces are capped per wallet, per IP and in total', () => {
+  const auth = new WalletAuthManager({ maxNoncesPerWallet: 2, maxNoncesPerIp: 3, maxPendingNonces: 5 });
+  const wallet = createWallet();
+
+  // Per wallet: the oldest challenge is dropped
+  const [first, second, third] = [1, 2, 3].map(() => auth.issueNonce(wallet.address));
+  assert.throws(() => auth.verifySignature(wallet.address, first.nonce, wallet.sign(first.message)), /Invalid or expired nonce/);
+  assert.equal(auth.getStats().pendingNonces, 2);
+  auth.verifySignature(wallet.address, third.nonce, wallet.sign(third.message));
+  auth.verifySignature(wallet.address, second.nonce, wallet.sign(second.message));
+
+  // Per IP: many wallets from one address still hold 3 at most
+  for (let i = 0; i < 6; i++) auth.issueNonce(createWallet().address, '203.0.113.7');
+  assert.equal(auth.getStats().pendingNonces, 3);
+
+  // In total: once full, new challenges are refused until some expire
+  auth.issueNonce(createWallet().address, '198.51.100.1');
+  auth.issueNonce(createWallet().address, '198.51.100.2');
+  assert.throws(() => auth.issueNonce(createWallet().address, '198.51.100.3'), /Too many pending sign-ins/);
+});
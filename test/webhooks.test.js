@@ -0,0 +1,181 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import dns from 'dns';
+import irysService from '../src/irys-upload-service-final.js';
+import { WebhookManager, signPayload, isPublicAddress } from '../src/webhook-manager.js';
+
+const wallet = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+
+const waitFor = async (condition, timeout = 5000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+test('private, loopback and link-local webhook hosts are refused', async () => {
+  await irysService.db.ready;
+  const webhooks = new WebhookManager(irysService, { allowPrivate: false });
+
+  for (const url of [
+    'http://127.0.0.1:8080/hook',
+    'http://localhost/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.1.2.3/hook',
+    'http://192.168.1.10/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ]) {
+    await assert.rejects(webhooks.register(wallet, { url }), /Invalid url: .* is not a public address/, url);
+  }
+
+  assert.equal(isPublicAddress('93.184.216.34'), true);
+  assert.equal(isPublicAddress('2606:4700:4700::1111'), true);
+  assert.equal(isPublicAddress('172.16.5.4'), false);
+  assert.equal(isPublicAddress('fd00::1'), false);
+});
+
+test('deliveries are signed, retried with backoff and recorded', async () => {
+  await irysService.db.ready;
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ at: Date.now(), headers: req.headers, body });
+      // The first attempt fails, the retry succeeds
+      res.writeHead(received.length === 1 ? 500 : 204).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const retryBase = 300;
+    const webhooks = new WebhookManager(irysService, { allowPrivate: true, retryBase, maxAttempts: 3 });
+    const { id, secret } = await webhooks.register(wallet, {
+      url: `http://127.0.0.1:${receiver.address().port}/hook`,
+      events: ['upload.completed']
+    });
+
+    await webhooks.notify(wallet, 'upload.completed', { transactionId: 'tx-1' });
+    await waitFor(async () => (await webhooks.getDeliveries(id, wallet))[0]?.attempts === 1);
+
+    // Not due yet: the retry waits for the backoff
+    await webhooks.sweep();
+    assert.equal(received.length, 1);
+
+    await waitFor(async () => {
+      await webhooks.sweep();
+      return (await webhooks.getDeliveries(id, wallet))[0].status === 'delivered';
+    });
+
+    assert.equal(received.length, 2);
+    assert.ok(received[1].at - received[0].at >= retryBase, 'second attempt respects the backoff');
+
+    for (const { headers, body } of received) {
+      assert.equal(headers['x-irys-signature'], signPayload(secret, headers['x-irys-timestamp'], body));
+      assert.equal(headers['x-irys-event'], 'upload.completed');
+      assert.deepEqual(JSON.parse(body).data, { transactionId: 'tx-1' });
+    }
+
+    const [delivery] = await webhooks.getDeliveries(id, wallet);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.responseStatus, 204);
+    assert.equal(delivery.id, received[0].headers['x-irys-delivery']);
+  } finally {
+    await new Promise(resolve => receiver.close(resolve));
+  }
+});
+
+test('removing a webhook stops its pending retries', async () => {
+  await irysService.db.ready;
+  let received = 0;
+  const receiver = http.createServer((req, res) => {
+    received++;
+    req.resume();
+    res.writeHead(500).end();
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const webhooks = new WebhookManager(irysService, { allowPrivate: true, retryBase: 1, maxAttempts: 5 });
+    const { id } = await webhooks.register(wallet, {
+      url: `http://127.0.0.1:${receiver.address().port}/hook`,
+      events: ['upload.failed']
+    });
+
+    await webhooks.notify(wallet, 'upload.failed', { error: 'boom' });
+    await waitFor(async () => (await webhooks.getDeliveries(id, wallet))[0]?.attempts === 1);
+    await webhooks.remove(id, wallet);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await webhooks.sweep();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(received, 1);
+    const [delivery] = await irysService.db.getWebhookDeliveries(id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.error, 'Webhook removed');
+  } finally {
+    await new Promise(resolve => receiver.close(resolve));
+  }
+});
+
+test('a delivery whose status cannot be saved does not reject', async () => {
+  const db = {
+    updateWebhookDelivery: async () => { throw new Error('SQLITE_BUSY: database is locked'); }
+  };
+  const webhooks = new WebhookManager({ db }, { allowPrivate: true, timeout: 1000 });
+
+  await webhooks.attempt({
+    id: 'delivery-1',
+    event: 'upload.completed',
+    payload_json: JSON.stringify({ event: 'upload.completed', data: {} }),
+    attempts: 0,
+    url: 'http://127.0.0.1:9/unreachable',
+    secret: 'secret'
+  });
+
+  assert.equal(webhooks.getStats().inFlight, 0);
+});
+
+test('a host that rebinds to a private address after the check is not connected to', async () => {
+  let received = 0;
+  const receiver = http.createServer((req, res) => {
+    received++;
+    res.writeHead(204).end();
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  // The check sees a public address, the connection's own lookup gets loopback
+  const { lookup } = dns;
+  const promisesLookup = dns.promises.lookup;
+  dns.promises.lookup = async () => [{ address: '93.184.216.34', family: 4 }];
+  dns.lookup = (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]);
+
+  try {
+    const db = { updateWebhookDelivery: async (id, update) => { db.update = update; } };
+    const webhooks = new WebhookManager({ db }, { allowPrivate: false, maxAttempts: 1 });
+
+    await webhooks.attempt({
+      id: 'delivery-rebind',
+      event: 'upload.completed',
+      payload_json: JSON.stringify({ event: 'upload.completed', data: {} }),
+      attempts: 0,
+      url: `http://rebind.example:${receiver.address().port}/hook`,
+      secret: 'secret'
+    });
+
+    assert.equal(received, 0);
+    assert.equal(db.update.status, 'failed');
+    assert.match(db.update.error, /not a public address \(127\.0\.0\.1\)/);
+  } finally {
+    dns.lookup = lookup;
+    dns.promises.lookup = promisesLookup;
+    await new Promise(resolve => receiver.close(resolve));
+  }
+});